@@ -0,0 +1,132 @@
+/**
+ * Analytics Module
+ * Statistics over stored readings used by trend alerts, anomaly alerts and forecasts
+ */
+
+const HOUR_MS = 3600 * 1000;
+
+/**
+ * Least-squares fit of y = slope * x + intercept
+ */
+function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) return null;
+
+  let sumX = 0;
+  let sumY = 0;
+  for (const p of points) {
+    sumX += p.x;
+    sumY += p.y;
+  }
+  const meanX = sumX / n;
+  const meanY = sumY / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  for (const p of points) {
+    sxx += (p.x - meanX) * (p.x - meanX);
+    sxy += (p.x - meanX) * (p.y - meanY);
+  }
+
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    n
+  };
+}
+
+/**
+ * Fit the RX power trend over the readings of a time window.
+ * Returns null when there are too few samples or they cover too little of the window.
+ */
+function computeRxTrend(readings, windowHours, now = Date.now()) {
+  const points = readings
+    .filter(r => r.success && r.rxPower !== null && r.rxPower !== undefined)
+    .map(r => ({ x: (Date.parse(r.recordedAt) - now) / HOUR_MS, y: r.rxPower }));
+
+  if (points.length < 4) return null;
+
+  const spanHours = points[points.length - 1].x - points[0].x;
+  if (spanHours < windowHours / 2) return null;
+
+  const fit = linearRegression(points);
+  if (!fit) return null;
+
+  return {
+    slopePerHour: fit.slope,
+    // Positive when power is falling
+    dropOverWindow: -fit.slope * windowHours,
+    samples: fit.n,
+    spanHours
+  };
+}
+
+/**
+ * Compare a value against a learned baseline.
+ * Anomalous when it is more than `sigma` standard deviations or more than `maxDelta` away.
+ * The standard deviation is floored so a very stable history does not flag noise.
+ */
+function checkAnomaly(value, mean, stddev, options) {
+  const deviation = value - mean;
+  const effectiveStddev = Math.max(stddev || 0, options.minStddev);
+  const sigmas = Math.abs(deviation) / effectiveStddev;
+
+  return {
+    deviation,
+    sigmas,
+    anomalous: sigmas > options.sigma || Math.abs(deviation) > options.maxDelta
+  };
+}
+
+/**
+ * Extrapolate the RX power trend to estimate when it crosses a threshold.
+ * Points are { time: epochMs, value }; the fit is anchored at `now`.
+ */
+function forecastThresholdBreach(points, threshold, now = Date.now()) {
+  const DAY_MS = 24 * HOUR_MS;
+  const samples = points
+    .filter(p => p.value !== null && p.value !== undefined)
+    .map(p => ({ x: (p.time - now) / DAY_MS, y: p.value }));
+
+  const spanDays = samples.length ? samples[samples.length - 1].x - samples[0].x : 0;
+  const fit = samples.length >= 4 && spanDays >= 0.5 ? linearRegression(samples) : null;
+
+  if (!fit) {
+    return { status: 'insufficient_data', samples: samples.length };
+  }
+
+  const fittedNow = fit.intercept;
+  const result = {
+    slopePerDay: fit.slope,
+    fittedRx: fittedNow,
+    threshold,
+    samples: fit.n,
+    daysToThreshold: null,
+    estimatedBreachAt: null
+  };
+
+  if (fittedNow < threshold) {
+    return Object.assign(result, { status: 'breached', daysToThreshold: 0, estimatedBreachAt: new Date(now).toISOString() });
+  }
+
+  if (fit.slope >= 0) {
+    return Object.assign(result, { status: 'stable' });
+  }
+
+  const days = (threshold - fittedNow) / fit.slope;
+  return Object.assign(result, {
+    status: 'declining',
+    daysToThreshold: days,
+    estimatedBreachAt: new Date(now + days * DAY_MS).toISOString()
+  });
+}
+
+module.exports = {
+  linearRegression,
+  computeRxTrend,
+  checkAnomaly,
+  forecastThresholdBreach
+};
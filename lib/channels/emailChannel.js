@@ -0,0 +1,201 @@
+const nodemailer = require('nodemailer');
+const { ALERT_LABELS, buildTemplateValues } = require('../templates');
+
+/**
+ * Email Channel
+ * Sends HTML alert emails through an SMTP server
+ *
+ * Config:
+ *   host, port      SMTP server
+ *   security        'none', 'starttls' or 'tls' (implicit TLS, usually port 465)
+ *   verifyCertificate  reject invalid server certificates (default true)
+ *   auth            { username, password } (optional)
+ *   from            sender address
+ *   recipients      list of recipient addresses
+ *   timeoutSeconds  connection timeout
+ *
+ * Besides the common notification context, `readings` (recent readings of the device,
+ * oldest first) are shown in a table.
+ */
+
+const SECRET_FIELDS = ['auth.password'];
+
+// Routed notifications go to the email addresses of the contacts instead of `recipients`
+const RECIPIENTS_FIELD = 'recipients';
+const CONTACT_FIELD = 'email';
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+const SEVERITY_COLORS = {
+  critical: '#dc3545',
+  warning: '#fd7e14',
+  info: '#198754'
+};
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function parseRecipients(recipients) {
+  const list = Array.isArray(recipients) ? recipients : String(recipients || '').split(',');
+  return list.map(r => String(r).trim()).filter(r => r);
+}
+
+/**
+ * Sender address, either "address" or "Name <address>"
+ */
+function senderAddress(from) {
+  const match = String(from || '').match(/<([^>]+)>\s*$/);
+  return match ? match[1] : String(from || '').trim();
+}
+
+/**
+ * Validate an email configuration, returning an error message or null
+ */
+function validateConfig(config) {
+  if (!config.host) {
+    return 'SMTP host is required';
+  }
+  const port = parseInt(config.port);
+  if (!(port >= 1 && port <= 65535)) {
+    return 'SMTP port must be between 1 and 65535';
+  }
+  if (!['none', 'starttls', 'tls'].includes(config.security || 'starttls')) {
+    return 'Security must be none, starttls or tls';
+  }
+  if (!EMAIL_PATTERN.test(senderAddress(config.from))) {
+    return 'A valid sender address is required';
+  }
+  const recipients = parseRecipients(config.recipients);
+  if (recipients.length === 0) {
+    return 'At least one recipient is required';
+  }
+  const invalid = recipients.find(r => !EMAIL_PATTERN.test(r));
+  if (invalid) {
+    return `Invalid recipient address: ${invalid}`;
+  }
+  return null;
+}
+
+function formatValue(value, unit) {
+  return value === null || value === undefined || value === '' ? '-' : `${value} ${unit}`;
+}
+
+/**
+ * Build the subject, plain text and HTML of an alert email
+ */
+function formatEmail(context) {
+  const values = buildTemplateValues(context);
+  const device = context.device;
+  const label = ALERT_LABELS[context.alertType] || 'Notification';
+  const color = SEVERITY_COLORS[values.severity] || SEVERITY_COLORS.info;
+  const cell = 'padding:4px 8px;border:1px solid #dee2e6;';
+
+  const subject = device
+    ? `[ONU Monitor] ${values.severity.toUpperCase()}: ${label} - ${device.name}`
+    : `[ONU Monitor] ${values.message.split('\n')[0]}`;
+
+  let html = `
+    <div style="font-family:Arial,sans-serif;font-size:14px;color:#212529;">
+      <div style="border-left:4px solid ${color};padding:8px 12px;margin-bottom:16px;">
+        <div style="font-size:16px;font-weight:bold;color:${color};">${escapeHtml(label)}</div>
+        <div style="white-space:pre-wrap;">${escapeHtml(values.message)}</div>
+      </div>`;
+
+  if (device) {
+    const details = [
+      ['Device', device.name],
+      ['Host', device.host],
+      ['Group', device.deviceGroup || '-'],
+      ['ONU Type', device.onuType],
+      ['RX Power', `${formatValue(values.rx_power, 'dBm')} (threshold ${device.rxPowerThreshold} dBm)`],
+      ['TX Power', formatValue(values.tx_power, 'dBm')],
+      ['Temperature', `${formatValue(values.temperature, '°C')} (${device.tempLowThreshold} to ${device.tempHighThreshold} °C)`],
+      ['Voltage', formatValue(values.voltage, 'mV')]
+    ];
+    html += `
+      <table style="border-collapse:collapse;margin-bottom:16px;">
+        ${details.map(([name, value]) => `<tr><th style="${cell}text-align:left;background:#f8f9fa;">${name}</th><td style="${cell}">${escapeHtml(value)}</td></tr>`).join('')}
+      </table>`;
+  }
+
+  const readings = context.readings || [];
+  if (readings.length > 0) {
+    html += `
+      <div style="font-weight:bold;margin-bottom:4px;">Recent readings</div>
+      <table style="border-collapse:collapse;">
+        <tr>${['Time', 'RX (dBm)', 'TX (dBm)', 'Temp (°C)', 'Voltage (mV)', 'Status'].map(h => `<th style="${cell}background:#f8f9fa;">${h}</th>`).join('')}</tr>
+        ${readings.slice().reverse().map(r => `
+        <tr>
+          <td style="${cell}">${escapeHtml(new Date(r.recordedAt).toLocaleString())}</td>
+          <td style="${cell}">${r.rxPower ?? '-'}</td>
+          <td style="${cell}">${r.txPower ?? '-'}</td>
+          <td style="${cell}">${r.temperature ?? '-'}</td>
+          <td style="${cell}">${r.voltage ?? '-'}</td>
+          <td style="${cell}">${r.success ? 'OK' : escapeHtml(r.error || 'Failed')}</td>
+        </tr>`).join('')}
+      </table>`;
+  }
+
+  html += `
+      <p style="color:#6c757d;font-size:12px;">Sent by ONU Monitor at ${escapeHtml(values.timestamp)}</p>
+    </div>`;
+
+  return { subject, text: values.message, html };
+}
+
+/**
+ * Send a notification email to all recipients
+ */
+async function send(config, context) {
+  const security = config.security || 'starttls';
+  const auth = config.auth || {};
+  const timeout = (config.timeoutSeconds || 10) * 1000;
+
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: parseInt(config.port),
+    secure: security === 'tls',
+    requireTLS: security === 'starttls',
+    ignoreTLS: security === 'none',
+    auth: auth.username ? { user: auth.username, pass: auth.password || '' } : undefined,
+    tls: { rejectUnauthorized: config.verifyCertificate !== false },
+    connectionTimeout: timeout,
+    greetingTimeout: timeout,
+    socketTimeout: timeout
+  });
+
+  try {
+    const email = formatEmail(context);
+    const info = await transport.sendMail({
+      from: config.from,
+      to: parseRecipients(config.recipients).join(', '),
+      subject: email.subject,
+      text: email.text,
+      html: email.html
+    });
+
+    const rejected = info.rejected || [];
+    return {
+      success: rejected.length === 0,
+      status: null,
+      response: info.response,
+      error: rejected.length ? `Rejected: ${rejected.join(', ')}` : null
+    };
+  } catch (error) {
+    return { success: false, status: null, response: null, error: error.message };
+  } finally {
+    transport.close();
+  }
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  RECIPIENTS_FIELD,
+  CONTACT_FIELD,
+  validateConfig,
+  send
+};
@@ -0,0 +1,63 @@
+/**
+ * Notification Channels
+ * Registry of channel types; each exports validateConfig(config), send(config, context)
+ * and SECRET_FIELDS (dotted config paths that are never returned to the dashboard).
+ * Channels that address people also export RECIPIENTS_FIELD (the config field listing
+ * the recipients) and CONTACT_FIELD (the contact field replacing it for routed notifications).
+ */
+
+const CHANNEL_TYPES = {
+  webhook: require('./webhookChannel'),
+  telegram: require('./telegramChannel'),
+  email: require('./emailChannel')
+};
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    return target[key];
+  }, object);
+  parent[last] = value;
+}
+
+/**
+ * Copy of a channel config without its secrets, listing which secrets are set
+ */
+function maskSecrets(type, config) {
+  const masked = JSON.parse(JSON.stringify(config || {}));
+  const secretsSet = [];
+
+  for (const field of CHANNEL_TYPES[type].SECRET_FIELDS) {
+    if (getPath(masked, field)) {
+      secretsSet.push(field);
+      setPath(masked, field, '');
+    }
+  }
+
+  return { config: masked, secretsSet };
+}
+
+/**
+ * Keep the stored secrets for fields left empty when a channel is updated
+ */
+function mergeSecrets(type, config, existing) {
+  for (const field of CHANNEL_TYPES[type].SECRET_FIELDS) {
+    const current = getPath(existing, field);
+    if (!getPath(config, field) && current) {
+      setPath(config, field, current);
+    }
+  }
+  return config;
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  maskSecrets,
+  mergeSecrets
+};
@@ -0,0 +1,148 @@
+const axios = require('axios');
+const { ALERT_LABELS, buildTemplateValues } = require('../templates');
+
+/**
+ * Telegram Channel
+ * Sends notifications through a Telegram bot to one or more chats, formatted with MarkdownV2
+ *
+ * Config:
+ *   botToken        token issued by @BotFather
+ *   chatIds         chat IDs (e.g. -1001234567890) or @channel usernames
+ *   apiBaseUrl      Bot API base URL, defaults to https://api.telegram.org
+ *   timeoutSeconds  request timeout
+ */
+
+const DEFAULT_API_BASE_URL = 'https://api.telegram.org';
+const SECRET_FIELDS = ['botToken'];
+
+// Routed notifications go to the Telegram IDs of the contacts instead of `chatIds`
+const RECIPIENTS_FIELD = 'chatIds';
+const CONTACT_FIELD = 'telegramId';
+
+const SEVERITY_ICONS = {
+  critical: '🔴',
+  warning: '🟠',
+  info: '🟢'
+};
+
+/**
+ * Escape text for Telegram MarkdownV2
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+/**
+ * Escape text for a MarkdownV2 inline code span
+ */
+function escapeCode(text) {
+  return String(text).replace(/[`\\]/g, '\\$&');
+}
+
+function parseChatIds(chatIds) {
+  const list = Array.isArray(chatIds) ? chatIds : String(chatIds || '').split(',');
+  return list.map(id => String(id).trim()).filter(id => id);
+}
+
+/**
+ * Validate a Telegram configuration, returning an error message or null
+ */
+function validateConfig(config) {
+  if (!config.botToken || !/^\d+:[\w-]+$/.test(config.botToken)) {
+    return 'A valid bot token is required (e.g. 123456:ABC-DEF...)';
+  }
+  const chatIds = parseChatIds(config.chatIds);
+  if (chatIds.length === 0) {
+    return 'At least one chat ID is required';
+  }
+  if (chatIds.some(id => !/^(-?\d+|@\w{5,})$/.test(id))) {
+    return 'Chat IDs must be numeric IDs or @channel usernames';
+  }
+  if (config.apiBaseUrl && !/^https?:\/\//i.test(config.apiBaseUrl)) {
+    return 'Bot API base URL must start with http:// or https://';
+  }
+  return null;
+}
+
+/**
+ * Format a notification as a MarkdownV2 message with the device, its current values and thresholds
+ */
+function formatMessage(context) {
+  const values = buildTemplateValues(context);
+  const device = context.device;
+  const title = ALERT_LABELS[context.alertType] || 'ONU Monitor';
+  const lines = [
+    `${SEVERITY_ICONS[values.severity] || ''} *${escapeMarkdown(title)}*`.trim(),
+    escapeMarkdown(values.message)
+  ];
+
+  if (device) {
+    lines.push('');
+    lines.push(`*Device:* ${escapeMarkdown(device.name)}`);
+    lines.push(`*Host:* \`${escapeCode(device.host)}\``);
+
+    if (values.rx_power !== '') {
+      lines.push(`*RX Power:* ${escapeMarkdown(`${values.rx_power} dBm (threshold ${device.rxPowerThreshold} dBm)`)}`);
+    }
+    if (values.tx_power !== '') {
+      lines.push(`*TX Power:* ${escapeMarkdown(`${values.tx_power} dBm`)}`);
+    }
+    if (values.temperature !== '') {
+      lines.push(`*Temperature:* ${escapeMarkdown(`${values.temperature} °C (${device.tempLowThreshold} to ${device.tempHighThreshold} °C)`)}`);
+    }
+    if (values.voltage !== '') {
+      lines.push(`*Voltage:* ${escapeMarkdown(`${values.voltage} mV`)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Send a notification to every configured chat
+ */
+async function send(config, context) {
+  const baseUrl = (config.apiBaseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+  const text = formatMessage(context);
+  const failures = [];
+  let status = null;
+  let response = null;
+
+  for (const chatId of parseChatIds(config.chatIds)) {
+    try {
+      const result = await axios.post(`${baseUrl}/bot${config.botToken}/sendMessage`, {
+        chat_id: chatId,
+        text,
+        parse_mode: 'MarkdownV2',
+        disable_web_page_preview: true
+      }, {
+        timeout: (config.timeoutSeconds || 10) * 1000,
+        validateStatus: () => true
+      });
+
+      status = result.status;
+      response = JSON.stringify(result.data).substring(0, 500);
+      if (!result.data || result.data.ok !== true) {
+        failures.push(`${chatId}: ${(result.data && result.data.description) || `status ${result.status}`}`);
+      }
+    } catch (error) {
+      failures.push(`${chatId}: ${error.message}`);
+    }
+  }
+
+  return {
+    success: failures.length === 0,
+    status,
+    response,
+    error: failures.length ? failures.join('; ') : null
+  };
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  RECIPIENTS_FIELD,
+  CONTACT_FIELD,
+  escapeMarkdown,
+  validateConfig,
+  send
+};
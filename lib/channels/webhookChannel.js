@@ -0,0 +1,123 @@
+const axios = require('axios');
+const { buildTemplateValues, renderTemplate, jsonEscape } = require('../templates');
+
+/**
+ * Webhook Channel
+ * Sends notifications as HTTP requests with a templated URL, headers and body
+ *
+ * Config:
+ *   method          GET, POST, PUT or PATCH
+ *   url             request URL, placeholders are URL-encoded
+ *   headers         { name: value } map, placeholders substituted as is
+ *   bodyTemplate    request body, placeholders are JSON-escaped when the body is JSON
+ *   auth            { type: 'none' | 'bearer' | 'basic', token, username, password }
+ *   successStatus   accepted status codes, e.g. "200-299" or "200,202"
+ *   successBodyMatch  text the response body must contain (optional)
+ *   timeoutSeconds  request timeout
+ */
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH'];
+const SECRET_FIELDS = ['auth.token', 'auth.password'];
+
+/**
+ * Parse "200-299" or "200,202,204" into a status predicate
+ */
+function parseStatusRule(rule) {
+  const parts = String(rule || '200-299').split(',').map(p => p.trim()).filter(p => p);
+  const ranges = [];
+
+  for (const part of parts) {
+    const match = part.match(/^(\d{3})(?:-(\d{3}))?$/);
+    if (!match) return null;
+    ranges.push([parseInt(match[1]), parseInt(match[2] || match[1])]);
+  }
+
+  return ranges.length ? (status) => ranges.some(([min, max]) => status >= min && status <= max) : null;
+}
+
+/**
+ * Validate a webhook configuration, returning an error message or null
+ */
+function validateConfig(config) {
+  if (!config.url || !/^https?:\/\//i.test(config.url)) {
+    return 'Webhook URL must start with http:// or https://';
+  }
+  if (!METHODS.includes(String(config.method || 'POST').toUpperCase())) {
+    return `Method must be one of ${METHODS.join(', ')}`;
+  }
+  if (config.headers && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+    return 'Headers must be an object of name/value pairs';
+  }
+  const authType = (config.auth && config.auth.type) || 'none';
+  if (!['none', 'bearer', 'basic'].includes(authType)) {
+    return 'Auth type must be none, bearer or basic';
+  }
+  if (!parseStatusRule(config.successStatus)) {
+    return 'Success status must be a code, a range like 200-299 or a comma-separated list';
+  }
+  return null;
+}
+
+/**
+ * Send a notification through a webhook
+ */
+async function send(config, context) {
+  const values = buildTemplateValues(context);
+  const method = String(config.method || 'POST').toUpperCase();
+  const headers = {};
+
+  for (const [name, value] of Object.entries(config.headers || {})) {
+    headers[name] = renderTemplate(value, values);
+  }
+
+  const auth = config.auth || {};
+  if (auth.type === 'bearer' && auth.token) {
+    headers.Authorization = `Bearer ${auth.token}`;
+  } else if (auth.type === 'basic') {
+    headers.Authorization = `Basic ${Buffer.from(`${auth.username || ''}:${auth.password || ''}`).toString('base64')}`;
+  }
+
+  let body;
+  if (method !== 'GET' && config.bodyTemplate) {
+    const contentType = Object.keys(headers).find(h => h.toLowerCase() === 'content-type');
+    const isJson = contentType ? /json/i.test(headers[contentType]) : /^\s*[{[]/.test(config.bodyTemplate);
+    body = renderTemplate(config.bodyTemplate, values, isJson ? jsonEscape : String);
+    if (!contentType) {
+      headers['Content-Type'] = isJson ? 'application/json' : 'text/plain';
+    }
+  }
+
+  const isSuccessStatus = parseStatusRule(config.successStatus);
+
+  try {
+    const response = await axios.request({
+      method,
+      url: renderTemplate(config.url, values, encodeURIComponent),
+      headers,
+      data: body,
+      timeout: (config.timeoutSeconds || 10) * 1000,
+      // Keep the raw body so it can be matched as text
+      transformResponse: [(data) => data],
+      validateStatus: () => true
+    });
+
+    const text = typeof response.data === 'string' ? response.data : String(response.data || '');
+    const statusOk = isSuccessStatus(response.status);
+    const bodyOk = !config.successBodyMatch || text.includes(config.successBodyMatch);
+
+    return {
+      success: statusOk && bodyOk,
+      status: response.status,
+      response: text.substring(0, 500),
+      error: statusOk ? (bodyOk ? null : 'Response body did not match') : `Unexpected status ${response.status}`
+    };
+  } catch (error) {
+    return { success: false, status: null, response: null, error: error.message };
+  }
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  validateConfig,
+  send
+};
@@ -2,12 +2,71 @@ const Database = require('better-sqlite3');
 const CryptoJS = require('crypto-js');
 const bcrypt = require('bcryptjs');
 const path = require('path');
+const { parseMetricValue } = require('./onuMonitor');
 
 /**
  * Database Module
  * Handles all database operations with encryption for sensitive data
  */
 
+/**
+ * Aggregate columns shared by the hourly rollup and on-the-fly history queries
+ */
+const AGGREGATE_COLUMNS = `
+  COUNT(*) AS samples,
+  SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) AS failures,
+  MIN(rx_power) AS rx_min, AVG(rx_power) AS rx_avg, MAX(rx_power) AS rx_max,
+  AVG(tx_power) AS tx_avg,
+  MIN(temperature) AS temp_min, AVG(temperature) AS temp_avg, MAX(temperature) AS temp_max,
+  AVG(voltage) AS voltage_avg,
+  AVG(bias_current) AS bias_avg
+`;
+
+/**
+ * Rollup tables and their bucket sizes
+ */
+const ROLLUP_BUCKETS = {
+  hourly: { table: 'readings_hourly', format: '%Y-%m-%d %H:00:00', step: '+1 hour' },
+  daily: { table: 'readings_daily', format: '%Y-%m-%d 00:00:00', step: '+1 day' }
+};
+
+/**
+ * Most raw readings returned by a history query, the cap of getReadings
+ */
+const MAX_RAW_HISTORY_POINTS = 10000;
+
+/**
+ * Average of hourly averages weighted by the number of successful polls
+ */
+function weightedAverage(column) {
+  return `SUM(${column} * (samples - failures)) / NULLIF(SUM(CASE WHEN ${column} IS NOT NULL THEN samples - failures ELSE 0 END), 0)`;
+}
+
+/**
+ * Convert a Date, ISO string or epoch milliseconds to a Date
+ */
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Convert a Date, ISO string or epoch milliseconds to SQLite's UTC DATETIME format
+ */
+function toSqlTimestamp(value) {
+  return toDate(value).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Convert SQLite's UTC DATETIME format to an ISO 8601 string
+ */
+function fromSqlTimestamp(value) {
+  return value ? `${value.replace(' ', 'T')}Z` : null;
+}
+
 class DatabaseManager {
   constructor(dbPath = './data/onu_monitor.db', encryptionKey = process.env.ENCRYPTION_KEY || 'default-key-change-me') {
     this.dbPath = dbPath;
@@ -50,6 +109,7 @@ class DatabaseManager {
         password_encrypted TEXT NOT NULL,
         onu_type TEXT NOT NULL CHECK(onu_type IN ('blue', 'red')),
         enabled INTEGER DEFAULT 1,
+        device_group TEXT,
         
         -- Monitoring settings
         monitoring_interval INTEGER DEFAULT 900,
@@ -63,7 +123,38 @@ class DatabaseManager {
         temp_high_threshold REAL DEFAULT 70.0,
         notify_temp_low INTEGER DEFAULT 0,
         temp_low_threshold REAL DEFAULT 0.0,
+        rx_power_clear_threshold REAL,
+        temp_high_clear_threshold REAL,
+        temp_low_clear_threshold REAL,
+        alert_trigger_polls INTEGER DEFAULT 1,
+        alert_clear_polls INTEGER DEFAULT 1,
+        notify_tx_power INTEGER DEFAULT 0,
+        tx_power_low_threshold REAL,
+        tx_power_high_threshold REAL,
+        notify_voltage INTEGER DEFAULT 0,
+        voltage_low_threshold REAL,
+        voltage_high_threshold REAL,
+        notify_bias_current INTEGER DEFAULT 0,
+        bias_current_low_threshold REAL,
+        bias_current_high_threshold REAL,
+        tx_power_low_clear_threshold REAL,
+        tx_power_high_clear_threshold REAL,
+        voltage_low_clear_threshold REAL,
+        voltage_high_clear_threshold REAL,
+        bias_current_low_clear_threshold REAL,
+        bias_current_high_clear_threshold REAL,
+        upstream_olt TEXT,
+        upstream_pon TEXT,
+        upstream_splitter TEXT,
         notify_offline INTEGER DEFAULT 0,
+        notify_rx_trend INTEGER DEFAULT 0,
+        rx_trend_window_hours INTEGER DEFAULT 24,
+        rx_trend_max_drop REAL DEFAULT 2.0,
+        notify_anomaly INTEGER DEFAULT 0,
+        anomaly_sigma REAL DEFAULT 3.0,
+        anomaly_rx_delta REAL DEFAULT 3.0,
+        anomaly_temp_delta REAL DEFAULT 10.0,
+        escalation_policy_id INTEGER,
         
         -- Notification state tracking
         last_notification_sent DATETIME,
@@ -82,7 +173,312 @@ class DatabaseManager {
         api_url TEXT NOT NULL,
         phone_numbers TEXT,
         enabled INTEGER DEFAULT 1,
+        method TEXT DEFAULT 'GET',
+        body_format TEXT DEFAULT 'form',
+        body_template TEXT,
+        auth_type TEXT DEFAULT 'none',
+        auth_header TEXT,
+        auth_username TEXT,
+        auth_secret_encrypted TEXT,
+        batch INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Create readings table (time-series history of every scheduled poll)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS readings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id INTEGER NOT NULL,
+        recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        success INTEGER NOT NULL,
+        rx_power REAL,
+        tx_power REAL,
+        temperature REAL,
+        voltage REAL,
+        bias_current REAL,
+        ui_type TEXT,
+        error TEXT
+      )
+    `);
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_readings_device_time
+      ON readings (device_id, recorded_at)
+    `);
+    
+    // Create hourly and daily rollups of the readings table
+    for (const table of ['readings_hourly', 'readings_daily']) {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          device_id INTEGER NOT NULL,
+          bucket_start DATETIME NOT NULL,
+          samples INTEGER NOT NULL,
+          failures INTEGER NOT NULL,
+          rx_min REAL,
+          rx_avg REAL,
+          rx_max REAL,
+          tx_avg REAL,
+          temp_min REAL,
+          temp_avg REAL,
+          temp_max REAL,
+          voltage_avg REAL,
+          bias_avg REAL,
+          PRIMARY KEY (device_id, bucket_start)
+        )
+      `);
+    }
+    
+    // Create learned per-device baselines
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS device_baselines (
+        device_id INTEGER PRIMARY KEY,
+        rx_mean REAL,
+        rx_stddev REAL,
+        rx_samples INTEGER DEFAULT 0,
+        temp_mean REAL,
+        temp_stddev REAL,
+        temp_samples INTEGER DEFAULT 0,
+        window_days INTEGER NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Create alert lifecycle state table (one row per device and alert type)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS alert_states (
+        device_id INTEGER NOT NULL,
+        alert_type TEXT NOT NULL,
+        state TEXT NOT NULL CHECK(state IN ('firing', 'resolved')),
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_notified DATETIME,
+        resolved_at DATETIME,
+        notify_count INTEGER DEFAULT 0,
+        last_message TEXT,
+        acknowledged_at DATETIME,
+        acknowledged_by TEXT,
+        escalation_step INTEGER DEFAULT 0,
+        last_escalated_at DATETIME,
+        PRIMARY KEY (device_id, alert_type)
+      )
+    `);
+    
+    // Create suspected outages (several devices under one upstream element offline together)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS outages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        element TEXT NOT NULL,
+        state TEXT NOT NULL DEFAULT 'active' CHECK(state IN ('active', 'resolved')),
+        device_ids TEXT NOT NULL,
+        message TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME
+      )
+    `);
+    
+    // Create offline devices whose notifications are held for outage correlation;
+    // rows without an outage are still waiting for the correlation window to end
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS outage_devices (
+        device_id INTEGER PRIMARY KEY,
+        outage_id INTEGER,
+        element TEXT NOT NULL,
+        message TEXT,
+        offline_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Create threshold condition counters (consecutive polls a threshold changed state for)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS threshold_polls (
+        device_id INTEGER NOT NULL,
+        alert_type TEXT NOT NULL,
+        polls INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (device_id, alert_type)
+      )
+    `);
+    
+    // Create event log (alerts, status changes, notification attempts, poll failures)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id INTEGER,
+        event_type TEXT NOT NULL,
+        alert_type TEXT,
+        message TEXT,
+        recipient TEXT,
+        success INTEGER,
+        details TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_events_device_time
+      ON events (device_id, created_at)
+    `);
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_events_time
+      ON events (created_at)
+    `);
+    
+    // Create notification silences for a device or a device group
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS silences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id INTEGER,
+        device_group TEXT,
+        starts_at DATETIME NOT NULL,
+        ends_at DATETIME NOT NULL,
+        reason TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Create one-off and weekly maintenance windows (no device or group = all devices)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS maintenance_windows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        device_id INTEGER,
+        device_group TEXT,
+        recurrence TEXT NOT NULL CHECK(recurrence IN ('once', 'weekly')),
+        starts_at DATETIME,
+        ends_at DATETIME,
+        days TEXT,
+        start_time TEXT,
+        duration_minutes INTEGER,
+        timezone TEXT,
+        enabled INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Create notification channels (webhook, ...) with encrypted JSON config
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_channels (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        name TEXT NOT NULL,
+        enabled INTEGER DEFAULT 1,
+        config_encrypted TEXT NOT NULL,
+        quiet_hours TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Create user-edited notification message templates (channel 'default' applies to all channels)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS message_templates (
+        alert_type TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        template TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (alert_type, channel)
+      )
+    `);
+    
+    // Create notification contacts (alert_types: comma-separated filter, empty = all alerts)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        phone TEXT,
+        email TEXT,
+        telegram_id TEXT,
+        alert_types TEXT,
+        quiet_hours TEXT,
+        enabled INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Create contact groups, their members and the devices or device groups they are assigned to
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS contact_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS contact_group_members (
+        group_id INTEGER NOT NULL,
+        contact_id INTEGER NOT NULL,
+        PRIMARY KEY (group_id, contact_id)
+      )
+    `);
+    
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS contact_group_assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id INTEGER NOT NULL,
+        device_id INTEGER,
+        device_group TEXT
+      )
+    `);
+    
+    // Create escalation policies (steps: JSON list of { delayMinutes, contactGroupId })
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS escalation_policies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        steps TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Create notifications held back during the quiet hours of a contact or channel
+    // (recipients: JSON list overriding the channel's recipients, for routed contacts)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS held_notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        contact_id INTEGER,
+        channel_id INTEGER,
+        recipients TEXT,
+        device_id INTEGER,
+        alert_type TEXT,
+        severity TEXT,
+        message TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Create the notification outbox: every SMS and channel message is queued here and
+    // delivered by the dispatcher (status: pending, sent, dead after too many attempts, or
+    // skipped when SMS or the channel was disabled before delivery)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id INTEGER,
+        alert_type TEXT,
+        channel TEXT NOT NULL,
+        channel_id INTEGER,
+        recipient TEXT NOT NULL,
+        message TEXT NOT NULL,
+        payload TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME
+      )
+    `);
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_notification_outbox_due
+      ON notification_outbox (status, next_attempt_at)
+    `);
+    
+    // Create key/value settings table
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -111,7 +507,39 @@ class DatabaseManager {
       'notify_offline INTEGER DEFAULT 0',
       'last_notification_sent DATETIME',
       'is_offline_notified INTEGER DEFAULT 0',
-      'consecutive_failures INTEGER DEFAULT 0'
+      'consecutive_failures INTEGER DEFAULT 0',
+      'device_group TEXT',
+      'notify_rx_trend INTEGER DEFAULT 0',
+      'rx_trend_window_hours INTEGER DEFAULT 24',
+      'rx_trend_max_drop REAL DEFAULT 2.0',
+      'notify_anomaly INTEGER DEFAULT 0',
+      'anomaly_sigma REAL DEFAULT 3.0',
+      'anomaly_rx_delta REAL DEFAULT 3.0',
+      'anomaly_temp_delta REAL DEFAULT 10.0',
+      'escalation_policy_id INTEGER',
+      'rx_power_clear_threshold REAL',
+      'temp_high_clear_threshold REAL',
+      'temp_low_clear_threshold REAL',
+      'alert_trigger_polls INTEGER DEFAULT 1',
+      'alert_clear_polls INTEGER DEFAULT 1',
+      'notify_tx_power INTEGER DEFAULT 0',
+      'tx_power_low_threshold REAL',
+      'tx_power_high_threshold REAL',
+      'notify_voltage INTEGER DEFAULT 0',
+      'voltage_low_threshold REAL',
+      'voltage_high_threshold REAL',
+      'notify_bias_current INTEGER DEFAULT 0',
+      'bias_current_low_threshold REAL',
+      'bias_current_high_threshold REAL',
+      'upstream_olt TEXT',
+      'upstream_pon TEXT',
+      'upstream_splitter TEXT',
+      'tx_power_low_clear_threshold REAL',
+      'tx_power_high_clear_threshold REAL',
+      'voltage_low_clear_threshold REAL',
+      'voltage_high_clear_threshold REAL',
+      'bias_current_low_clear_threshold REAL',
+      'bias_current_high_clear_threshold REAL'
     ];
     
     for (const column of columns) {
@@ -123,12 +551,58 @@ class DatabaseManager {
       }
     }
     
+    // Add bias current columns to the readings and their rollups if they don't exist
+    for (const [table, column] of [['readings', 'bias_current'], ['readings_hourly', 'bias_avg'], ['readings_daily', 'bias_avg']]) {
+      try {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} REAL`);
+      } catch (err) {
+        // Column already exists, ignore
+      }
+    }
+    
     // Add phone_numbers column to sms_config if it doesn't exist
     try {
       this.db.exec(`ALTER TABLE sms_config ADD COLUMN phone_numbers TEXT`);
     } catch (err) {
       // Column already exists, ignore
     }
+    
+    // Add SMS gateway request and auth columns to sms_config if they don't exist
+    const smsColumns = [
+      "method TEXT DEFAULT 'GET'",
+      "body_format TEXT DEFAULT 'form'",
+      'body_template TEXT',
+      "auth_type TEXT DEFAULT 'none'",
+      'auth_header TEXT',
+      'auth_username TEXT',
+      'auth_secret_encrypted TEXT',
+      'batch INTEGER DEFAULT 0'
+    ];
+    for (const column of smsColumns) {
+      try {
+        this.db.exec(`ALTER TABLE sms_config ADD COLUMN ${column}`);
+      } catch (err) {
+        // Column already exists, ignore
+      }
+    }
+    
+    // Add acknowledgement and escalation columns to alert_states if they don't exist
+    for (const column of ['acknowledged_at DATETIME', 'acknowledged_by TEXT', 'escalation_step INTEGER DEFAULT 0', 'last_escalated_at DATETIME']) {
+      try {
+        this.db.exec(`ALTER TABLE alert_states ADD COLUMN ${column}`);
+      } catch (err) {
+        // Column already exists, ignore
+      }
+    }
+    
+    // Add quiet_hours columns to contacts and notification_channels if they don't exist
+    for (const table of ['contacts', 'notification_channels']) {
+      try {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN quiet_hours TEXT`);
+      } catch (err) {
+        // Column already exists, ignore
+      }
+    }
   }
 
   /**
@@ -215,9 +689,21 @@ class DatabaseManager {
         notify_rx_power, rx_power_threshold,
         notify_temp_high, temp_high_threshold,
         notify_temp_low, temp_low_threshold,
-        notify_offline
+        notify_offline, device_group,
+        notify_rx_trend, rx_trend_window_hours, rx_trend_max_drop,
+        notify_anomaly, anomaly_sigma, anomaly_rx_delta, anomaly_temp_delta,
+        escalation_policy_id,
+        rx_power_clear_threshold, temp_high_clear_threshold, temp_low_clear_threshold,
+        alert_trigger_polls, alert_clear_polls,
+        notify_tx_power, tx_power_low_threshold, tx_power_high_threshold,
+        notify_voltage, voltage_low_threshold, voltage_high_threshold,
+        notify_bias_current, bias_current_low_threshold, bias_current_high_threshold,
+        upstream_olt, upstream_pon, upstream_splitter,
+        tx_power_low_clear_threshold, tx_power_high_clear_threshold,
+        voltage_low_clear_threshold, voltage_high_clear_threshold,
+        bias_current_low_clear_threshold, bias_current_high_clear_threshold
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     
     const result = stmt.run(
@@ -231,7 +717,39 @@ class DatabaseManager {
       config.tempHighThreshold || 70.0,
       config.notifyTempLow ? 1 : 0,
       config.tempLowThreshold || 0.0,
-      config.notifyOffline ? 1 : 0
+      config.notifyOffline ? 1 : 0,
+      config.deviceGroup || null,
+      config.notifyRxTrend ? 1 : 0,
+      config.rxTrendWindowHours || 24,
+      config.rxTrendMaxDrop || 2.0,
+      config.notifyAnomaly ? 1 : 0,
+      config.anomalySigma || 3.0,
+      config.anomalyRxDelta || 3.0,
+      config.anomalyTempDelta || 10.0,
+      config.escalationPolicyId || null,
+      config.rxPowerClearThreshold ?? null,
+      config.tempHighClearThreshold ?? null,
+      config.tempLowClearThreshold ?? null,
+      config.alertTriggerPolls || 1,
+      config.alertClearPolls || 1,
+      config.notifyTxPower ? 1 : 0,
+      config.txPowerLowThreshold ?? null,
+      config.txPowerHighThreshold ?? null,
+      config.notifyVoltage ? 1 : 0,
+      config.voltageLowThreshold ?? null,
+      config.voltageHighThreshold ?? null,
+      config.notifyBiasCurrent ? 1 : 0,
+      config.biasCurrentLowThreshold ?? null,
+      config.biasCurrentHighThreshold ?? null,
+      config.upstreamOlt || null,
+      config.upstreamPon || null,
+      config.upstreamSplitter || null,
+      config.txPowerLowClearThreshold ?? null,
+      config.txPowerHighClearThreshold ?? null,
+      config.voltageLowClearThreshold ?? null,
+      config.voltageHighClearThreshold ?? null,
+      config.biasCurrentLowClearThreshold ?? null,
+      config.biasCurrentHighClearThreshold ?? null
     );
     return result.lastInsertRowid;
   }
@@ -251,7 +769,19 @@ class DatabaseManager {
             notify_rx_power = ?, rx_power_threshold = ?,
             notify_temp_high = ?, temp_high_threshold = ?,
             notify_temp_low = ?, temp_low_threshold = ?,
-            notify_offline = ?,
+            notify_offline = ?, device_group = ?,
+            notify_rx_trend = ?, rx_trend_window_hours = ?, rx_trend_max_drop = ?,
+            notify_anomaly = ?, anomaly_sigma = ?, anomaly_rx_delta = ?, anomaly_temp_delta = ?,
+            escalation_policy_id = ?,
+            rx_power_clear_threshold = ?, temp_high_clear_threshold = ?, temp_low_clear_threshold = ?,
+            alert_trigger_polls = ?, alert_clear_polls = ?,
+            notify_tx_power = ?, tx_power_low_threshold = ?, tx_power_high_threshold = ?,
+            notify_voltage = ?, voltage_low_threshold = ?, voltage_high_threshold = ?,
+            notify_bias_current = ?, bias_current_low_threshold = ?, bias_current_high_threshold = ?,
+            upstream_olt = ?, upstream_pon = ?, upstream_splitter = ?,
+            tx_power_low_clear_threshold = ?, tx_power_high_clear_threshold = ?,
+            voltage_low_clear_threshold = ?, voltage_high_clear_threshold = ?,
+            bias_current_low_clear_threshold = ?, bias_current_high_clear_threshold = ?,
             updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
       `;
@@ -267,6 +797,38 @@ class DatabaseManager {
         config.notifyTempLow ? 1 : 0,
         config.tempLowThreshold || 0.0,
         config.notifyOffline ? 1 : 0,
+        config.deviceGroup || null,
+        config.notifyRxTrend ? 1 : 0,
+        config.rxTrendWindowHours || 24,
+        config.rxTrendMaxDrop || 2.0,
+        config.notifyAnomaly ? 1 : 0,
+        config.anomalySigma || 3.0,
+        config.anomalyRxDelta || 3.0,
+        config.anomalyTempDelta || 10.0,
+        config.escalationPolicyId || null,
+        config.rxPowerClearThreshold ?? null,
+        config.tempHighClearThreshold ?? null,
+        config.tempLowClearThreshold ?? null,
+        config.alertTriggerPolls || 1,
+        config.alertClearPolls || 1,
+        config.notifyTxPower ? 1 : 0,
+        config.txPowerLowThreshold ?? null,
+        config.txPowerHighThreshold ?? null,
+        config.notifyVoltage ? 1 : 0,
+        config.voltageLowThreshold ?? null,
+        config.voltageHighThreshold ?? null,
+        config.notifyBiasCurrent ? 1 : 0,
+        config.biasCurrentLowThreshold ?? null,
+        config.biasCurrentHighThreshold ?? null,
+        config.upstreamOlt || null,
+        config.upstreamPon || null,
+        config.upstreamSplitter || null,
+        config.txPowerLowClearThreshold ?? null,
+        config.txPowerHighClearThreshold ?? null,
+        config.voltageLowClearThreshold ?? null,
+        config.voltageHighClearThreshold ?? null,
+        config.biasCurrentLowClearThreshold ?? null,
+        config.biasCurrentHighClearThreshold ?? null,
         id
       ];
     } else {
@@ -277,7 +839,19 @@ class DatabaseManager {
             notify_rx_power = ?, rx_power_threshold = ?,
             notify_temp_high = ?, temp_high_threshold = ?,
             notify_temp_low = ?, temp_low_threshold = ?,
-            notify_offline = ?,
+            notify_offline = ?, device_group = ?,
+            notify_rx_trend = ?, rx_trend_window_hours = ?, rx_trend_max_drop = ?,
+            notify_anomaly = ?, anomaly_sigma = ?, anomaly_rx_delta = ?, anomaly_temp_delta = ?,
+            escalation_policy_id = ?,
+            rx_power_clear_threshold = ?, temp_high_clear_threshold = ?, temp_low_clear_threshold = ?,
+            alert_trigger_polls = ?, alert_clear_polls = ?,
+            notify_tx_power = ?, tx_power_low_threshold = ?, tx_power_high_threshold = ?,
+            notify_voltage = ?, voltage_low_threshold = ?, voltage_high_threshold = ?,
+            notify_bias_current = ?, bias_current_low_threshold = ?, bias_current_high_threshold = ?,
+            upstream_olt = ?, upstream_pon = ?, upstream_splitter = ?,
+            tx_power_low_clear_threshold = ?, tx_power_high_clear_threshold = ?,
+            voltage_low_clear_threshold = ?, voltage_high_clear_threshold = ?,
+            bias_current_low_clear_threshold = ?, bias_current_high_clear_threshold = ?,
             updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
       `;
@@ -293,6 +867,38 @@ class DatabaseManager {
         config.notifyTempLow ? 1 : 0,
         config.tempLowThreshold || 0.0,
         config.notifyOffline ? 1 : 0,
+        config.deviceGroup || null,
+        config.notifyRxTrend ? 1 : 0,
+        config.rxTrendWindowHours || 24,
+        config.rxTrendMaxDrop || 2.0,
+        config.notifyAnomaly ? 1 : 0,
+        config.anomalySigma || 3.0,
+        config.anomalyRxDelta || 3.0,
+        config.anomalyTempDelta || 10.0,
+        config.escalationPolicyId || null,
+        config.rxPowerClearThreshold ?? null,
+        config.tempHighClearThreshold ?? null,
+        config.tempLowClearThreshold ?? null,
+        config.alertTriggerPolls || 1,
+        config.alertClearPolls || 1,
+        config.notifyTxPower ? 1 : 0,
+        config.txPowerLowThreshold ?? null,
+        config.txPowerHighThreshold ?? null,
+        config.notifyVoltage ? 1 : 0,
+        config.voltageLowThreshold ?? null,
+        config.voltageHighThreshold ?? null,
+        config.notifyBiasCurrent ? 1 : 0,
+        config.biasCurrentLowThreshold ?? null,
+        config.biasCurrentHighThreshold ?? null,
+        config.upstreamOlt || null,
+        config.upstreamPon || null,
+        config.upstreamSplitter || null,
+        config.txPowerLowClearThreshold ?? null,
+        config.txPowerHighClearThreshold ?? null,
+        config.voltageLowClearThreshold ?? null,
+        config.voltageHighClearThreshold ?? null,
+        config.biasCurrentLowClearThreshold ?? null,
+        config.biasCurrentHighClearThreshold ?? null,
         id
       ];
     }
@@ -306,6 +912,15 @@ class DatabaseManager {
    * Delete ONU device
    */
   deleteONUDevice(id) {
+    const deviceTables = [
+      'readings', 'readings_hourly', 'readings_daily', 'device_baselines',
+      'alert_states', 'events', 'silences', 'maintenance_windows', 'contact_group_assignments',
+      'held_notifications', 'notification_outbox', 'threshold_polls', 'outage_devices'
+    ];
+    for (const table of deviceTables) {
+      this.db.prepare(`DELETE FROM ${table} WHERE device_id = ?`).run(id);
+    }
+    
     const stmt = this.db.prepare('DELETE FROM onu_devices WHERE id = ?');
     const result = stmt.run(id);
     return result.changes > 0;
@@ -325,6 +940,7 @@ class DatabaseManager {
       username: device.username,
       password: this.decrypt(device.password_encrypted),
       onuType: device.onu_type,
+      deviceGroup: device.device_group,
       monitoringInterval: device.monitoring_interval,
       retryAttempts: device.retry_attempts,
       retryDelay: device.retry_delay,
@@ -334,7 +950,38 @@ class DatabaseManager {
       tempHighThreshold: device.temp_high_threshold,
       notifyTempLow: device.notify_temp_low === 1,
       tempLowThreshold: device.temp_low_threshold,
+      rxPowerClearThreshold: device.rx_power_clear_threshold,
+      tempHighClearThreshold: device.temp_high_clear_threshold,
+      tempLowClearThreshold: device.temp_low_clear_threshold,
+      alertTriggerPolls: device.alert_trigger_polls || 1,
+      alertClearPolls: device.alert_clear_polls || 1,
+      notifyTxPower: device.notify_tx_power === 1,
+      txPowerLowThreshold: device.tx_power_low_threshold,
+      txPowerHighThreshold: device.tx_power_high_threshold,
+      notifyVoltage: device.notify_voltage === 1,
+      voltageLowThreshold: device.voltage_low_threshold,
+      voltageHighThreshold: device.voltage_high_threshold,
+      notifyBiasCurrent: device.notify_bias_current === 1,
+      biasCurrentLowThreshold: device.bias_current_low_threshold,
+      biasCurrentHighThreshold: device.bias_current_high_threshold,
+      txPowerLowClearThreshold: device.tx_power_low_clear_threshold,
+      txPowerHighClearThreshold: device.tx_power_high_clear_threshold,
+      voltageLowClearThreshold: device.voltage_low_clear_threshold,
+      voltageHighClearThreshold: device.voltage_high_clear_threshold,
+      biasCurrentLowClearThreshold: device.bias_current_low_clear_threshold,
+      biasCurrentHighClearThreshold: device.bias_current_high_clear_threshold,
+      upstreamOlt: device.upstream_olt,
+      upstreamPon: device.upstream_pon,
+      upstreamSplitter: device.upstream_splitter,
       notifyOffline: device.notify_offline === 1,
+      notifyRxTrend: device.notify_rx_trend === 1,
+      rxTrendWindowHours: device.rx_trend_window_hours,
+      rxTrendMaxDrop: device.rx_trend_max_drop,
+      notifyAnomaly: device.notify_anomaly === 1,
+      anomalySigma: device.anomaly_sigma,
+      anomalyRxDelta: device.anomaly_rx_delta,
+      anomalyTempDelta: device.anomaly_temp_delta,
+      escalationPolicyId: device.escalation_policy_id,
       isOfflineNotified: device.is_offline_notified === 1,
       consecutiveFailures: device.consecutive_failures,
       createdAt: device.created_at,
@@ -358,6 +1005,7 @@ class DatabaseManager {
       username: device.username,
       password: this.decrypt(device.password_encrypted),
       onuType: device.onu_type,
+      deviceGroup: device.device_group,
       monitoringInterval: device.monitoring_interval,
       retryAttempts: device.retry_attempts,
       retryDelay: device.retry_delay,
@@ -367,7 +1015,38 @@ class DatabaseManager {
       tempHighThreshold: device.temp_high_threshold,
       notifyTempLow: device.notify_temp_low === 1,
       tempLowThreshold: device.temp_low_threshold,
+      rxPowerClearThreshold: device.rx_power_clear_threshold,
+      tempHighClearThreshold: device.temp_high_clear_threshold,
+      tempLowClearThreshold: device.temp_low_clear_threshold,
+      alertTriggerPolls: device.alert_trigger_polls || 1,
+      alertClearPolls: device.alert_clear_polls || 1,
+      notifyTxPower: device.notify_tx_power === 1,
+      txPowerLowThreshold: device.tx_power_low_threshold,
+      txPowerHighThreshold: device.tx_power_high_threshold,
+      notifyVoltage: device.notify_voltage === 1,
+      voltageLowThreshold: device.voltage_low_threshold,
+      voltageHighThreshold: device.voltage_high_threshold,
+      notifyBiasCurrent: device.notify_bias_current === 1,
+      biasCurrentLowThreshold: device.bias_current_low_threshold,
+      biasCurrentHighThreshold: device.bias_current_high_threshold,
+      txPowerLowClearThreshold: device.tx_power_low_clear_threshold,
+      txPowerHighClearThreshold: device.tx_power_high_clear_threshold,
+      voltageLowClearThreshold: device.voltage_low_clear_threshold,
+      voltageHighClearThreshold: device.voltage_high_clear_threshold,
+      biasCurrentLowClearThreshold: device.bias_current_low_clear_threshold,
+      biasCurrentHighClearThreshold: device.bias_current_high_clear_threshold,
+      upstreamOlt: device.upstream_olt,
+      upstreamPon: device.upstream_pon,
+      upstreamSplitter: device.upstream_splitter,
       notifyOffline: device.notify_offline === 1,
+      notifyRxTrend: device.notify_rx_trend === 1,
+      rxTrendWindowHours: device.rx_trend_window_hours,
+      rxTrendMaxDrop: device.rx_trend_max_drop,
+      notifyAnomaly: device.notify_anomaly === 1,
+      anomalySigma: device.anomaly_sigma,
+      anomalyRxDelta: device.anomaly_rx_delta,
+      anomalyTempDelta: device.anomaly_temp_delta,
+      escalationPolicyId: device.escalation_policy_id,
       isOfflineNotified: device.is_offline_notified === 1,
       consecutiveFailures: device.consecutive_failures,
       createdAt: device.created_at,
@@ -391,44 +1070,1560 @@ class DatabaseManager {
   }
 
   /**
-   * SMS API Configuration Methods
+   * Reading History Methods
    */
-  
-  getSMSConfig() {
-    const stmt = this.db.prepare('SELECT * FROM sms_config WHERE id = 1');
-    const config = stmt.get();
+
+  /**
+   * Store the result of a monitoring poll
+   */
+  addReading(deviceId, result) {
+    const data = result.success && result.data ? result.data : {};
     
-    if (config && config.phone_numbers) {
-      // Parse phone numbers from comma-separated string
-      config.phoneNumbersArray = config.phone_numbers.split(',').map(p => p.trim()).filter(p => p);
+    const stmt = this.db.prepare(`
+      INSERT INTO readings (
+        device_id, success, rx_power, tx_power, temperature, voltage, bias_current, ui_type, error
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    const info = stmt.run(
+      deviceId,
+      result.success ? 1 : 0,
+      parseMetricValue(data.currentValue),
+      parseMetricValue(data.txPower),
+      parseMetricValue(data.temperature),
+      parseMetricValue(data.voltage),
+      parseMetricValue(data.biasCurrent),
+      data.uiType || null,
+      result.success ? null : (result.error || 'Unknown error')
+    );
+    return info.lastInsertRowid;
+  }
+
+  /**
+   * Get readings for a device, oldest first.
+   * When more rows match than the limit, the most recent ones are returned.
+   */
+  getReadings(deviceId, options = {}) {
+    const conditions = ['device_id = ?'];
+    const params = [deviceId];
+    
+    if (options.from) {
+      conditions.push('recorded_at >= ?');
+      params.push(toSqlTimestamp(options.from));
+    }
+    if (options.to) {
+      conditions.push('recorded_at <= ?');
+      params.push(toSqlTimestamp(options.to));
     }
     
-    return config;
+    const limit = Math.min(parseInt(options.limit) || 1000, 10000);
+    params.push(limit);
+    
+    const stmt = this.db.prepare(`
+      SELECT * FROM readings
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY recorded_at DESC, id DESC
+      LIMIT ?
+    `);
+    
+    return stmt.all(...params).reverse().map(row => ({
+      id: row.id,
+      deviceId: row.device_id,
+      recordedAt: fromSqlTimestamp(row.recorded_at),
+      success: row.success === 1,
+      rxPower: row.rx_power,
+      txPower: row.tx_power,
+      temperature: row.temperature,
+      voltage: row.voltage,
+      biasCurrent: row.bias_current,
+      uiType: row.ui_type,
+      error: row.error
+    }));
   }
-  
-  saveSMSConfig(apiUrl, phoneNumbers, enabled = true) {
-    const existing = this.getSMSConfig();
+
+  /**
+   * Get the most recent reading and the most recent successful reading of every device
+   */
+  getLatestReadings() {
+    const mapRow = (row) => ({
+      deviceId: row.device_id,
+      recordedAt: fromSqlTimestamp(row.recorded_at),
+      success: row.success === 1,
+      rxPower: row.rx_power,
+      txPower: row.tx_power,
+      temperature: row.temperature,
+      voltage: row.voltage,
+      biasCurrent: row.bias_current,
+      error: row.error
+    });
     
-    // Convert array to comma-separated string if needed
-    const phoneNumbersStr = Array.isArray(phoneNumbers) 
-      ? phoneNumbers.join(', ') 
-      : phoneNumbers || '';
+    const latest = this.db.prepare(`
+      SELECT r.* FROM readings r
+      JOIN (SELECT MAX(id) AS id FROM readings GROUP BY device_id) l ON l.id = r.id
+    `).all();
+    const latestSuccess = this.db.prepare(`
+      SELECT r.* FROM readings r
+      JOIN (SELECT MAX(id) AS id FROM readings WHERE success = 1 GROUP BY device_id) l ON l.id = r.id
+    `).all();
     
-    if (existing) {
-      const stmt = this.db.prepare(`
-        UPDATE sms_config 
-        SET api_url = ?, phone_numbers = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP 
-        WHERE id = 1
-      `);
-      stmt.run(apiUrl, phoneNumbersStr, enabled ? 1 : 0);
-    } else {
-      const stmt = this.db.prepare(`
-        INSERT INTO sms_config (id, api_url, phone_numbers, enabled) 
-        VALUES (1, ?, ?, ?)
-      `);
-      stmt.run(apiUrl, phoneNumbersStr, enabled ? 1 : 0);
+    const result = new Map();
+    for (const row of latest) {
+      result.set(row.device_id, { latest: mapRow(row), latestSuccess: null });
     }
-    return true;
+    for (const row of latestSuccess) {
+      result.get(row.device_id).latestSuccess = mapRow(row);
+    }
+    return result;
+  }
+
+  /**
+   * Count polls and failed polls per device since a point in time, optionally up to another
+   */
+  getPollCounts(since, until = null) {
+    const untilSql = until ? toSqlTimestamp(until) : null;
+    return this.db.prepare(`
+      SELECT device_id, COUNT(*) AS polls, SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) AS failures
+      FROM readings
+      WHERE recorded_at >= ? AND (? IS NULL OR recorded_at <= ?)
+      GROUP BY device_id
+    `).all(toSqlTimestamp(since), untilSql, untilSql).map(row => ({
+      deviceId: row.device_id,
+      polls: row.polls,
+      failures: row.failures
+    }));
+  }
+
+  /**
+   * Get a page of readings for export, joined with device details.
+   * Pages are keyed on the reading id so large exports never hold the connection open.
+   */
+  getReadingsForExport(options = {}) {
+    const conditions = ['r.id > ?'];
+    const params = [options.afterId || 0];
+    
+    if (options.deviceId) {
+      conditions.push('r.device_id = ?');
+      params.push(options.deviceId);
+    }
+    if (options.group) {
+      conditions.push('d.device_group = ?');
+      params.push(options.group);
+    }
+    if (options.from) {
+      conditions.push('r.recorded_at >= ?');
+      params.push(toSqlTimestamp(options.from));
+    }
+    if (options.to) {
+      conditions.push('r.recorded_at <= ?');
+      params.push(toSqlTimestamp(options.to));
+    }
+    params.push(options.limit || 1000);
+    
+    const stmt = this.db.prepare(`
+      SELECT r.*, d.name AS device_name, d.host AS device_host, d.device_group
+      FROM readings r
+      JOIN onu_devices d ON d.id = r.device_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY r.id
+      LIMIT ?
+    `);
+    
+    return stmt.all(...params).map(row => ({
+      id: row.id,
+      deviceId: row.device_id,
+      deviceName: row.device_name,
+      host: row.device_host,
+      deviceGroup: row.device_group,
+      recordedAt: fromSqlTimestamp(row.recorded_at),
+      success: row.success === 1,
+      rxPower: row.rx_power,
+      txPower: row.tx_power,
+      temperature: row.temperature,
+      voltage: row.voltage,
+      biasCurrent: row.bias_current,
+      uiType: row.ui_type,
+      error: row.error
+    }));
+  }
+
+  /**
+   * Get aggregated reading history, picking the resolution from the range.
+   * Buckets newer than the last compaction are aggregated from raw readings on the fly.
+   */
+  getReadingHistory(deviceId, options = {}) {
+    const to = options.to ? toDate(options.to) : new Date();
+    const from = options.from ? toDate(options.from) : new Date(to.getTime() - 24 * 3600 * 1000);
+    const resolution = options.resolution && options.resolution !== 'auto'
+      ? options.resolution
+      : this.pickHistoryResolution(deviceId, from, to);
+    
+    if (resolution === 'raw') {
+      const readings = this.getReadings(deviceId, { from, to, limit: MAX_RAW_HISTORY_POINTS });
+      return {
+        resolution,
+        points: readings.map(r => ({
+          time: r.recordedAt,
+          samples: 1,
+          failures: r.success ? 0 : 1,
+          rxMin: r.rxPower,
+          rxAvg: r.rxPower,
+          rxMax: r.rxPower,
+          txAvg: r.txPower,
+          tempMin: r.temperature,
+          tempAvg: r.temperature,
+          tempMax: r.temperature,
+          voltageAvg: r.voltage,
+          biasAvg: r.biasCurrent
+        }))
+      };
+    }
+    
+    const bucket = ROLLUP_BUCKETS[resolution];
+    if (!bucket) {
+      throw new Error(`Unknown resolution: ${resolution}`);
+    }
+    
+    const fromSql = toSqlTimestamp(from);
+    const toSql = toSqlTimestamp(to);
+    
+    const stored = this.db.prepare(`
+      SELECT * FROM ${bucket.table}
+      WHERE device_id = ? AND bucket_start >= strftime('${bucket.format}', ?) AND bucket_start <= ?
+      ORDER BY bucket_start
+    `).all(deviceId, fromSql, toSql);
+    
+    // Aggregate readings that have not been rolled up yet
+    const last = this.db.prepare(`SELECT MAX(bucket_start) AS last FROM ${bucket.table} WHERE device_id = ?`).get(deviceId).last;
+    const tail = this.db.prepare(`
+      SELECT device_id, strftime('${bucket.format}', recorded_at) AS bucket_start, ${AGGREGATE_COLUMNS}
+      FROM readings
+      WHERE device_id = ? AND recorded_at >= ? AND recorded_at <= ?
+        AND (? IS NULL OR recorded_at >= datetime(?, '${bucket.step}'))
+      GROUP BY bucket_start
+      ORDER BY bucket_start
+    `).all(deviceId, fromSql, toSql, last, last);
+    
+    return {
+      resolution,
+      points: stored.concat(tail).map(row => ({
+        time: fromSqlTimestamp(row.bucket_start),
+        samples: row.samples,
+        failures: row.failures,
+        rxMin: row.rx_min,
+        rxAvg: row.rx_avg,
+        rxMax: row.rx_max,
+        txAvg: row.tx_avg,
+        tempMin: row.temp_min,
+        tempAvg: row.temp_avg,
+        tempMax: row.temp_max,
+        voltageAvg: row.voltage_avg,
+        biasAvg: row.bias_avg
+      }))
+    };
+  }
+
+  /**
+   * Choose raw, hourly or daily resolution for a history range.
+   * Raw readings are only used when all of them fit in one history query.
+   */
+  pickHistoryResolution(deviceId, from, to) {
+    const retention = this.getRetentionSettings();
+    const day = 24 * 3600 * 1000;
+    const grace = 3600 * 1000;
+    const span = to.getTime() - from.getTime();
+    const age = Date.now() - from.getTime();
+    
+    if (span <= 7 * day && age <= retention.rawDays * day + grace) {
+      const { count } = this.db.prepare(`
+        SELECT COUNT(*) AS count FROM readings
+        WHERE device_id = ? AND recorded_at >= ? AND recorded_at <= ?
+      `).get(deviceId, toSqlTimestamp(from), toSqlTimestamp(to));
+      if (count <= MAX_RAW_HISTORY_POINTS) {
+        return 'raw';
+      }
+    }
+    if (span <= 90 * day && age <= retention.hourlyDays * day + grace) {
+      return 'hourly';
+    }
+    return 'daily';
+  }
+
+  /**
+   * Roll raw readings into hourly and daily aggregates and drop data past retention
+   */
+  compactReadings() {
+    const retention = this.getRetentionSettings();
+    
+    const compact = this.db.transaction(() => {
+      // Hourly buckets from raw readings, for every complete hour since the last run
+      const hourly = this.db.prepare(`
+        INSERT OR REPLACE INTO readings_hourly
+        SELECT device_id, strftime('%Y-%m-%d %H:00:00', recorded_at) AS bucket, ${AGGREGATE_COLUMNS}
+        FROM readings
+        WHERE recorded_at >= COALESCE((SELECT MAX(bucket_start) FROM readings_hourly), '0000-00-00 00:00:00')
+          AND recorded_at < strftime('%Y-%m-%d %H:00:00', 'now')
+        GROUP BY device_id, bucket
+      `).run();
+      
+      // Daily buckets from hourly buckets, for every complete day since the last run
+      const daily = this.db.prepare(`
+        INSERT OR REPLACE INTO readings_daily
+        SELECT device_id, strftime('%Y-%m-%d 00:00:00', bucket_start) AS bucket,
+          SUM(samples), SUM(failures),
+          MIN(rx_min), ${weightedAverage('rx_avg')}, MAX(rx_max),
+          ${weightedAverage('tx_avg')},
+          MIN(temp_min), ${weightedAverage('temp_avg')}, MAX(temp_max),
+          ${weightedAverage('voltage_avg')},
+          ${weightedAverage('bias_avg')}
+        FROM readings_hourly
+        WHERE bucket_start >= COALESCE((SELECT MAX(bucket_start) FROM readings_daily), '0000-00-00 00:00:00')
+          AND bucket_start < strftime('%Y-%m-%d 00:00:00', 'now')
+        GROUP BY device_id, bucket
+      `).run();
+      
+      const purge = (table, column, days) => this.db.prepare(
+        `DELETE FROM ${table} WHERE ${column} < datetime('now', ?)`
+      ).run(`-${days} days`).changes;
+      
+      return {
+        hourlyBuckets: hourly.changes,
+        dailyBuckets: daily.changes,
+        rawDeleted: purge('readings', 'recorded_at', retention.rawDays),
+        hourlyDeleted: purge('readings_hourly', 'bucket_start', retention.hourlyDays),
+        dailyDeleted: purge('readings_daily', 'bucket_start', retention.dailyDays),
+        eventsDeleted: purge('events', 'created_at', retention.dailyDays),
+        outboxDeleted: this.db.prepare(`
+          DELETE FROM notification_outbox WHERE status != 'pending' AND created_at < datetime('now', ?)
+        `).run(`-${retention.rawDays} days`).changes
+      };
+    });
+    
+    return compact();
+  }
+
+  /**
+   * Recompute the rolling RX power and temperature baseline of every device
+   */
+  updateDeviceBaselines(windowDays) {
+    const rows = this.db.prepare(`
+      SELECT device_id,
+        COUNT(rx_power) AS rx_samples, AVG(rx_power) AS rx_mean, AVG(rx_power * rx_power) AS rx_sq,
+        COUNT(temperature) AS temp_samples, AVG(temperature) AS temp_mean, AVG(temperature * temperature) AS temp_sq
+      FROM readings
+      WHERE success = 1 AND recorded_at >= datetime('now', ?)
+      GROUP BY device_id
+    `).all(`-${windowDays} days`);
+    
+    // Population standard deviation from E[x²] - E[x]²
+    const stddev = (mean, sq) => (mean === null ? null : Math.sqrt(Math.max(sq - mean * mean, 0)));
+    
+    const upsert = this.db.prepare(`
+      INSERT OR REPLACE INTO device_baselines (
+        device_id, rx_mean, rx_stddev, rx_samples, temp_mean, temp_stddev, temp_samples, window_days, updated_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `);
+    
+    const update = this.db.transaction(() => {
+      for (const row of rows) {
+        upsert.run(
+          row.device_id,
+          row.rx_mean, stddev(row.rx_mean, row.rx_sq), row.rx_samples,
+          row.temp_mean, stddev(row.temp_mean, row.temp_sq), row.temp_samples,
+          windowDays
+        );
+      }
+    });
+    update();
+    return rows.length;
+  }
+
+  /**
+   * Get the learned baseline of a device
+   */
+  getDeviceBaseline(deviceId) {
+    const row = this.db.prepare('SELECT * FROM device_baselines WHERE device_id = ?').get(deviceId);
+    if (!row) return null;
+    
+    return {
+      rxMean: row.rx_mean,
+      rxStddev: row.rx_stddev,
+      rxSamples: row.rx_samples,
+      tempMean: row.temp_mean,
+      tempStddev: row.temp_stddev,
+      tempSamples: row.temp_samples,
+      windowDays: row.window_days,
+      updatedAt: fromSqlTimestamp(row.updated_at)
+    };
+  }
+
+  /**
+   * Alert State Methods
+   */
+
+  mapAlertState(row) {
+    return {
+      deviceId: row.device_id,
+      alertType: row.alert_type,
+      state: row.state,
+      firstSeen: fromSqlTimestamp(row.first_seen),
+      lastSeen: fromSqlTimestamp(row.last_seen),
+      lastNotified: fromSqlTimestamp(row.last_notified),
+      resolvedAt: fromSqlTimestamp(row.resolved_at),
+      notifyCount: row.notify_count,
+      lastMessage: row.last_message,
+      acknowledgedAt: fromSqlTimestamp(row.acknowledged_at),
+      acknowledgedBy: row.acknowledged_by,
+      escalationStep: row.escalation_step || 0,
+      lastEscalatedAt: fromSqlTimestamp(row.last_escalated_at)
+    };
+  }
+
+  /**
+   * Get the alert states of a device
+   */
+  getAlertStates(deviceId) {
+    return this.db.prepare('SELECT * FROM alert_states WHERE device_id = ? ORDER BY alert_type')
+      .all(deviceId)
+      .map(row => this.mapAlertState(row));
+  }
+
+  /**
+   * Get all firing alerts, oldest first
+   */
+  getFiringAlerts() {
+    return this.db.prepare(`SELECT * FROM alert_states WHERE state = 'firing' ORDER BY first_seen`)
+      .all()
+      .map(row => this.mapAlertState(row));
+  }
+
+  /**
+   * Start a new firing period for an alert, resetting its counters
+   */
+  openAlert(deviceId, alertType, message) {
+    this.db.prepare(`
+      INSERT INTO alert_states (device_id, alert_type, state, first_seen, last_seen, last_message)
+      VALUES (?, ?, 'firing', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, ?)
+      ON CONFLICT(device_id, alert_type) DO UPDATE SET
+        state = 'firing',
+        first_seen = CURRENT_TIMESTAMP,
+        last_seen = CURRENT_TIMESTAMP,
+        last_notified = NULL,
+        resolved_at = NULL,
+        notify_count = 0,
+        last_message = excluded.last_message,
+        acknowledged_at = NULL,
+        acknowledged_by = NULL,
+        escalation_step = 0,
+        last_escalated_at = NULL
+    `).run(deviceId, alertType, message);
+    return true;
+  }
+
+  /**
+   * Record that a firing alert is still active
+   */
+  touchAlert(deviceId, alertType, message) {
+    const result = this.db.prepare(`
+      UPDATE alert_states SET last_seen = CURRENT_TIMESTAMP, last_message = ?
+      WHERE device_id = ? AND alert_type = ?
+    `).run(message, deviceId, alertType);
+    return result.changes > 0;
+  }
+
+  /**
+   * Record that a notification was sent for an alert
+   */
+  markAlertNotified(deviceId, alertType) {
+    const result = this.db.prepare(`
+      UPDATE alert_states SET last_notified = CURRENT_TIMESTAMP, notify_count = notify_count + 1
+      WHERE device_id = ? AND alert_type = ?
+    `).run(deviceId, alertType);
+    return result.changes > 0;
+  }
+
+  /**
+   * Acknowledge a firing alert so it is not repeated until it resolves
+   */
+  acknowledgeAlert(deviceId, alertType, username) {
+    const result = this.db.prepare(`
+      UPDATE alert_states SET acknowledged_at = CURRENT_TIMESTAMP, acknowledged_by = ?
+      WHERE device_id = ? AND alert_type = ? AND state = 'firing'
+    `).run(username, deviceId, alertType);
+    return result.changes > 0;
+  }
+
+  /**
+   * Record that an alert was escalated up to (and including) a policy step
+   */
+  markAlertEscalated(deviceId, alertType, step) {
+    const result = this.db.prepare(`
+      UPDATE alert_states SET escalation_step = ?, last_escalated_at = CURRENT_TIMESTAMP
+      WHERE device_id = ? AND alert_type = ?
+    `).run(step, deviceId, alertType);
+    return result.changes > 0;
+  }
+
+  /**
+   * Mark a firing alert as resolved
+   */
+  resolveAlert(deviceId, alertType) {
+    const result = this.db.prepare(`
+      UPDATE alert_states SET state = 'resolved', resolved_at = CURRENT_TIMESTAMP
+      WHERE device_id = ? AND alert_type = ? AND state = 'firing'
+    `).run(deviceId, alertType);
+    return result.changes > 0;
+  }
+
+  /**
+   * Outage Correlation Methods
+   */
+
+  mapOutage(row) {
+    return {
+      id: row.id,
+      element: row.element,
+      state: row.state,
+      deviceIds: JSON.parse(row.device_ids),
+      message: row.message,
+      startedAt: fromSqlTimestamp(row.started_at),
+      resolvedAt: fromSqlTimestamp(row.resolved_at)
+    };
+  }
+
+  mapOutageDevice(row) {
+    return {
+      deviceId: row.device_id,
+      outageId: row.outage_id,
+      element: row.element,
+      message: row.message,
+      offlineAt: fromSqlTimestamp(row.offline_at)
+    };
+  }
+
+  /**
+   * Hold the offline notification of a device until the outage correlation decides on it
+   */
+  holdOfflineDevice(deviceId, element, message, offlineAt = new Date()) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO outage_devices (device_id, outage_id, element, message, offline_at)
+      VALUES (?, NULL, ?, ?, ?)
+    `).run(deviceId, element, message, toSqlTimestamp(offlineAt));
+    return true;
+  }
+
+  /**
+   * Get the offline devices held for outage correlation, oldest first
+   */
+  getOutageDevices() {
+    return this.db.prepare('SELECT * FROM outage_devices ORDER BY offline_at, device_id')
+      .all()
+      .map(row => this.mapOutageDevice(row));
+  }
+
+  getOutageDevice(deviceId) {
+    const row = this.db.prepare('SELECT * FROM outage_devices WHERE device_id = ?').get(deviceId);
+    return row ? this.mapOutageDevice(row) : null;
+  }
+
+  /**
+   * Stop holding a device, e.g. when it comes back online or is notified on its own
+   */
+  releaseOutageDevice(deviceId) {
+    const result = this.db.prepare('DELETE FROM outage_devices WHERE device_id = ?').run(deviceId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Open an outage for an element and attach the held devices to it
+   */
+  createOutage(element, deviceIds, message) {
+    const create = this.db.transaction(() => {
+      const info = this.db.prepare(`
+        INSERT INTO outages (element, device_ids, message) VALUES (?, ?, ?)
+      `).run(element, JSON.stringify(deviceIds), message);
+      const attach = this.db.prepare('UPDATE outage_devices SET outage_id = ? WHERE device_id = ?');
+      for (const deviceId of deviceIds) {
+        attach.run(info.lastInsertRowid, deviceId);
+      }
+      return info.lastInsertRowid;
+    });
+    return create();
+  }
+
+  /**
+   * Attach another held device to an active outage
+   */
+  addDeviceToOutage(outageId, deviceId) {
+    const outage = this.getOutage(outageId);
+    if (!outage) return false;
+    
+    const deviceIds = outage.deviceIds.includes(deviceId) ? outage.deviceIds : [...outage.deviceIds, deviceId];
+    this.db.prepare('UPDATE outages SET device_ids = ? WHERE id = ?').run(JSON.stringify(deviceIds), outageId);
+    this.db.prepare('UPDATE outage_devices SET outage_id = ? WHERE device_id = ?').run(outageId, deviceId);
+    return true;
+  }
+
+  getOutage(id) {
+    const row = this.db.prepare('SELECT * FROM outages WHERE id = ?').get(id);
+    return row ? this.mapOutage(row) : null;
+  }
+
+  /**
+   * Get outages, newest first. Options: state ('active' or 'resolved'), limit
+   */
+  getOutages(options = {}) {
+    const where = options.state ? 'WHERE state = ?' : '';
+    const params = options.state ? [options.state] : [];
+    params.push(Math.min(parseInt(options.limit) || 50, 500));
+    return this.db.prepare(`SELECT * FROM outages ${where} ORDER BY started_at DESC, id DESC LIMIT ?`)
+      .all(...params)
+      .map(row => this.mapOutage(row));
+  }
+
+  /**
+   * Get the active outages that no held device belongs to anymore
+   */
+  getRecoveredOutages() {
+    return this.db.prepare(`
+      SELECT * FROM outages o
+      WHERE state = 'active' AND NOT EXISTS (SELECT 1 FROM outage_devices d WHERE d.outage_id = o.id)
+    `).all().map(row => this.mapOutage(row));
+  }
+
+  resolveOutage(id) {
+    const result = this.db.prepare(`
+      UPDATE outages SET state = 'resolved', resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND state = 'active'
+    `).run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the consecutive poll counters of a device's pending threshold changes,
+   * keyed by alert type
+   */
+  getThresholdPolls(deviceId) {
+    const rows = this.db.prepare('SELECT alert_type, polls FROM threshold_polls WHERE device_id = ?').all(deviceId);
+    return new Map(rows.map(row => [row.alert_type, row.polls]));
+  }
+
+  /**
+   * Set the consecutive poll counter of a threshold; zero clears it
+   */
+  setThresholdPolls(deviceId, alertType, polls) {
+    if (polls > 0) {
+      this.db.prepare(`
+        INSERT INTO threshold_polls (device_id, alert_type, polls) VALUES (?, ?, ?)
+        ON CONFLICT(device_id, alert_type) DO UPDATE SET polls = excluded.polls
+      `).run(deviceId, alertType, polls);
+    } else {
+      this.db.prepare('DELETE FROM threshold_polls WHERE device_id = ? AND alert_type = ?').run(deviceId, alertType);
+    }
+    return true;
+  }
+
+  /**
+   * Silence Methods
+   */
+
+  mapSilence(row) {
+    return {
+      id: row.id,
+      deviceId: row.device_id,
+      deviceName: row.device_name,
+      deviceGroup: row.device_group,
+      startsAt: fromSqlTimestamp(row.starts_at),
+      endsAt: fromSqlTimestamp(row.ends_at),
+      reason: row.reason,
+      createdBy: row.created_by,
+      createdAt: fromSqlTimestamp(row.created_at)
+    };
+  }
+
+  /**
+   * Get silences that have not ended yet, soonest ending first
+   */
+  getSilences() {
+    return this.db.prepare(`
+      SELECT s.*, d.name AS device_name
+      FROM silences s
+      LEFT JOIN onu_devices d ON d.id = s.device_id
+      WHERE s.ends_at > CURRENT_TIMESTAMP
+      ORDER BY s.ends_at
+    `).all().map(row => this.mapSilence(row));
+  }
+
+  /**
+   * Get the silences currently covering a device, directly or through its group
+   */
+  getActiveSilences(device) {
+    return this.db.prepare(`
+      SELECT * FROM silences
+      WHERE starts_at <= CURRENT_TIMESTAMP AND ends_at > CURRENT_TIMESTAMP
+        AND (device_id = ? OR (device_group IS NOT NULL AND device_group = ?))
+    `).all(device.id, device.deviceGroup || null).map(row => this.mapSilence(row));
+  }
+
+  addSilence(silence) {
+    const info = this.db.prepare(`
+      INSERT INTO silences (device_id, device_group, starts_at, ends_at, reason, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      silence.deviceId || null,
+      silence.deviceGroup || null,
+      toSqlTimestamp(silence.startsAt),
+      toSqlTimestamp(silence.endsAt),
+      silence.reason || null,
+      silence.createdBy || null
+    );
+    return info.lastInsertRowid;
+  }
+
+  deleteSilence(id) {
+    const result = this.db.prepare('DELETE FROM silences WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Maintenance Window Methods
+   */
+
+  mapMaintenanceWindow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      deviceId: row.device_id,
+      deviceName: row.device_name,
+      deviceGroup: row.device_group,
+      recurrence: row.recurrence,
+      startsAt: fromSqlTimestamp(row.starts_at),
+      endsAt: fromSqlTimestamp(row.ends_at),
+      days: row.days ? row.days.split(',').map(Number) : [],
+      startTime: row.start_time,
+      durationMinutes: row.duration_minutes,
+      timezone: row.timezone,
+      enabled: row.enabled === 1,
+      createdAt: fromSqlTimestamp(row.created_at)
+    };
+  }
+
+  getMaintenanceWindows() {
+    return this.db.prepare(`
+      SELECT w.*, d.name AS device_name
+      FROM maintenance_windows w
+      LEFT JOIN onu_devices d ON d.id = w.device_id
+      ORDER BY w.name
+    `).all().map(row => this.mapMaintenanceWindow(row));
+  }
+
+  addMaintenanceWindow(window) {
+    const weekly = window.recurrence === 'weekly';
+    const info = this.db.prepare(`
+      INSERT INTO maintenance_windows (
+        name, device_id, device_group, recurrence, starts_at, ends_at,
+        days, start_time, duration_minutes, timezone, enabled
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      window.name,
+      window.deviceId || null,
+      window.deviceGroup || null,
+      window.recurrence,
+      weekly ? null : toSqlTimestamp(window.startsAt),
+      weekly ? null : toSqlTimestamp(window.endsAt),
+      weekly ? window.days.join(',') : null,
+      weekly ? window.startTime : null,
+      weekly ? window.durationMinutes : null,
+      weekly ? window.timezone || null : null,
+      window.enabled === false ? 0 : 1
+    );
+    return info.lastInsertRowid;
+  }
+
+  setMaintenanceWindowEnabled(id, enabled) {
+    const result = this.db.prepare('UPDATE maintenance_windows SET enabled = ? WHERE id = ?').run(enabled ? 1 : 0, id);
+    return result.changes > 0;
+  }
+
+  deleteMaintenanceWindow(id) {
+    const result = this.db.prepare('DELETE FROM maintenance_windows WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Event Log Methods
+   */
+
+  /**
+   * Record an event. Fields: deviceId, eventType, alertType, message, recipient, success, details
+   */
+  addEvent(event) {
+    const info = this.db.prepare(`
+      INSERT INTO events (device_id, event_type, alert_type, message, recipient, success, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      event.deviceId || null,
+      event.eventType,
+      event.alertType || null,
+      event.message || null,
+      event.recipient || null,
+      event.success === undefined || event.success === null ? null : (event.success ? 1 : 0),
+      event.details ? JSON.stringify(event.details) : null
+    );
+    return info.lastInsertRowid;
+  }
+
+  /**
+   * Build the WHERE clause shared by event queries
+   */
+  eventConditions(options) {
+    const conditions = [];
+    const params = [];
+    
+    if (options.deviceId) {
+      conditions.push('e.device_id = ?');
+      params.push(options.deviceId);
+    }
+    if (options.types && options.types.length > 0) {
+      conditions.push(`e.event_type IN (${options.types.map(() => '?').join(', ')})`);
+      params.push(...options.types);
+    }
+    if (options.from) {
+      conditions.push('e.created_at >= ?');
+      params.push(toSqlTimestamp(options.from));
+    }
+    if (options.to) {
+      conditions.push('e.created_at <= ?');
+      params.push(toSqlTimestamp(options.to));
+    }
+    if (options.beforeId) {
+      conditions.push('e.id < ?');
+      params.push(options.beforeId);
+    }
+    
+    return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * Get events, newest first. Options: deviceId, types, from, to, beforeId, limit
+   */
+  getEvents(options = {}) {
+    const { where, params } = this.eventConditions(options);
+    const limit = Math.min(options.limit || 200, 1000);
+    
+    return this.db.prepare(`
+      SELECT e.*, d.name AS device_name
+      FROM events e
+      LEFT JOIN onu_devices d ON d.id = e.device_id
+      ${where}
+      ORDER BY e.id DESC
+      LIMIT ?
+    `).all(...params, limit).map(row => ({
+      id: row.id,
+      deviceId: row.device_id,
+      deviceName: row.device_name,
+      eventType: row.event_type,
+      alertType: row.alert_type,
+      message: row.message,
+      recipient: row.recipient,
+      success: row.success === null ? null : row.success === 1,
+      details: row.details ? JSON.parse(row.details) : null,
+      createdAt: fromSqlTimestamp(row.created_at)
+    }));
+  }
+
+  /**
+   * Get a page of events for export, oldest first, with device details.
+   * Options: deviceId, group, from, to, afterId (keyset pagination), limit
+   */
+  getEventsForExport(options = {}) {
+    const conditions = ['e.id > ?'];
+    const params = [options.afterId || 0];
+    
+    if (options.deviceId) {
+      conditions.push('e.device_id = ?');
+      params.push(options.deviceId);
+    }
+    if (options.group) {
+      conditions.push('d.device_group = ?');
+      params.push(options.group);
+    }
+    if (options.from) {
+      conditions.push('e.created_at >= ?');
+      params.push(toSqlTimestamp(options.from));
+    }
+    if (options.to) {
+      conditions.push('e.created_at <= ?');
+      params.push(toSqlTimestamp(options.to));
+    }
+    params.push(options.limit || 1000);
+    
+    const stmt = this.db.prepare(`
+      SELECT e.*, d.name AS device_name, d.host AS device_host, d.device_group
+      FROM events e
+      LEFT JOIN onu_devices d ON d.id = e.device_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY e.id
+      LIMIT ?
+    `);
+    
+    return stmt.all(...params).map(row => ({
+      id: row.id,
+      deviceId: row.device_id,
+      deviceName: row.device_name,
+      host: row.device_host,
+      deviceGroup: row.device_group,
+      createdAt: fromSqlTimestamp(row.created_at),
+      eventType: row.event_type,
+      alertType: row.alert_type,
+      message: row.message,
+      recipient: row.recipient,
+      success: row.success === null ? null : row.success === 1,
+      details: row.details
+    }));
+  }
+
+  /**
+   * Count events matching the same filters as getEvents
+   */
+  countEvents(options = {}) {
+    const { where, params } = this.eventConditions(options);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM events e ${where}`).get(...params).count;
+  }
+
+  /**
+   * Settings Methods
+   */
+
+  getSetting(key, defaultValue = null) {
+    const row = this.db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? row.value : defaultValue;
+  }
+
+  setSetting(key, value) {
+    this.db.prepare(`
+      INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+    `).run(key, value === null || value === undefined ? null : String(value));
+    return true;
+  }
+
+  getRetentionSettings() {
+    return {
+      rawDays: parseInt(this.getSetting('retention_raw_days', 7)),
+      hourlyDays: parseInt(this.getSetting('retention_hourly_days', 90)),
+      dailyDays: parseInt(this.getSetting('retention_daily_days', 730))
+    };
+  }
+
+  saveRetentionSettings(rawDays, hourlyDays, dailyDays) {
+    this.setSetting('retention_raw_days', rawDays);
+    this.setSetting('retention_hourly_days', hourlyDays);
+    this.setSetting('retention_daily_days', dailyDays);
+    return true;
+  }
+
+  getAlertSettings() {
+    return {
+      cooldownMinutes: parseInt(this.getSetting('alert_cooldown_minutes', 60)),
+      notifyResolved: this.getSetting('alert_notify_resolved', '1') === '1',
+      outageWindowMinutes: parseInt(this.getSetting('outage_window_minutes', 15)),
+      outageMinDevices: parseInt(this.getSetting('outage_min_devices', 3))
+    };
+  }
+
+  saveAlertSettings(cooldownMinutes, notifyResolved, outageWindowMinutes = 15, outageMinDevices = 3) {
+    this.setSetting('alert_cooldown_minutes', cooldownMinutes);
+    this.setSetting('alert_notify_resolved', notifyResolved ? 1 : 0);
+    this.setSetting('outage_window_minutes', outageWindowMinutes);
+    this.setSetting('outage_min_devices', outageMinDevices);
+    return true;
+  }
+
+  getDigestSettings() {
+    return {
+      dailyEnabled: this.getSetting('digest_daily_enabled', '0') === '1',
+      dailyTime: this.getSetting('digest_daily_time', '08:00'),
+      weeklyEnabled: this.getSetting('digest_weekly_enabled', '0') === '1',
+      weeklyDay: parseInt(this.getSetting('digest_weekly_day', 1)),
+      weeklyTime: this.getSetting('digest_weekly_time', '08:00'),
+      recipients: this.getSetting('digest_recipients', ''),
+      rxThreshold: parseFloat(this.getSetting('digest_rx_threshold', -25))
+    };
+  }
+
+  saveDigestSettings(settings) {
+    this.setSetting('digest_daily_enabled', settings.dailyEnabled ? 1 : 0);
+    this.setSetting('digest_daily_time', settings.dailyTime);
+    this.setSetting('digest_weekly_enabled', settings.weeklyEnabled ? 1 : 0);
+    this.setSetting('digest_weekly_day', settings.weeklyDay);
+    this.setSetting('digest_weekly_time', settings.weeklyTime);
+    this.setSetting('digest_recipients', settings.recipients || '');
+    this.setSetting('digest_rx_threshold', settings.rxThreshold);
+    return true;
+  }
+
+  /**
+   * SMS API Configuration Methods
+   */
+  
+  getSMSConfig() {
+    const stmt = this.db.prepare('SELECT * FROM sms_config WHERE id = 1');
+    const config = stmt.get();
+    
+    if (config && config.phone_numbers) {
+      // Parse phone numbers from comma-separated string
+      config.phoneNumbersArray = config.phone_numbers.split(',').map(p => p.trim()).filter(p => p);
+    }
+    
+    if (config) {
+      // Gateway request settings, with the auth secret decrypted
+      config.gateway = {
+        apiUrl: config.api_url,
+        method: config.method || 'GET',
+        bodyFormat: config.body_format || 'form',
+        bodyTemplate: config.body_template || '',
+        authType: config.auth_type || 'none',
+        authHeader: config.auth_header || '',
+        authUsername: config.auth_username || '',
+        authSecret: config.auth_secret_encrypted ? this.decrypt(config.auth_secret_encrypted) : '',
+        batch: config.batch === 1
+      };
+    }
+    
+    return config;
+  }
+  
+  /**
+   * Save the SMS API configuration. Gateway: method, bodyFormat, bodyTemplate, authType,
+   * authHeader, authUsername, authSecret (undefined keeps the stored secret) and batch.
+   */
+  saveSMSConfig(apiUrl, phoneNumbers, enabled = true, gateway = {}) {
+    const existing = this.getSMSConfig();
+    
+    // Convert array to comma-separated string if needed
+    const phoneNumbersStr = Array.isArray(phoneNumbers) 
+      ? phoneNumbers.join(', ') 
+      : phoneNumbers || '';
+    
+    let secret = existing ? existing.auth_secret_encrypted : null;
+    if (gateway.authSecret !== undefined) {
+      secret = gateway.authSecret ? this.encrypt(gateway.authSecret) : null;
+    }
+    
+    const params = [
+      apiUrl, phoneNumbersStr, enabled ? 1 : 0,
+      gateway.method || 'GET',
+      gateway.bodyFormat || 'form',
+      gateway.bodyTemplate || null,
+      gateway.authType || 'none',
+      gateway.authHeader || null,
+      gateway.authUsername || null,
+      secret,
+      gateway.batch ? 1 : 0
+    ];
+    
+    if (existing) {
+      const stmt = this.db.prepare(`
+        UPDATE sms_config 
+        SET api_url = ?, phone_numbers = ?, enabled = ?,
+            method = ?, body_format = ?, body_template = ?,
+            auth_type = ?, auth_header = ?, auth_username = ?, auth_secret_encrypted = ?,
+            batch = ?, updated_at = CURRENT_TIMESTAMP 
+        WHERE id = 1
+      `);
+      stmt.run(...params);
+    } else {
+      const stmt = this.db.prepare(`
+        INSERT INTO sms_config (
+          id, api_url, phone_numbers, enabled,
+          method, body_format, body_template,
+          auth_type, auth_header, auth_username, auth_secret_encrypted, batch
+        ) 
+        VALUES (1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      stmt.run(...params);
+    }
+    return true;
+  }
+
+  /**
+   * Notification Channel Methods
+   */
+
+  mapNotificationChannel(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      name: row.name,
+      enabled: row.enabled === 1,
+      config: JSON.parse(this.decrypt(row.config_encrypted) || '{}'),
+      quietHours: row.quiet_hours ? JSON.parse(row.quiet_hours) : null,
+      createdAt: fromSqlTimestamp(row.created_at),
+      updatedAt: fromSqlTimestamp(row.updated_at)
+    };
+  }
+
+  getNotificationChannels(options = {}) {
+    const where = options.enabledOnly ? 'WHERE enabled = 1' : '';
+    return this.db.prepare(`SELECT * FROM notification_channels ${where} ORDER BY type, name`)
+      .all().map(row => this.mapNotificationChannel(row));
+  }
+
+  getNotificationChannel(id) {
+    const row = this.db.prepare('SELECT * FROM notification_channels WHERE id = ?').get(id);
+    return row ? this.mapNotificationChannel(row) : null;
+  }
+
+  addNotificationChannel(type, name, config, enabled = true, quietHours = null) {
+    const info = this.db.prepare(`
+      INSERT INTO notification_channels (type, name, enabled, config_encrypted, quiet_hours)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(type, name, enabled ? 1 : 0, this.encrypt(JSON.stringify(config)), this.quietHoursJson(quietHours));
+    return info.lastInsertRowid;
+  }
+
+  updateNotificationChannel(id, name, config, enabled = true, quietHours = null) {
+    const result = this.db.prepare(`
+      UPDATE notification_channels
+      SET name = ?, enabled = ?, config_encrypted = ?, quiet_hours = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(name, enabled ? 1 : 0, this.encrypt(JSON.stringify(config)), this.quietHoursJson(quietHours), id);
+    return result.changes > 0;
+  }
+
+  deleteNotificationChannel(id) {
+    this.db.prepare('DELETE FROM held_notifications WHERE channel_id = ?').run(id);
+    const result = this.db.prepare('DELETE FROM notification_channels WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Message Template Methods
+   */
+
+  getMessageTemplates() {
+    return this.db.prepare('SELECT * FROM message_templates ORDER BY alert_type, channel').all().map(row => ({
+      alertType: row.alert_type,
+      channel: row.channel,
+      template: row.template,
+      updatedAt: fromSqlTimestamp(row.updated_at)
+    }));
+  }
+
+  saveMessageTemplate(alertType, channel, template) {
+    this.db.prepare(`
+      INSERT INTO message_templates (alert_type, channel, template, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(alert_type, channel) DO UPDATE SET template = excluded.template, updated_at = CURRENT_TIMESTAMP
+    `).run(alertType, channel, template);
+    return true;
+  }
+
+  deleteMessageTemplate(alertType, channel) {
+    const result = this.db.prepare('DELETE FROM message_templates WHERE alert_type = ? AND channel = ?').run(alertType, channel);
+    return result.changes > 0;
+  }
+
+  /**
+   * Contact Methods
+   */
+
+  /**
+   * Serialize a quiet hours schedule, keeping only its known fields
+   */
+  quietHoursJson(quietHours) {
+    if (!quietHours) return null;
+    return JSON.stringify({
+      enabled: quietHours.enabled !== false,
+      days: quietHours.days,
+      start: quietHours.start,
+      end: quietHours.end,
+      timezone: quietHours.timezone || '',
+      overrideSeverity: quietHours.overrideSeverity || ''
+    });
+  }
+
+  mapContact(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      phone: row.phone || '',
+      email: row.email || '',
+      telegramId: row.telegram_id || '',
+      alertTypes: row.alert_types ? row.alert_types.split(',') : [],
+      quietHours: row.quiet_hours ? JSON.parse(row.quiet_hours) : null,
+      enabled: row.enabled === 1,
+      createdAt: fromSqlTimestamp(row.created_at)
+    };
+  }
+
+  getContacts() {
+    return this.db.prepare('SELECT * FROM contacts ORDER BY name').all().map(row => this.mapContact(row));
+  }
+
+  getContact(id) {
+    const row = this.db.prepare('SELECT * FROM contacts WHERE id = ?').get(id);
+    return row ? this.mapContact(row) : null;
+  }
+
+  contactParams(contact) {
+    return [
+      contact.name,
+      contact.phone || null,
+      contact.email || null,
+      contact.telegramId || null,
+      (contact.alertTypes || []).join(',') || null,
+      this.quietHoursJson(contact.quietHours),
+      contact.enabled === false ? 0 : 1
+    ];
+  }
+
+  addContact(contact) {
+    const info = this.db.prepare(`
+      INSERT INTO contacts (name, phone, email, telegram_id, alert_types, quiet_hours, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(...this.contactParams(contact));
+    return info.lastInsertRowid;
+  }
+
+  updateContact(id, contact) {
+    const result = this.db.prepare(`
+      UPDATE contacts SET name = ?, phone = ?, email = ?, telegram_id = ?, alert_types = ?, quiet_hours = ?, enabled = ?
+      WHERE id = ?
+    `).run(...this.contactParams(contact), id);
+    return result.changes > 0;
+  }
+
+  deleteContact(id) {
+    this.db.prepare('DELETE FROM contact_group_members WHERE contact_id = ?').run(id);
+    this.db.prepare('DELETE FROM held_notifications WHERE contact_id = ?').run(id);
+    const result = this.db.prepare('DELETE FROM contacts WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Enabled contacts of the contact groups assigned to a device or its device group
+   */
+  getRoutedContacts(device) {
+    return this.db.prepare(`
+      SELECT DISTINCT c.* FROM contacts c
+      JOIN contact_group_members m ON m.contact_id = c.id
+      JOIN contact_group_assignments a ON a.group_id = m.group_id
+      WHERE c.enabled = 1
+        AND (a.device_id = ? OR (a.device_group IS NOT NULL AND a.device_group = ?))
+      ORDER BY c.name
+    `).all(device.id, device.deviceGroup || null).map(row => this.mapContact(row));
+  }
+
+  /**
+   * Contact Group Methods
+   */
+
+  /**
+   * Enabled contacts of a contact group
+   */
+  getContactGroupContacts(groupId) {
+    return this.db.prepare(`
+      SELECT c.* FROM contacts c
+      JOIN contact_group_members m ON m.contact_id = c.id
+      WHERE m.group_id = ? AND c.enabled = 1
+      ORDER BY c.name
+    `).all(groupId).map(row => this.mapContact(row));
+  }
+
+  getContactGroups() {
+    const members = this.db.prepare('SELECT * FROM contact_group_members').all();
+    const assignments = this.db.prepare(`
+      SELECT a.*, d.name AS device_name
+      FROM contact_group_assignments a
+      LEFT JOIN onu_devices d ON d.id = a.device_id
+      ORDER BY a.id
+    `).all();
+
+    return this.db.prepare('SELECT * FROM contact_groups ORDER BY name').all().map(row => ({
+      id: row.id,
+      name: row.name,
+      description: row.description || '',
+      contactIds: members.filter(m => m.group_id === row.id).map(m => m.contact_id),
+      assignments: assignments.filter(a => a.group_id === row.id).map(a => ({
+        deviceId: a.device_id,
+        deviceName: a.device_name,
+        deviceGroup: a.device_group
+      })),
+      createdAt: fromSqlTimestamp(row.created_at)
+    }));
+  }
+
+  /**
+   * Replace the members and assignments of a contact group
+   */
+  setContactGroupMembers(id, group) {
+    this.db.prepare('DELETE FROM contact_group_members WHERE group_id = ?').run(id);
+    this.db.prepare('DELETE FROM contact_group_assignments WHERE group_id = ?').run(id);
+
+    const addMember = this.db.prepare('INSERT OR IGNORE INTO contact_group_members (group_id, contact_id) VALUES (?, ?)');
+    for (const contactId of group.contactIds || []) {
+      addMember.run(id, contactId);
+    }
+
+    const addAssignment = this.db.prepare('INSERT INTO contact_group_assignments (group_id, device_id, device_group) VALUES (?, ?, ?)');
+    for (const assignment of group.assignments || []) {
+      addAssignment.run(id, assignment.deviceId || null, assignment.deviceId ? null : assignment.deviceGroup);
+    }
+  }
+
+  addContactGroup(group) {
+    return this.db.transaction(() => {
+      const info = this.db.prepare('INSERT INTO contact_groups (name, description) VALUES (?, ?)')
+        .run(group.name, group.description || null);
+      this.setContactGroupMembers(info.lastInsertRowid, group);
+      return info.lastInsertRowid;
+    })();
+  }
+
+  updateContactGroup(id, group) {
+    return this.db.transaction(() => {
+      const result = this.db.prepare('UPDATE contact_groups SET name = ?, description = ? WHERE id = ?')
+        .run(group.name, group.description || null, id);
+      if (result.changes === 0) return false;
+      this.setContactGroupMembers(id, group);
+      return true;
+    })();
+  }
+
+  deleteContactGroup(id) {
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM contact_group_members WHERE group_id = ?').run(id);
+      this.db.prepare('DELETE FROM contact_group_assignments WHERE group_id = ?').run(id);
+      const result = this.db.prepare('DELETE FROM contact_groups WHERE id = ?').run(id);
+      return result.changes > 0;
+    })();
+  }
+
+  /**
+   * Escalation Policy Methods
+   */
+
+  mapEscalationPolicy(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      steps: JSON.parse(row.steps),
+      createdAt: fromSqlTimestamp(row.created_at)
+    };
+  }
+
+  getEscalationPolicies() {
+    return this.db.prepare('SELECT * FROM escalation_policies ORDER BY name').all().map(row => this.mapEscalationPolicy(row));
+  }
+
+  getEscalationPolicy(id) {
+    const row = this.db.prepare('SELECT * FROM escalation_policies WHERE id = ?').get(id);
+    return row ? this.mapEscalationPolicy(row) : null;
+  }
+
+  /**
+   * Serialize escalation steps, keeping only their delay and contact group
+   */
+  escalationStepsJson(steps) {
+    return JSON.stringify(steps.map(step => ({
+      delayMinutes: step.delayMinutes,
+      contactGroupId: Number(step.contactGroupId)
+    })));
+  }
+
+  addEscalationPolicy(name, steps) {
+    const info = this.db.prepare('INSERT INTO escalation_policies (name, steps) VALUES (?, ?)').run(name, this.escalationStepsJson(steps));
+    return info.lastInsertRowid;
+  }
+
+  updateEscalationPolicy(id, name, steps) {
+    const result = this.db.prepare('UPDATE escalation_policies SET name = ?, steps = ? WHERE id = ?').run(name, this.escalationStepsJson(steps), id);
+    return result.changes > 0;
+  }
+
+  deleteEscalationPolicy(id) {
+    this.db.prepare('UPDATE onu_devices SET escalation_policy_id = NULL WHERE escalation_policy_id = ?').run(id);
+    const result = this.db.prepare('DELETE FROM escalation_policies WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Held Notification Methods
+   */
+
+  holdNotification(notification) {
+    const info = this.db.prepare(`
+      INSERT INTO held_notifications (contact_id, channel_id, recipients, device_id, alert_type, severity, message)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      notification.contactId || null,
+      notification.channelId || null,
+      notification.recipients ? JSON.stringify(notification.recipients) : null,
+      notification.deviceId || null,
+      notification.alertType || null,
+      notification.severity || null,
+      notification.message
+    );
+    return info.lastInsertRowid;
+  }
+
+  /**
+   * Get all held notifications, oldest first
+   */
+  getHeldNotifications() {
+    return this.db.prepare('SELECT * FROM held_notifications ORDER BY id').all().map(row => ({
+      id: row.id,
+      contactId: row.contact_id,
+      channelId: row.channel_id,
+      recipients: row.recipients ? JSON.parse(row.recipients) : null,
+      deviceId: row.device_id,
+      alertType: row.alert_type,
+      severity: row.severity,
+      message: row.message,
+      createdAt: fromSqlTimestamp(row.created_at)
+    }));
+  }
+
+  deleteHeldNotifications(ids) {
+    const stmt = this.db.prepare('DELETE FROM held_notifications WHERE id = ?');
+    this.db.transaction(() => {
+      for (const id of ids) stmt.run(id);
+    })();
+  }
+
+  /**
+   * Notification Outbox Methods
+   */
+
+  mapOutboxEntry(row) {
+    return {
+      id: row.id,
+      deviceId: row.device_id,
+      deviceName: row.device_name,
+      alertType: row.alert_type,
+      channel: row.channel,
+      channelId: row.channel_id,
+      recipient: row.recipient,
+      message: row.message,
+      payload: row.payload ? JSON.parse(row.payload) : {},
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.status === 'pending' ? fromSqlTimestamp(row.next_attempt_at) : null,
+      lastError: row.last_error,
+      createdAt: fromSqlTimestamp(row.created_at),
+      sentAt: fromSqlTimestamp(row.sent_at)
+    };
+  }
+
+  /**
+   * Queue a notification for the dispatcher
+   * Entry: deviceId, alertType, channel ('sms' or a channel type), channelId,
+   * recipient (phone number or channel label), message, payload (channel context)
+   */
+  enqueueNotification(entry) {
+    const info = this.db.prepare(`
+      INSERT INTO notification_outbox (device_id, alert_type, channel, channel_id, recipient, message, payload)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      entry.deviceId || null,
+      entry.alertType || null,
+      entry.channel,
+      entry.channelId || null,
+      entry.recipient,
+      entry.message,
+      entry.payload ? JSON.stringify(entry.payload) : null
+    );
+    return info.lastInsertRowid;
+  }
+
+  /**
+   * Get pending notifications whose next attempt is due, oldest first
+   */
+  getDueNotifications(now = new Date(), limit = 20) {
+    return this.db.prepare(`
+      SELECT * FROM notification_outbox
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at, id
+      LIMIT ?
+    `).all(toSqlTimestamp(now), limit).map(row => this.mapOutboxEntry(row));
+  }
+
+  getOutboxEntry(id) {
+    const row = this.db.prepare('SELECT * FROM notification_outbox WHERE id = ?').get(id);
+    return row ? this.mapOutboxEntry(row) : null;
+  }
+
+  /**
+   * Get queued and delivered notifications, newest first
+   */
+  getOutbox(options = {}) {
+    const where = options.status ? 'WHERE o.status = ?' : '';
+    const params = options.status ? [options.status] : [];
+    return this.db.prepare(`
+      SELECT o.*, d.name AS device_name
+      FROM notification_outbox o
+      LEFT JOIN onu_devices d ON d.id = o.device_id
+      ${where}
+      ORDER BY o.id DESC
+      LIMIT ?
+    `).all(...params, options.limit || 100).map(row => this.mapOutboxEntry(row));
+  }
+
+  /**
+   * Number of outbox entries per status
+   */
+  getOutboxCounts() {
+    const counts = { pending: 0, sent: 0, dead: 0, skipped: 0 };
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS count FROM notification_outbox GROUP BY status').all()) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  }
+
+  markNotificationSent(id, attempts) {
+    const result = this.db.prepare(`
+      UPDATE notification_outbox
+      SET status = 'sent', attempts = ?, last_error = NULL, sent_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(attempts, id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Record a failed attempt; without a next attempt time the notification is dead-lettered
+   */
+  markNotificationFailed(id, attempts, error, nextAttemptAt = null) {
+    const result = this.db.prepare(`
+      UPDATE notification_outbox
+      SET status = ?, attempts = ?, last_error = ?, next_attempt_at = COALESCE(?, next_attempt_at)
+      WHERE id = ?
+    `).run(nextAttemptAt ? 'pending' : 'dead', attempts, error, nextAttemptAt ? toSqlTimestamp(nextAttemptAt) : null, id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Record a notification that was not attempted because its SMS or channel is disabled
+   */
+  markNotificationSkipped(id, reason) {
+    const result = this.db.prepare(`
+      UPDATE notification_outbox SET status = 'skipped', last_error = ? WHERE id = ?
+    `).run(reason, id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Queue a dead-lettered, skipped or sent notification again with a fresh set of attempts
+   */
+  resendNotification(id) {
+    const result = this.db.prepare(`
+      UPDATE notification_outbox
+      SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = CURRENT_TIMESTAMP, sent_at = NULL
+      WHERE id = ? AND status != 'pending'
+    `).run(id);
+    return result.changes > 0;
   }
 
   /**
@@ -0,0 +1,172 @@
+/**
+ * Digest Service
+ * Builds daily and weekly summary reports and sends them on schedule
+ */
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * Format a Date as YYYY-MM-DD in server local time
+ */
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format a Date as HH:MM in server local time
+ */
+function localTime(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+class DigestService {
+  constructor(database, notificationService) {
+    this.db = database;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Build the daily digest from the latest readings and the last 24h of polls
+   */
+  buildDailyDigest(now = new Date()) {
+    const settings = this.db.getDigestSettings();
+    const devices = this.db.getAllONUDevices();
+    const latestReadings = this.db.getLatestReadings();
+    const pollCounts = this.db.getPollCounts(new Date(now.getTime() - DAY_MS));
+    const firingAlerts = this.db.getFiringAlerts();
+    const alertsFired = this.db.countEvents({ types: ['alert_fired', 'device_offline'], from: new Date(now.getTime() - DAY_MS), to: now });
+
+    const offline = [];
+    const lowRx = [];
+    for (const device of devices) {
+      const readings = latestReadings.get(device.id);
+      if (!readings) continue;
+
+      if (!readings.latest.success) {
+        offline.push(device.name);
+      } else if (readings.latest.rxPower !== null && readings.latest.rxPower < settings.rxThreshold) {
+        lowRx.push({ name: device.name, rxPower: readings.latest.rxPower });
+      }
+    }
+    lowRx.sort((a, b) => a.rxPower - b.rxPower);
+
+    const polls = pollCounts.reduce((sum, c) => sum + c.polls, 0);
+    const failures = pollCounts.reduce((sum, c) => sum + c.failures, 0);
+
+    const lines = [
+      `ONU daily digest ${localDate(now)}`,
+      `${devices.length} devices, ${offline.length} offline, ${lowRx.length} below ${settings.rxThreshold} dBm`
+    ];
+    if (lowRx.length > 0) {
+      lines.push(`Worst: ${lowRx[0].name} at ${lowRx[0].rxPower.toFixed(1)} dBm`);
+    }
+    if (offline.length > 0) {
+      lines.push(`Offline: ${offline.slice(0, 5).join(', ')}${offline.length > 5 ? ` +${offline.length - 5} more` : ''}`);
+    }
+    lines.push(`Active alerts: ${firingAlerts.length}, new in 24h: ${alertsFired}`);
+    lines.push(`Polls 24h: ${polls}, failed: ${failures}`);
+
+    return {
+      type: 'daily',
+      generatedAt: now.toISOString(),
+      message: lines.join('\n'),
+      data: { totalDevices: devices.length, offline, lowRx, activeAlerts: firingAlerts.length, alertsFired, polls, failures }
+    };
+  }
+
+  /**
+   * Build the weekly availability digest from the poll counts of the last 7 days
+   */
+  buildWeeklyDigest(now = new Date()) {
+    const from = new Date(now.getTime() - 7 * DAY_MS);
+    const devices = this.db.getAllONUDevices();
+    const pollCounts = new Map(this.db.getPollCounts(from, now).map(c => [c.deviceId, c]));
+
+    const availability = [];
+    let totalSamples = 0;
+    let totalFailures = 0;
+    for (const device of devices) {
+      const counts = pollCounts.get(device.id);
+      if (!counts || counts.polls === 0) continue;
+      const samples = counts.polls;
+      const failures = counts.failures;
+
+      totalSamples += samples;
+      totalFailures += failures;
+      availability.push({ name: device.name, percent: 100 * (samples - failures) / samples, samples, failures });
+    }
+    availability.sort((a, b) => a.percent - b.percent);
+
+    const lines = [`ONU weekly digest ${localDate(from)} to ${localDate(now)}`];
+    if (totalSamples === 0) {
+      lines.push('No polls recorded this week');
+    } else {
+      const fleetPercent = 100 * (totalSamples - totalFailures) / totalSamples;
+      lines.push(`Fleet availability: ${fleetPercent.toFixed(2)}% over ${availability.length} devices`);
+
+      const below = availability.filter(a => a.percent < 100);
+      if (below.length === 0) {
+        lines.push('All devices 100% available');
+      } else {
+        lines.push(`Lowest: ${below.slice(0, 5).map(a => `${a.name} ${a.percent.toFixed(1)}%`).join(', ')}`);
+      }
+    }
+
+    return {
+      type: 'weekly',
+      generatedAt: now.toISOString(),
+      message: lines.join('\n'),
+      data: { from: from.toISOString(), to: now.toISOString(), availability }
+    };
+  }
+
+  /**
+   * Build a digest by type
+   */
+  buildDigest(type, now = new Date()) {
+    if (type === 'daily') return this.buildDailyDigest(now);
+    if (type === 'weekly') return this.buildWeeklyDigest(now);
+    throw new Error(`Unknown digest type: ${type}`);
+  }
+
+  /**
+   * Build a digest and send it to the digest recipients (or all configured numbers)
+   */
+  async sendDigest(type, now = new Date()) {
+    const digest = this.buildDigest(type, now);
+    const settings = this.db.getDigestSettings();
+    const recipients = settings.recipients.split(',').map(p => p.trim()).filter(p => p);
+
+    console.log(`Sending ${type} digest`);
+    const sent = await this.notificationService.sendNotificationToAll(digest.message, {
+      recipients,
+      alertType: `digest_${type}`,
+      template: { type: 'digest', values: { message: digest.message } }
+    });
+    return { sent, digest };
+  }
+
+  /**
+   * Send any digest that is due. Called every minute by the scheduler;
+   * each digest is sent at most once per day (daily) or week day (weekly).
+   */
+  async runScheduled(now = new Date()) {
+    const settings = this.db.getDigestSettings();
+    const today = localDate(now);
+    const time = localTime(now);
+
+    if (settings.dailyEnabled && time >= settings.dailyTime && this.db.getSetting('digest_daily_last_sent') !== today) {
+      this.db.setSetting('digest_daily_last_sent', today);
+      await this.sendDigest('daily', now);
+    }
+
+    if (settings.weeklyEnabled && now.getDay() === settings.weeklyDay && time >= settings.weeklyTime &&
+      this.db.getSetting('digest_weekly_last_sent') !== today) {
+      this.db.setSetting('digest_weekly_last_sent', today);
+      await this.sendDigest('weekly', now);
+    }
+  }
+}
+
+module.exports = DigestService;
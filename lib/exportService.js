@@ -0,0 +1,202 @@
+/**
+ * Export Service
+ * Streams stored readings and events as CSV, JSON or Excel-compatible XML
+ */
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xls: { contentType: 'application/vnd.ms-excel; charset=utf-8', extension: 'xls' }
+};
+
+const READING_COLUMNS = [
+  { header: 'device_id', value: r => r.deviceId },
+  { header: 'device_name', value: r => r.deviceName },
+  { header: 'host', value: r => r.host },
+  { header: 'device_group', value: r => r.deviceGroup },
+  { header: 'recorded_at', value: r => r.recordedAt },
+  { header: 'success', value: r => r.success },
+  { header: 'rx_power_dbm', value: r => r.rxPower },
+  { header: 'tx_power_dbm', value: r => r.txPower },
+  { header: 'temperature_c', value: r => r.temperature },
+  { header: 'voltage_mv', value: r => r.voltage },
+  { header: 'bias_current_ma', value: r => r.biasCurrent },
+  { header: 'ui_type', value: r => r.uiType },
+  { header: 'error', value: r => r.error }
+];
+
+const EVENT_COLUMNS = [
+  { header: 'event_id', value: e => e.id },
+  { header: 'device_id', value: e => e.deviceId },
+  { header: 'device_name', value: e => e.deviceName },
+  { header: 'host', value: e => e.host },
+  { header: 'device_group', value: e => e.deviceGroup },
+  { header: 'created_at', value: e => e.createdAt },
+  { header: 'event_type', value: e => e.eventType },
+  { header: 'alert_type', value: e => e.alertType },
+  { header: 'message', value: e => e.message },
+  { header: 'recipient', value: e => e.recipient },
+  { header: 'success', value: e => e.success },
+  { header: 'details', value: e => e.details }
+];
+
+// Exportable datasets: their columns, worksheet name and page query
+const EXPORT_DATASETS = {
+  readings: { columns: READING_COLUMNS, sheetName: 'Readings', query: 'getReadingsForExport' },
+  events: { columns: EVENT_COLUMNS, sheetName: 'Events', query: 'getEventsForExport' }
+};
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Quote a CSV field and neutralise spreadsheet formulas in text values
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+
+  let text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Escape text for XML element content
+ */
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build header/row/footer writers for an export format
+ */
+function createWriter(format, columns, sheetName) {
+  if (format === 'csv') {
+    return {
+      // BOM so Excel opens UTF-8 device names correctly
+      header: () => '\ufeff' + columns.map(c => c.header).join(',') + '\r\n',
+      row: (item) => columns.map(c => csvField(c.value(item))).join(',') + '\r\n',
+      footer: () => ''
+    };
+  }
+
+  if (format === 'json') {
+    let first = true;
+    return {
+      header: () => '[\n',
+      row: (item) => {
+        const record = {};
+        for (const c of columns) {
+          const value = c.value(item);
+          record[c.header] = value === undefined ? null : value;
+        }
+        const prefix = first ? '' : ',\n';
+        first = false;
+        return prefix + JSON.stringify(record);
+      },
+      footer: () => '\n]\n'
+    };
+  }
+
+  // SpreadsheetML 2003, opened natively by Excel and LibreOffice
+  const cell = (value) => {
+    if (value === null || value === undefined) return '<Cell/>';
+    if (typeof value === 'number') return `<Cell><Data ss:Type="Number">${value}</Data></Cell>`;
+    return `<Cell><Data ss:Type="String">${xmlEscape(value)}</Data></Cell>`;
+  };
+  return {
+    header: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<?mso-application progid="Excel.Sheet"?>\n' +
+      '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">\n' +
+      `<Worksheet ss:Name="${xmlEscape(sheetName)}"><Table>\n` +
+      `<Row>${columns.map(c => cell(c.header)).join('')}</Row>\n`,
+    row: (item) => `<Row>${columns.map(c => cell(c.value(item))).join('')}</Row>\n`,
+    footer: () => '</Table></Worksheet></Workbook>\n'
+  };
+}
+
+/**
+ * Resolve once the response can take more data or the client has gone away
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+class ExportService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Check whether a format is supported
+   */
+  isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+  }
+
+  /**
+   * Check whether a dataset is supported
+   */
+  isSupportedDataset(dataset) {
+    return Object.prototype.hasOwnProperty.call(EXPORT_DATASETS, dataset);
+  }
+
+  /**
+   * Stream a dataset (readings or events) to an HTTP response page by page
+   * Options: format, deviceId, group, from, to, filename
+   */
+  async streamDataset(res, dataset, options) {
+    const format = EXPORT_FORMATS[options.format];
+    const { columns, sheetName, query } = EXPORT_DATASETS[dataset];
+    const writer = createWriter(options.format, columns, sheetName);
+
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${options.filename}.${format.extension}"`);
+    res.write(writer.header());
+
+    let afterId = 0;
+    let total = 0;
+
+    while (!res.destroyed) {
+      const rows = this.db[query]({
+        deviceId: options.deviceId,
+        group: options.group,
+        from: options.from,
+        to: options.to,
+        afterId,
+        limit: PAGE_SIZE
+      });
+
+      if (rows.length === 0) break;
+
+      const chunk = rows.map(row => writer.row(row)).join('');
+      afterId = rows[rows.length - 1].id;
+      total += rows.length;
+
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    }
+
+    if (!res.destroyed) {
+      res.end(writer.footer());
+    }
+    return total;
+  }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,102 @@
+/**
+ * Fleet Service
+ * Builds aggregate statistics over all monitored devices
+ */
+
+// RX power histogram bucket edges in dBm
+const RX_HISTOGRAM_EDGES = [-30, -28, -26, -24, -22, -20, -18, -16, -14, -12, -10, -8];
+
+class FleetService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Count RX power values into histogram buckets
+   */
+  buildRxHistogram(values) {
+    const buckets = [{ label: `< ${RX_HISTOGRAM_EDGES[0]}`, min: null, max: RX_HISTOGRAM_EDGES[0], count: 0 }];
+    for (let i = 0; i < RX_HISTOGRAM_EDGES.length - 1; i++) {
+      buckets.push({
+        label: `${RX_HISTOGRAM_EDGES[i]} to ${RX_HISTOGRAM_EDGES[i + 1]}`,
+        min: RX_HISTOGRAM_EDGES[i],
+        max: RX_HISTOGRAM_EDGES[i + 1],
+        count: 0
+      });
+    }
+    const last = RX_HISTOGRAM_EDGES[RX_HISTOGRAM_EDGES.length - 1];
+    buckets.push({ label: `>= ${last}`, min: last, max: null, count: 0 });
+
+    for (const value of values) {
+      const bucket = buckets.find(b => (b.min === null || value >= b.min) && (b.max === null || value < b.max));
+      bucket.count++;
+    }
+    return buckets;
+  }
+
+  /**
+   * Build the fleet summary
+   */
+  getSummary() {
+    const devices = this.db.getAllONUDevices();
+    const latestReadings = this.db.getLatestReadings();
+    const pollCounts = new Map(this.db.getPollCounts(new Date(Date.now() - 24 * 3600 * 1000)).map(c => [c.deviceId, c]));
+    const firingAlerts = new Map();
+    for (const alert of this.db.getFiringAlerts()) {
+      firingAlerts.set(alert.deviceId, (firingAlerts.get(alert.deviceId) || []).concat(alert.alertType));
+    }
+
+    const counts = { total: devices.length, online: 0, offline: 0, inAlert: 0, neverPolled: 0 };
+    const rows = [];
+
+    for (const device of devices) {
+      const readings = latestReadings.get(device.id);
+      const known = readings && readings.latestSuccess;
+      const polls = pollCounts.get(device.id) || { polls: 0, failures: 0 };
+
+      let status;
+      if (!readings) {
+        status = 'never_polled';
+        counts.neverPolled++;
+      } else if (!readings.latest.success) {
+        status = 'offline';
+        counts.offline++;
+      } else if (firingAlerts.has(device.id)) {
+        status = 'alert';
+        counts.inAlert++;
+      } else {
+        status = 'online';
+        counts.online++;
+      }
+
+      rows.push({
+        deviceId: device.id,
+        name: device.name,
+        host: device.host,
+        deviceGroup: device.deviceGroup,
+        status,
+        activeAlerts: firingAlerts.get(device.id) || [],
+        lastPollAt: readings ? readings.latest.recordedAt : null,
+        rxPower: known ? known.rxPower : null,
+        temperature: known ? known.temperature : null,
+        rxPowerThreshold: device.rxPowerThreshold,
+        polls24h: polls.polls,
+        failures24h: polls.failures
+      });
+    }
+
+    const withRx = rows.filter(r => r.rxPower !== null);
+    const withTemp = rows.filter(r => r.temperature !== null);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      counts,
+      rxHistogram: this.buildRxHistogram(withRx.map(r => r.rxPower)),
+      worstRx: withRx.slice().sort((a, b) => a.rxPower - b.rxPower).slice(0, 10),
+      worstTemperature: withTemp.slice().sort((a, b) => b.temperature - a.temperature).slice(0, 10),
+      mostFailures: rows.filter(r => r.failures24h > 0).sort((a, b) => b.failures24h - a.failures24h).slice(0, 10)
+    };
+  }
+}
+
+module.exports = FleetService;
@@ -0,0 +1,52 @@
+const { forecastThresholdBreach } = require('./analytics');
+
+/**
+ * Forecast Service
+ * Estimates when each device's RX power will cross its threshold
+ */
+
+// Days of hourly history used for the trend fit
+const FORECAST_WINDOW_DAYS = 14;
+
+class ForecastService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Forecast the RX threshold breach of a single device
+   */
+  getDeviceForecast(device) {
+    const now = Date.now();
+    const history = this.db.getReadingHistory(device.id, {
+      from: new Date(now - FORECAST_WINDOW_DAYS * 24 * 3600 * 1000),
+      to: new Date(now),
+      resolution: 'hourly'
+    });
+
+    const points = history.points.map(p => ({ time: Date.parse(p.time), value: p.rxAvg }));
+    const latest = points.filter(p => p.value !== null).pop();
+
+    return Object.assign({
+      deviceId: device.id,
+      deviceName: device.name,
+      host: device.host,
+      currentRx: latest ? latest.value : null,
+      windowDays: FORECAST_WINDOW_DAYS
+    }, forecastThresholdBreach(points, device.rxPowerThreshold, now));
+  }
+
+  /**
+   * Forecast all devices, soonest predicted breach first.
+   * Devices that are stable or lack history are left out.
+   */
+  getFleetForecast(limit = 20) {
+    return this.db.getAllONUDevices()
+      .map(device => this.getDeviceForecast(device))
+      .filter(f => f.status === 'breached' || f.status === 'declining')
+      .sort((a, b) => a.daysToThreshold - b.daysToThreshold)
+      .slice(0, limit);
+  }
+}
+
+module.exports = ForecastService;
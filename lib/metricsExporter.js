@@ -0,0 +1,70 @@
+const { parseMetricValue } = require('./onuMonitor');
+
+/**
+ * Metrics Exporter
+ * Renders the scheduler's latest poll results in the Prometheus text format
+ */
+
+const GAUGES = [
+  { name: 'onu_rx_power_dbm', help: 'Received optical power in dBm', value: (entry) => optical(entry, 'currentValue') },
+  { name: 'onu_tx_power_dbm', help: 'Transmitted optical power in dBm', value: (entry) => optical(entry, 'txPower') },
+  { name: 'onu_temperature_celsius', help: 'Optical module temperature in degrees Celsius', value: (entry) => optical(entry, 'temperature') },
+  { name: 'onu_voltage_mv', help: 'Optical module supply voltage in millivolts', value: (entry) => optical(entry, 'voltage') },
+  { name: 'onu_bias_current_ma', help: 'Laser bias current in milliamperes', value: (entry) => optical(entry, 'biasCurrent') },
+  { name: 'onu_up', help: 'Whether the last poll of the ONU succeeded (1) or failed (0)', value: (entry) => (entry.result.success ? 1 : 0) },
+  { name: 'onu_consecutive_failures', help: 'Number of consecutive failed polls', value: (entry) => entry.consecutiveFailures },
+  { name: 'onu_poll_duration_seconds', help: 'Duration of the last poll including retries', value: (entry) => entry.durationMs / 1000 },
+  { name: 'onu_last_poll_timestamp_seconds', help: 'Unix time of the last poll', value: (entry) => Math.floor(entry.timestamp / 1000) }
+];
+
+/**
+ * Read a numeric optical value from a successful poll
+ */
+function optical(entry, field) {
+  if (!entry.result.success || !entry.result.data) return null;
+  return parseMetricValue(entry.result.data[field]);
+}
+
+/**
+ * Escape a Prometheus label value
+ */
+function escapeLabel(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Render metrics for all devices that have been polled at least once
+ */
+function renderMetrics(devices, latestResults) {
+  const lines = [];
+
+  for (const gauge of GAUGES) {
+    lines.push(`# HELP ${gauge.name} ${gauge.help}`);
+    lines.push(`# TYPE ${gauge.name} gauge`);
+
+    for (const device of devices) {
+      const entry = latestResults.get(device.id);
+      if (!entry) continue;
+
+      const value = gauge.value(entry);
+      if (value === null || value === undefined || isNaN(value)) continue;
+
+      const labels = [
+        `device_id="${escapeLabel(device.id)}"`,
+        `name="${escapeLabel(device.name)}"`,
+        `host="${escapeLabel(device.host)}"`,
+        `onu_type="${escapeLabel(device.onuType)}"`
+      ].join(',');
+      lines.push(`${gauge.name}{${labels}} ${value}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  renderMetrics
+};
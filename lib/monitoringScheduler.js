@@ -1,15 +1,20 @@
 const { monitorONU } = require('./onuMonitor');
 
+// Days of readings used to learn each device's baseline
+const BASELINE_WINDOW_DAYS = 7;
+
 /**
  * Monitoring Scheduler
  * Manages periodic monitoring of all configured ONU devices
  */
 
 class MonitoringScheduler {
-  constructor(database, notificationService) {
+  constructor(database, notificationService, digestService = null) {
     this.db = database;
     this.notificationService = notificationService;
+    this.digestService = digestService;
     this.timers = new Map(); // Map of device ID to timer
+    this.latestResults = new Map(); // Map of device ID to latest poll result
     this.isRunning = false;
   }
 
@@ -32,6 +37,28 @@ class MonitoringScheduler {
     this.reloadTimer = setInterval(() => {
       this.reloadDevices();
     }, 10000); // Check for config changes every 10 seconds
+    
+    // Roll up old readings, apply retention and relearn baselines once an hour
+    this.runHourlyMaintenance();
+    this.compactionTimer = setInterval(() => {
+      this.runHourlyMaintenance();
+    }, 3600000);
+    
+    // Check once a minute whether a digest report is due
+    if (this.digestService) {
+      this.digestTimer = setInterval(() => {
+        this.runDigests();
+      }, 60000);
+    }
+    
+    // Check once a minute whether unacknowledged alerts must be escalated, whether
+    // notifications held during quiet hours can be delivered and whether held offline
+    // devices form a suspected outage
+    this.escalationTimer = setInterval(() => {
+      this.runEscalations();
+      this.runHeldNotifications();
+      this.runOutageCorrelation();
+    }, 60000);
   }
 
   /**
@@ -52,6 +79,24 @@ class MonitoringScheduler {
       this.reloadTimer = null;
     }
 
+    // Clear compaction timer
+    if (this.compactionTimer) {
+      clearInterval(this.compactionTimer);
+      this.compactionTimer = null;
+    }
+
+    // Clear digest timer
+    if (this.digestTimer) {
+      clearInterval(this.digestTimer);
+      this.digestTimer = null;
+    }
+
+    // Clear escalation timer
+    if (this.escalationTimer) {
+      clearInterval(this.escalationTimer);
+      this.escalationTimer = null;
+    }
+
     // Clear all device timers
     for (const [deviceId, timer] of this.timers) {
       clearInterval(timer);
@@ -75,6 +120,7 @@ class MonitoringScheduler {
         if (!currentDeviceIds.has(deviceId)) {
           clearInterval(timer);
           this.timers.delete(deviceId);
+          this.latestResults.delete(deviceId);
           console.log(`Removed monitoring for deleted device ${deviceId}`);
         }
       }
@@ -88,6 +134,83 @@ class MonitoringScheduler {
     }
   }
 
+  /**
+   * Hourly housekeeping on the stored readings
+   */
+  runHourlyMaintenance() {
+    this.compactReadings();
+    this.updateBaselines();
+  }
+
+  /**
+   * Send scheduled digest reports that are due
+   */
+  async runDigests() {
+    try {
+      await this.digestService.runScheduled();
+    } catch (error) {
+      console.error('Error sending digest:', error.message);
+    }
+  }
+
+  /**
+   * Escalate unacknowledged alerts whose next escalation step is due
+   */
+  async runEscalations() {
+    try {
+      await this.notificationService.processEscalations();
+    } catch (error) {
+      console.error('Error processing escalations:', error.message);
+    }
+  }
+
+  /**
+   * Deliver notifications held for contacts and channels whose quiet hours have ended
+   */
+  async runHeldNotifications() {
+    try {
+      await this.notificationService.releaseHeldNotifications();
+    } catch (error) {
+      console.error('Error releasing held notifications:', error.message);
+    }
+  }
+
+  /**
+   * Correlate offline devices whose outage window has passed into suspected outages
+   */
+  async runOutageCorrelation() {
+    try {
+      await this.notificationService.processOutages();
+    } catch (error) {
+      console.error('Error correlating outages:', error.message);
+    }
+  }
+
+  /**
+   * Relearn the RX power and temperature baseline of every device
+   */
+  updateBaselines() {
+    try {
+      const count = this.db.updateDeviceBaselines(BASELINE_WINDOW_DAYS);
+      console.log(`Baselines updated for ${count} device(s)`);
+    } catch (error) {
+      console.error('Error updating baselines:', error.message);
+    }
+  }
+
+  /**
+   * Compact stored readings into hourly/daily aggregates and apply retention
+   */
+  compactReadings() {
+    try {
+      const result = this.db.compactReadings();
+      console.log(`Readings compacted: ${result.hourlyBuckets} hourly and ${result.dailyBuckets} daily buckets updated, ` +
+        `${result.rawDeleted} raw, ${result.hourlyDeleted} hourly and ${result.dailyDeleted} daily rows, ${result.eventsDeleted} events and ${result.outboxDeleted} delivered notifications removed`);
+    } catch (error) {
+      console.error('Error compacting readings:', error.message);
+    }
+  }
+
   /**
    * Schedule monitoring for a specific device
    */
@@ -135,7 +258,24 @@ class MonitoringScheduler {
       console.log(`Monitoring device: ${currentDevice.name} (${currentDevice.host})`);
       
       // Perform monitoring with retry logic using current device config
+      const startedAt = Date.now();
       const result = await this.monitorWithRetry(currentDevice);
+      this.recordLatestResult(currentDevice.id, result, Date.now() - startedAt);
+      
+      // Persist the reading so it is available in the device history
+      try {
+        this.db.addReading(currentDevice.id, result);
+        
+        if (!result.success) {
+          this.db.addEvent({
+            deviceId: currentDevice.id,
+            eventType: 'poll_failed',
+            message: result.error
+          });
+        }
+      } catch (error) {
+        console.error(`Error storing reading for device ${currentDevice.name}:`, error.message);
+      }
       
       // Process result and check for notifications using current device config
       await this.notificationService.processMonitoringResult(currentDevice, result);
@@ -145,6 +285,28 @@ class MonitoringScheduler {
     }
   }
 
+  /**
+   * Remember the latest poll result of a device for the metrics exporter
+   */
+  recordLatestResult(deviceId, result, durationMs) {
+    const previous = this.latestResults.get(deviceId);
+    const consecutiveFailures = result.success ? 0 : (previous ? previous.consecutiveFailures : 0) + 1;
+    
+    this.latestResults.set(deviceId, {
+      result,
+      durationMs,
+      consecutiveFailures,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Get the latest poll result of every monitored device
+   */
+  getLatestResults() {
+    return this.latestResults;
+  }
+
   /**
    * Monitor device with retry logic
    */
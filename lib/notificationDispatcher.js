@@ -0,0 +1,133 @@
+const { redact } = require('./redact');
+
+// Attempts before a notification is dead-lettered
+const MAX_ATTEMPTS = 5;
+
+// Retry delays double from the base delay after each failed attempt, up to the maximum
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 3600;
+
+// How often the outbox is checked and how many notifications are sent per check
+const DISPATCH_INTERVAL_MS = 5000;
+const BATCH_SIZE = 20;
+
+/**
+ * Notification Dispatcher
+ * Delivers the queued notifications of the outbox in the background, so a slow or
+ * unavailable gateway does not stall device polling, and retries failed sends
+ */
+
+/**
+ * Seconds to wait before the next attempt after a number of failed attempts
+ */
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** (attempts - 1));
+}
+
+class NotificationDispatcher {
+  constructor(database, notificationService) {
+    this.db = database;
+    this.notificationService = notificationService;
+    this.timer = null;
+    this.dispatching = false;
+  }
+
+  /**
+   * Start checking the outbox periodically
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log('Starting notification dispatcher...');
+    this.timer = setInterval(() => {
+      this.dispatch();
+    }, DISPATCH_INTERVAL_MS);
+  }
+
+  /**
+   * Stop checking the outbox
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Deliver the notifications that are due, returning how many were attempted.
+   * Runs are not overlapped; a run still delivering makes the next one return at once.
+   */
+  async dispatch(now = new Date()) {
+    if (this.dispatching) return 0;
+    this.dispatching = true;
+
+    try {
+      const due = this.db.getDueNotifications(now, BATCH_SIZE);
+      for (const entry of due) {
+        await this.deliver(entry);
+      }
+      return due.length;
+    } catch (error) {
+      console.error('Error dispatching notifications:', error.message);
+      return 0;
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  /**
+   * Attempt one outbox notification: mark it sent, schedule a retry with exponential
+   * backoff, or dead-letter it after MAX_ATTEMPTS. Notifications for SMS or a channel that
+   * was disabled (or deleted) after they were queued are skipped without retries.
+   * Sent, skipped and dead-lettered notifications are logged as notification events.
+   */
+  async deliver(entry) {
+    let result;
+    try {
+      result = await this.notificationService.deliver(entry);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const attempts = entry.attempts + 1;
+    if (result.success) {
+      this.db.markNotificationSent(entry.id, attempts);
+      this.logEvent(entry, true, null);
+      return true;
+    }
+
+    const error = redact(result.error || (result.status ? `HTTP ${result.status}` : 'Delivery failed'));
+    if (result.skipped) {
+      console.log(`Notification ${entry.id} to ${entry.recipient} skipped: ${error}`);
+      this.db.markNotificationSkipped(entry.id, error);
+      this.logEvent(entry, false, { skipped: true, error });
+    } else if (attempts >= MAX_ATTEMPTS) {
+      console.log(`✗ Notification ${entry.id} to ${entry.recipient} dead-lettered after ${attempts} attempts: ${error}`);
+      this.db.markNotificationFailed(entry.id, attempts, error);
+      this.logEvent(entry, false, { status: result.status, error, attempts });
+    } else {
+      const delay = retryDelaySeconds(attempts);
+      console.log(`Notification ${entry.id} to ${entry.recipient} failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${delay}s: ${error}`);
+      this.db.markNotificationFailed(entry.id, attempts, error, new Date(Date.now() + delay * 1000));
+    }
+    return false;
+  }
+
+  /**
+   * Log the outcome of a notification in the event log
+   */
+  logEvent(entry, success, details) {
+    this.db.addEvent({
+      deviceId: entry.deviceId,
+      eventType: 'notification',
+      alertType: entry.alertType,
+      message: entry.message,
+      recipient: entry.recipient,
+      success,
+      details
+    });
+  }
+}
+
+module.exports = NotificationDispatcher;
@@ -1,8 +1,99 @@
 const axios = require('axios');
+const { computeRxTrend, checkAnomaly } = require('./analytics');
+const { parseMetricValue } = require('./onuMonitor');
+const { isWindowActive, isQuietHoursActive } = require('./timeWindows');
+const { ALERT_LABELS, SEVERITY_LEVELS, MESSAGE_TEMPLATES, formatTime, renderTemplate, getSeverity } = require('./templates');
+const { CHANNEL_TYPES } = require('./channels');
+const { buildSMSRequest, gatewaySecrets } = require('./smsGateway');
+const { redact } = require('./redact');
+
+// Minimum number of readings before a learned baseline is trusted
+const MIN_BASELINE_SAMPLES = 24;
+
+// Number of recent readings included in channel notifications (email)
+const RECENT_READINGS = 10;
+
+// Optical values with optional low and high thresholds: the monitoring data field,
+// the device's enable flag, threshold and clear level fields, and the alert type prefix
+const RANGE_THRESHOLDS = [
+  {
+    type: 'tx_power', label: 'TX Power', field: 'txPower', enabled: 'notifyTxPower',
+    low: 'txPowerLowThreshold', lowClear: 'txPowerLowClearThreshold',
+    high: 'txPowerHighThreshold', highClear: 'txPowerHighClearThreshold'
+  },
+  {
+    type: 'voltage', label: 'Voltage', field: 'voltage', enabled: 'notifyVoltage',
+    low: 'voltageLowThreshold', lowClear: 'voltageLowClearThreshold',
+    high: 'voltageHighThreshold', highClear: 'voltageHighClearThreshold'
+  },
+  {
+    type: 'bias_current', label: 'Bias Current', field: 'biasCurrent', enabled: 'notifyBiasCurrent',
+    low: 'biasCurrentLowThreshold', lowClear: 'biasCurrentLowClearThreshold',
+    high: 'biasCurrentHighThreshold', highClear: 'biasCurrentHighClearThreshold'
+  }
+];
+
+/**
+ * Format a duration in milliseconds as e.g. "2h 15m"
+ */
+function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Level a threshold is compared against: the clear level while the alert is firing
+ * (when one is configured), otherwise the trigger level
+ */
+function thresholdLevel(trigger, clear, firing) {
+  return firing && clear !== null && clear !== undefined ? clear : trigger;
+}
+
+/**
+ * Upstream path of a device from the OLT down to the splitter, e.g. ['OLT-3', 'PON-5'].
+ * The path stops at the first missing level, so a splitter is never read as a PON port.
+ */
+function upstreamPath(device) {
+  const parts = [device.upstreamOlt, device.upstreamPon, device.upstreamSplitter];
+  const missing = parts.findIndex(part => !part);
+  return missing === -1 ? parts : parts.slice(0, missing);
+}
+
+/**
+ * Element under which held offline devices are correlated: the PON port, or the OLT for
+ * devices tagged with an OLT only. Devices on different PON ports of one OLT usually fail
+ * for unrelated reasons, so they are never collapsed into one outage.
+ */
+function correlationElement(element) {
+  return element.split('/').slice(0, 2).join('/');
+}
+
+/**
+ * Deepest upstream element shared by elements like "OLT-3/PON-5/SPL-2"
+ */
+function commonElement(elements) {
+  const paths = elements.map(element => element.split('/'));
+  const common = [];
+  for (let i = 0; paths.every(path => i < path.length && path[i] === paths[0][i]); i++) {
+    common.push(paths[0][i]);
+  }
+  return common.join('/');
+}
+
+/**
+ * Check whether an element is, or lies below, another element
+ */
+function isUnder(element, parent) {
+  return element === parent || element.startsWith(`${parent}/`);
+}
 
 /**
  * Notification Service
- * Handles SMS notifications using the configured API template
+ * Handles SMS notifications using the configured API template and the
+ * configured notification channels
  */
 
 class NotificationService {
@@ -11,61 +102,176 @@ class NotificationService {
   }
 
   /**
-   * Send SMS notification using the configured API
+   * Send SMS notification to one or more phone numbers (one request, for batch gateways)
+   * using the configured API, returning { success, status, error }
    */
-  async sendSMS(phone, message) {
+  async sendSMS(phones, message) {
+    const recipients = Array.isArray(phones) ? phones : [phones];
+    let secrets = [];
     try {
       const config = this.db.getSMSConfig();
       
       if (!config || config.enabled !== 1) {
         console.log('SMS notifications are disabled');
-        return false;
+        return { success: false, skipped: true, error: 'SMS notifications are disabled' };
       }
 
       if (!config.api_url) {
         console.log('SMS API URL not configured');
-        return false;
+        return { success: false, error: 'SMS API URL not configured' };
       }
 
-      // Strip the + prefix from phone number if present (some SMS APIs don't accept it)
-      const cleanPhone = phone.replace(/^\+/, '');
-
-      // Replace placeholders in the API URL
-      // Encode both phone number and message for proper URL formatting
-      const url = config.api_url
-        .replace('{phone}', encodeURIComponent(cleanPhone))
-        .replace('{message}', encodeURIComponent(message));
+      // API keys and passwords never reach the log
+      secrets = gatewaySecrets(config.gateway);
+      const request = buildSMSRequest(config.gateway, recipients, message);
 
-      console.log(`Sending SMS notification to ${phone} (cleaned: ${cleanPhone}): ${message}`);
-      console.log(`API URL: ${url}`);
+      console.log(`Sending SMS notification to ${recipients.join(', ')}: ${message}`);
+      console.log(`API request: ${request.method} ${redact(request.url, secrets)}`);
 
-      // Make HTTP GET request to the SMS API
-      const response = await axios.get(url, {
+      const response = await axios.request({
+        ...request,
         timeout: 10000,
         validateStatus: (status) => status < 500
       });
 
       console.log(`SMS API Response Status: ${response.status}`);
-      console.log(`SMS API Response Data:`, response.data);
+      console.log(`SMS API Response Data: ${redact(response.data, secrets)}`);
 
-      if (response.status === 200) {
+      if (response.status >= 200 && response.status < 300) {
         console.log('✓ SMS sent successfully');
-        return true;
+        return { success: true, status: response.status };
       } else {
         console.log(`✗ SMS API returned status ${response.status}`);
-        console.log(`Response: ${JSON.stringify(response.data)}`);
-        return false;
+        return { success: false, status: response.status, error: `SMS API returned status ${response.status}` };
       }
     } catch (error) {
-      console.error('✗ Failed to send SMS:', error.message);
+      const reason = redact(error.message, secrets);
+      console.error('✗ Failed to send SMS:', reason);
+      return { success: false, error: reason };
+    }
+  }
+
+  /**
+   * Queue a notification for the configured phone numbers and every enabled channel;
+   * the notification dispatcher delivers it with retries. Returns whether anything was queued.
+   * Options: recipients (overrides the configured numbers when non-empty),
+   * deviceId and alertType (recorded with the notification events),
+   * data (monitoring data for channel templates), resolved, template
+   * ({ type, values, repeat }) to render the message per channel instead of `message`,
+   * contacts to address only these contacts instead of the routed ones, and
+   * routedContacts to use instead of the contacts routed for deviceId (e.g. for an outage).
+   * Contacts and channels in their quiet hours get the notification later (see releaseHeldNotifications).
+   */
+  async sendNotificationToAll(message, options = {}) {
+    let contacts = options.contacts || options.routedContacts || this.getRoutedContacts(options.deviceId, options.alertType);
+    if (contacts) {
+      contacts = this.holdForQuietContacts(contacts, message, options);
+      console.log(`Routing notification to ${contacts.length} contact(s): ${contacts.map(c => c.name).join(', ')}`);
+    }
+
+    const smsSent = await this.sendSMSToAll(message, options, contacts);
+    const channelsSent = await this.sendToChannels(message, options, contacts);
+    return smsSent || channelsSent;
+  }
+
+  /**
+   * Contacts that receive a device notification, from the contact groups assigned to the
+   * device or its group and the alert types each contact wants. Returns null when no contact
+   * receives it, in which case the global phone numbers and channel recipients are used.
+   */
+  getRoutedContacts(deviceId, alertType) {
+    const device = deviceId ? this.db.getONUDevice(deviceId) : null;
+    if (!device) return null;
+
+    const contacts = this.db.getRoutedContacts(device).filter(contact =>
+      contact.alertTypes.length === 0 || contact.alertTypes.includes(alertType)
+    );
+    return contacts.length > 0 ? contacts : null;
+  }
+
+  /**
+   * Check whether quiet hours hold back a notification of a severity; notifications at or
+   * above the schedule's override severity (e.g. critical offline alerts) are always sent
+   */
+  isQuiet(quietHours, severity, now = new Date()) {
+    if (!isQuietHoursActive(quietHours, now)) return false;
+    const override = SEVERITY_LEVELS.indexOf(quietHours.overrideSeverity);
+    return override === -1 || SEVERITY_LEVELS.indexOf(severity) < override;
+  }
+
+  /**
+   * Hold a notification for the contacts in their quiet hours and return the other contacts
+   */
+  holdForQuietContacts(contacts, message, options = {}) {
+    const severity = getSeverity(options.alertType, options.resolved);
+    return contacts.filter(contact => {
+      if (!this.isQuiet(contact.quietHours, severity)) return true;
+      this.holdNotification({ contactId: contact.id }, `contact:${contact.name}`, message, options, severity);
       return false;
+    });
+  }
+
+  /**
+   * Store a notification held back by quiet hours and log it
+   */
+  holdNotification(target, recipient, message, options, severity) {
+    console.log(`Notification for ${recipient} held until its quiet hours end`);
+    this.db.holdNotification({
+      ...target,
+      deviceId: options.deviceId,
+      alertType: options.alertType,
+      severity,
+      message
+    });
+    this.db.addEvent({
+      deviceId: options.deviceId,
+      eventType: 'notification_held',
+      alertType: options.alertType,
+      message,
+      recipient
+    });
+  }
+
+  /**
+   * Deliver the notifications held for contacts and channels whose quiet hours have ended,
+   * as one message per contact or channel. Called every minute by the scheduler.
+   */
+  async releaseHeldNotifications(now = new Date()) {
+    const batches = new Map();
+    for (const held of this.db.getHeldNotifications()) {
+      const key = held.contactId ? `contact:${held.contactId}` : `channel:${held.channelId}:${JSON.stringify(held.recipients)}`;
+      batches.set(key, (batches.get(key) || []).concat(held));
+    }
+
+    for (const batch of batches.values()) {
+      const { contactId, channelId, recipients } = batch[0];
+      const target = contactId ? this.db.getContact(contactId) : this.db.getNotificationChannel(channelId);
+      if (target && target.enabled && isQuietHoursActive(target.quietHours, now)) continue;
+
+      // Held notifications of deleted or disabled contacts and channels are dropped
+      if (target && target.enabled) {
+        const count = batch.length;
+        const message = [
+          `${count} notification${count === 1 ? '' : 's'} held during quiet hours:`,
+          ...batch.map(held => `- ${formatTime(new Date(held.createdAt))} ${held.message}`)
+        ].join('\n');
+
+        console.log(`Releasing ${count} held notification(s) for ${contactId ? 'contact' : target.type} "${target.name}"`);
+        if (contactId) {
+          await this.sendNotificationToAll(message, { contacts: [target] });
+        } else {
+          this.queueChannelNotification(target, message, { severity: 'info', recipients });
+        }
+      }
+      this.db.deleteHeldNotifications(batch.map(held => held.id));
     }
   }
 
   /**
-   * Send notification to all configured phone numbers
+   * Queue an SMS to the routed contacts or all configured phone numbers,
+   * as one notification for all of them when the gateway sends in batches
    */
-  async sendNotificationToAll(message) {
+  async sendSMSToAll(message, options = {}, contacts = null) {
     const config = this.db.getSMSConfig();
     
     if (!config || config.enabled !== 1) {
@@ -73,80 +279,366 @@ class NotificationService {
       return false;
     }
 
-    if (!config.phone_numbers || !config.phoneNumbersArray || config.phoneNumbersArray.length === 0) {
+    let phones = config.phoneNumbersArray;
+    if (options.recipients && options.recipients.length > 0) {
+      phones = options.recipients;
+    } else if (contacts) {
+      phones = contacts.filter(c => c.phone).map(c => c.phone);
+    }
+    if (!phones || phones.length === 0) {
       console.log('No phone numbers configured for SMS notifications');
       return false;
     }
 
-    console.log(`Sending notification to ${config.phoneNumbersArray.length} recipient(s)`);
+    console.log(`Queueing SMS notification for ${phones.length} recipient(s)`);
     
-    const results = [];
-    for (const phone of config.phoneNumbersArray) {
-      const success = await this.sendSMS(phone, message);
-      results.push({ phone, success });
+    const text = options.template ? this.renderMessage(options.template, 'sms') : message;
+    if (config.gateway.batch) {
+      this.db.enqueueNotification({
+        deviceId: options.deviceId,
+        alertType: options.alertType,
+        channel: 'sms',
+        recipient: phones.join(', '),
+        message: text,
+        payload: { recipients: phones }
+      });
+      return true;
+    }
+    for (const phone of phones) {
+      this.db.enqueueNotification({
+        deviceId: options.deviceId,
+        alertType: options.alertType,
+        channel: 'sms',
+        recipient: phone,
+        message: text
+      });
     }
     
-    const successCount = results.filter(r => r.success).length;
-    console.log(`Successfully sent ${successCount}/${results.length} notifications`);
-    
-    return successCount > 0;
+    return true;
+  }
+
+  /**
+   * Queue a notification for every enabled channel (webhooks, ...).
+   * Channels that address people only reach the routed contacts, if any.
+   */
+  async sendToChannels(message, options = {}, contacts = null) {
+    const channels = this.db.getNotificationChannels({ enabledOnly: true });
+    if (channels.length === 0) return false;
+
+    const severity = getSeverity(options.alertType, options.resolved);
+
+    let queued = false;
+    for (const channel of channels) {
+      const handler = CHANNEL_TYPES[channel.type];
+      let addresses = null;
+      if (options.contacts && !(handler && handler.CONTACT_FIELD)) continue;
+      if (contacts && handler && handler.CONTACT_FIELD) {
+        addresses = contacts.map(c => c[handler.CONTACT_FIELD]).filter(a => a);
+        if (addresses.length === 0) continue;
+      }
+
+      const text = options.template ? this.renderMessage(options.template, channel.type) : message;
+      if (this.isQuiet(channel.quietHours, severity)) {
+        this.holdNotification({ channelId: channel.id, recipients: addresses }, `${channel.type}:${channel.name}`, text, options, severity);
+        continue;
+      }
+
+      this.queueChannelNotification(channel, text, {
+        deviceId: options.deviceId,
+        alertType: options.alertType,
+        severity,
+        data: options.data,
+        recipients: addresses
+      });
+      queued = true;
+    }
+    return queued;
   }
 
   /**
-   * Check if notification should be sent based on monitoring data
+   * Queue a message for a channel. Payload: deviceId, alertType, severity, data (monitoring
+   * data for channel templates) and recipients (overriding the channel's recipients)
    */
-  shouldNotify(device, monitoringData) {
+  queueChannelNotification(channel, message, payload) {
+    this.db.enqueueNotification({
+      deviceId: payload.deviceId,
+      alertType: payload.alertType,
+      channel: channel.type,
+      channelId: channel.id,
+      recipient: `${channel.type}:${channel.name}`,
+      message,
+      payload: { severity: payload.severity, data: payload.data, recipients: payload.recipients }
+    });
+  }
+
+  /**
+   * Deliver a queued outbox notification, returning { success, status, error }.
+   * Channel notifications use the channel's current configuration and the latest readings.
+   */
+  async deliver(entry) {
+    if (entry.channel === 'sms') {
+      return this.sendSMS(entry.payload.recipients || entry.recipient, entry.message);
+    }
+
+    const channel = this.db.getNotificationChannel(entry.channelId);
+    if (!channel) {
+      return { success: false, skipped: true, error: 'Channel no longer exists' };
+    }
+    if (!channel.enabled) {
+      return { success: false, skipped: true, error: 'Channel is disabled' };
+    }
+
+    const handler = CHANNEL_TYPES[channel.type];
+    const { severity, data, recipients } = entry.payload;
+    const config = recipients && handler && handler.RECIPIENTS_FIELD
+      ? { ...channel.config, [handler.RECIPIENTS_FIELD]: recipients }
+      : channel.config;
+
+    return this.sendToChannel({ ...channel, config }, {
+      device: entry.deviceId ? this.db.getONUDevice(entry.deviceId) : null,
+      alertType: entry.alertType,
+      severity: severity || getSeverity(entry.alertType, false),
+      data,
+      readings: entry.deviceId ? this.db.getReadings(entry.deviceId, { limit: RECENT_READINGS }) : [],
+      message: entry.message
+    });
+  }
+
+  /**
+   * Send one notification context through a channel
+   */
+  async sendToChannel(channel, context) {
+    const handler = CHANNEL_TYPES[channel.type];
+    if (!handler) {
+      return { success: false, error: `Unknown channel type: ${channel.type}` };
+    }
+
+    const result = await handler.send(channel.config, context);
+    if (result.success) {
+      console.log(`✓ Notification sent via ${channel.type} "${channel.name}"`);
+    } else {
+      console.log(`✗ ${channel.type} "${channel.name}" failed: ${result.error}`);
+    }
+    return result;
+  }
+
+  /**
+   * Render a message template for a channel ('sms', a channel type or 'default'),
+   * falling back to the template for all channels and then to the built-in default
+   */
+  renderMessage(template, channel = 'default') {
+    const templates = this.db.getMessageTemplates().filter(t => t.alertType === template.type);
+    const custom = templates.find(t => t.channel === channel) || templates.find(t => t.channel === 'default');
+    let text = custom ? custom.template : MESSAGE_TEMPLATES[template.type].default;
+
+    // Repeated alerts say how long they have lasted unless the template already does
+    if (template.repeat && !text.includes('{duration}')) {
+      text += ' (active for {duration})';
+    }
+
+    return renderTemplate(text, { time: formatTime(), ...template.values });
+  }
+
+  /**
+   * Message template values describing a device
+   */
+  deviceTemplateValues(device, values = {}) {
+    return {
+      device_name: device.name,
+      host: device.host,
+      device_group: device.deviceGroup || '',
+      ...values
+    };
+  }
+
+  /**
+   * Build an alert whose message comes from the message templates; `extra` holds the
+   * placeholders specific to the alert type (e.g. the baseline of an anomaly)
+   */
+  templateAlert(device, type, value, threshold, extra = {}) {
+    const values = this.deviceTemplateValues(device, { value, threshold, duration: formatDuration(0), ...extra });
+    return { type, values, message: this.renderMessage({ type, values }) };
+  }
+
+  /**
+   * Decide whether a threshold alert is raised for this poll. A breach that differs
+   * from the alert's firing state is counted, and the state only changes once it held
+   * for the device's trigger or clear poll count; until then the current state is kept.
+   */
+  confirmThreshold(device, alertType, breached, firing, polls) {
+    const isFiring = firing.has(alertType);
+    if (breached === isFiring) {
+      if (polls.get(alertType)) this.db.setThresholdPolls(device.id, alertType, 0);
+      return isFiring;
+    }
+
+    const required = (isFiring ? device.alertClearPolls : device.alertTriggerPolls) || 1;
+    const count = (polls.get(alertType) || 0) + 1;
+    if (count >= required) {
+      this.db.setThresholdPolls(device.id, alertType, 0);
+      return breached;
+    }
+
+    this.db.setThresholdPolls(device.id, alertType, count);
+    console.log(`  ${alertType} ${isFiring ? 'clear' : 'trigger'} condition held for ${count}/${required} polls`);
+    return isFiring;
+  }
+
+  /**
+   * Check if notification should be sent based on monitoring data.
+   * Alert types whose check could not run (metric missing from the poll, not enough
+   * history, baseline not learned) are added to `skipped`, so they are not resolved.
+   */
+  shouldNotify(device, monitoringData, skipped = new Set()) {
     const alerts = [];
 
     console.log(`Checking notifications for device ${device.name}:`);
     console.log(`  Monitoring data:`, monitoringData);
 
+    // Threshold alerts fire at the trigger level and, once firing, clear only past the
+    // clear level; both changes must hold for the device's consecutive poll counts
+    const firing = new Set(this.db.getAlertStates(device.id).filter(s => s.state === 'firing').map(s => s.alertType));
+    const polls = this.db.getThresholdPolls(device.id);
+
     // Check RX Power
     if (device.notifyRxPower && monitoringData.currentValue) {
       // Extract RX power value including negative sign
       const match = monitoringData.currentValue.match(/(-?[\d.]+)/);
       const rxPower = match ? parseFloat(match[1]) : NaN;
-      console.log(`  RX Power Check: enabled=${device.notifyRxPower}, value=${rxPower}, threshold=${device.rxPowerThreshold}`);
+      const level = thresholdLevel(device.rxPowerThreshold, device.rxPowerClearThreshold, firing.has('rx_power'));
+      console.log(`  RX Power Check: enabled=${device.notifyRxPower}, value=${rxPower}, threshold=${level}`);
       
-      if (!isNaN(rxPower) && rxPower < device.rxPowerThreshold) {
-        alerts.push({
-          type: 'rx_power',
-          message: `Low RX Power Alert: ${device.name} - Current: ${monitoringData.currentValue}, Threshold: ${device.rxPowerThreshold} dBm`
-        });
+      if (!isNaN(rxPower) && this.confirmThreshold(device, 'rx_power', rxPower < level, firing, polls)) {
+        alerts.push(this.templateAlert(device, 'rx_power', monitoringData.currentValue, device.rxPowerThreshold));
         console.log(`  ✓ RX Power alert triggered!`);
       } else {
-        console.log(`  ✗ RX Power alert NOT triggered (${rxPower} >= ${device.rxPowerThreshold})`);
+        console.log(`  ✗ RX Power alert NOT triggered`);
       }
+      if (isNaN(rxPower)) skipped.add('rx_power');
     } else {
       console.log(`  RX Power notifications disabled or no data`);
+      if (device.notifyRxPower) skipped.add('rx_power');
     }
 
     // Check High Temperature
+    if (device.notifyTempHigh && !monitoringData.temperature) skipped.add('temp_high');
     if (device.notifyTempHigh && monitoringData.temperature) {
-      const temp = parseFloat(monitoringData.temperature.match(/([\d.]+)/)?.[1]);
-      console.log(`  Temp High Check: enabled=${device.notifyTempHigh}, value=${temp}, threshold=${device.tempHighThreshold}`);
+      const temp = parseMetricValue(monitoringData.temperature);
+      const level = thresholdLevel(device.tempHighThreshold, device.tempHighClearThreshold, firing.has('temp_high'));
+      console.log(`  Temp High Check: enabled=${device.notifyTempHigh}, value=${temp}, threshold=${level}`);
       
-      if (!isNaN(temp) && temp > device.tempHighThreshold) {
-        alerts.push({
-          type: 'temp_high',
-          message: `High Temperature Alert: ${device.name} - Current: ${monitoringData.temperature}, Threshold: ${device.tempHighThreshold}°C`
-        });
+      if (temp !== null && this.confirmThreshold(device, 'temp_high', temp > level, firing, polls)) {
+        alerts.push(this.templateAlert(device, 'temp_high', monitoringData.temperature, device.tempHighThreshold));
         console.log(`  ✓ High temp alert triggered!`);
       }
+      if (temp === null) skipped.add('temp_high');
     }
 
     // Check Low Temperature
+    if (device.notifyTempLow && !monitoringData.temperature) skipped.add('temp_low');
     if (device.notifyTempLow && monitoringData.temperature) {
-      const temp = parseFloat(monitoringData.temperature.match(/([\d.]+)/)?.[1]);
-      console.log(`  Temp Low Check: enabled=${device.notifyTempLow}, value=${temp}, threshold=${device.tempLowThreshold}`);
+      const temp = parseMetricValue(monitoringData.temperature);
+      const level = thresholdLevel(device.tempLowThreshold, device.tempLowClearThreshold, firing.has('temp_low'));
+      console.log(`  Temp Low Check: enabled=${device.notifyTempLow}, value=${temp}, threshold=${level}`);
       
-      if (!isNaN(temp) && temp < device.tempLowThreshold) {
-        alerts.push({
-          type: 'temp_low',
-          message: `Low Temperature Alert: ${device.name} - Current: ${monitoringData.temperature}, Threshold: ${device.tempLowThreshold}°C`
-        });
+      if (temp !== null && this.confirmThreshold(device, 'temp_low', temp < level, firing, polls)) {
+        alerts.push(this.templateAlert(device, 'temp_low', monitoringData.temperature, device.tempLowThreshold));
         console.log(`  ✓ Low temp alert triggered!`);
       }
+      if (temp === null) skipped.add('temp_low');
+    }
+
+    // Check the low/high ranges of TX power, supply voltage and bias current
+    for (const check of RANGE_THRESHOLDS) {
+      const value = parseMetricValue(monitoringData[check.field]);
+      if (!device[check.enabled]) continue;
+      if (value === null) {
+        skipped.add(`${check.type}_low`).add(`${check.type}_high`);
+        continue;
+      }
+
+      for (const [alertType, thresholdField, clearField, breached] of [
+        [`${check.type}_low`, check.low, check.lowClear, (v, t) => v < t],
+        [`${check.type}_high`, check.high, check.highClear, (v, t) => v > t]
+      ]) {
+        const threshold = device[thresholdField];
+        if (threshold === null || threshold === undefined) continue;
+        const level = thresholdLevel(threshold, device[clearField], firing.has(alertType));
+        console.log(`  ${check.label} Check: value=${value}, ${alertType} threshold=${level}`);
+
+        if (this.confirmThreshold(device, alertType, breached(value, level), firing, polls)) {
+          alerts.push(this.templateAlert(device, alertType, monitoringData[check.field], threshold));
+          console.log(`  ✓ ${ALERT_LABELS[alertType]} alert triggered!`);
+        }
+      }
+    }
+
+    // Check slow RX power degradation over the stored readings
+    if (device.notifyRxTrend) {
+      const windowHours = device.rxTrendWindowHours || 24;
+      const trend = computeRxTrend(this.getTrendReadings(device.id, windowHours), windowHours);
+      
+      if (!trend) {
+        console.log(`  RX Trend Check: not enough history for a ${windowHours}h window`);
+        skipped.add('rx_trend');
+      } else {
+        console.log(`  RX Trend Check: drop=${trend.dropOverWindow.toFixed(2)} dB/${windowHours}h, allowed=${device.rxTrendMaxDrop} dB`);
+        
+        if (trend.dropOverWindow > device.rxTrendMaxDrop) {
+          alerts.push(this.templateAlert(device, 'rx_trend', monitoringData.currentValue, device.rxTrendMaxDrop, {
+            drop: trend.dropOverWindow.toFixed(2),
+            slope: trend.slopePerHour.toFixed(3),
+            window: windowHours
+          }));
+          console.log(`  ✓ RX trend alert triggered!`);
+        }
+      }
+    }
+
+    // Check deviation from the learned per-device baseline
+    if (device.notifyAnomaly) {
+      const baseline = this.db.getDeviceBaseline(device.id);
+      const rxPower = parseMetricValue(monitoringData.currentValue);
+      const temp = parseMetricValue(monitoringData.temperature);
+      
+      if (baseline && baseline.rxSamples >= MIN_BASELINE_SAMPLES && rxPower !== null) {
+        const check = checkAnomaly(rxPower, baseline.rxMean, baseline.rxStddev, {
+          sigma: device.anomalySigma,
+          maxDelta: device.anomalyRxDelta,
+          minStddev: 0.1
+        });
+        console.log(`  RX Anomaly Check: value=${rxPower}, baseline=${baseline.rxMean.toFixed(2)}±${baseline.rxStddev.toFixed(2)}, deviation=${check.deviation.toFixed(2)} dB (${check.sigmas.toFixed(1)}σ)`);
+        
+        if (check.anomalous) {
+          alerts.push(this.templateAlert(device, 'rx_anomaly', monitoringData.currentValue, `${device.anomalySigma}σ`, {
+            baseline: `${baseline.rxMean.toFixed(2)} ± ${baseline.rxStddev.toFixed(2)}`,
+            deviation: `${check.deviation > 0 ? '+' : ''}${check.deviation.toFixed(2)} dB, ${check.sigmas.toFixed(1)}σ`
+          }));
+          console.log(`  ✓ RX anomaly alert triggered!`);
+        }
+      } else {
+        console.log(`  RX Anomaly Check: baseline not learned yet`);
+        skipped.add('rx_anomaly');
+      }
+      
+      if (baseline && baseline.tempSamples >= MIN_BASELINE_SAMPLES && temp !== null) {
+        const check = checkAnomaly(temp, baseline.tempMean, baseline.tempStddev, {
+          sigma: device.anomalySigma,
+          maxDelta: device.anomalyTempDelta,
+          minStddev: 0.5
+        });
+        console.log(`  Temp Anomaly Check: value=${temp}, baseline=${baseline.tempMean.toFixed(1)}±${baseline.tempStddev.toFixed(1)}, deviation=${check.deviation.toFixed(1)}°C (${check.sigmas.toFixed(1)}σ)`);
+        
+        if (check.anomalous) {
+          alerts.push(this.templateAlert(device, 'temp_anomaly', monitoringData.temperature, `${device.anomalySigma}σ`, {
+            baseline: `${baseline.tempMean.toFixed(1)} ± ${baseline.tempStddev.toFixed(1)}`,
+            deviation: `${check.deviation > 0 ? '+' : ''}${check.deviation.toFixed(1)}°C, ${check.sigmas.toFixed(1)}σ`
+          }));
+          console.log(`  ✓ Temperature anomaly alert triggered!`);
+        }
+      } else {
+        skipped.add('temp_anomaly');
+      }
     }
 
     console.log(`  Total alerts: ${alerts.length}`);
@@ -154,9 +646,71 @@ class NotificationService {
   }
 
   /**
-   * Process monitoring result and send notifications if needed
+   * Readings covering an RX trend window: raw readings when the window fits in the raw
+   * retention, hourly averages otherwise
+   */
+  getTrendReadings(deviceId, windowHours) {
+    const from = new Date(Date.now() - windowHours * 3600 * 1000);
+    if (windowHours <= this.db.getRetentionSettings().rawDays * 24) {
+      return this.db.getReadings(deviceId, { from, limit: 10000 });
+    }
+    return this.db.getReadingHistory(deviceId, { from, resolution: 'hourly' }).points.map(p => ({
+      recordedAt: p.time,
+      success: p.rxAvg !== null,
+      rxPower: p.rxAvg
+    }));
+  }
+
+  /**
+   * Find an active silence or maintenance window covering a device
+   */
+  getSuppression(device, now = new Date()) {
+    const silence = this.db.getActiveSilences(device)[0];
+    if (silence) {
+      return { type: 'silence', id: silence.id, reason: silence.reason, until: silence.endsAt };
+    }
+
+    const window = this.db.getMaintenanceWindows().find(w =>
+      (!w.deviceId || w.deviceId === device.id) &&
+      (!w.deviceGroup || w.deviceGroup === device.deviceGroup) &&
+      isWindowActive(w, now)
+    );
+    if (window) {
+      return { type: 'maintenance', id: window.id, reason: window.name };
+    }
+
+    return null;
+  }
+
+  /**
+   * Send a device notification unless it is suppressed.
+   * Options (data, resolved) are passed on to the notification channels.
+   * Returns false when the notification was suppressed.
+   */
+  async notifyDevice(device, message, alertType, suppression, options = {}) {
+    if (suppression) {
+      console.log(`Notification suppressed by ${suppression.type} (${suppression.reason || 'no reason'}): ${message}`);
+      this.db.addEvent({
+        deviceId: device.id,
+        eventType: 'notification_suppressed',
+        alertType,
+        message,
+        details: suppression
+      });
+      return false;
+    }
+
+    await this.sendNotificationToAll(message, { ...options, deviceId: device.id, alertType });
+    return true;
+  }
+
+  /**
+   * Process monitoring result and send notifications if needed.
+   * Alert state is always tracked; only sending is skipped during a silence or maintenance window.
    */
   async processMonitoringResult(device, result) {
+    const suppression = this.getSuppression(device);
+
     if (!result.success) {
       // Handle device offline
       if (device.notifyOffline) {
@@ -166,11 +720,19 @@ class NotificationService {
         // Check if we've reached the threshold
         if (newFailures >= device.retryAttempts && !device.isOfflineNotified) {
           // Send offline notification
-          const message = `Device Offline: ${device.name} at ${device.host} is not responding after ${newFailures} attempts.`;
-          await this.sendNotificationToAll(message);
+          const template = { type: 'offline', values: this.deviceTemplateValues(device, { attempts: newFailures }) };
+          const message = this.renderMessage(template);
+          this.db.openAlert(device.id, 'offline', message);
+          this.db.addEvent({ deviceId: device.id, eventType: 'device_offline', message, details: { error: result.error } });
+          // Devices tagged with upstream elements are notified by processOutages
+          if (!this.holdForOutage(device, message) &&
+              await this.notifyDevice(device, message, 'offline', suppression, { template })) {
+            this.db.markAlertNotified(device.id, 'offline');
+          }
           
           // Update notification state
           this.db.updateDeviceNotificationState(device.id, newFailures, true);
+          await this.processEscalations(new Date(), device.id);
         } else {
           // Just update failure count
           this.db.updateDeviceNotificationState(device.id, newFailures, device.isOfflineNotified);
@@ -182,8 +744,17 @@ class NotificationService {
     // Device is online
     if (device.notifyOffline && device.isOfflineNotified) {
       // Device came back online
-      const message = `Device Online: ${device.name} at ${device.host} is back online.`;
-      await this.sendNotificationToAll(message);
+      const offlineEvent = this.db.getEvents({ deviceId: device.id, types: ['device_offline'], limit: 1 })[0];
+      const duration = offlineEvent ? formatDuration(Date.now() - Date.parse(offlineEvent.createdAt)) : '';
+      const template = { type: 'online', values: this.deviceTemplateValues(device, { duration }) };
+      const message = this.renderMessage(template);
+      this.db.resolveAlert(device.id, 'offline');
+      this.db.addEvent({ deviceId: device.id, eventType: 'device_online', message });
+      if (await this.releaseOnlineDevice(device)) {
+        console.log(`Online notification for ${device.name} held by outage correlation`);
+      } else {
+        await this.notifyDevice(device, message, 'offline', suppression, { data: result.data, resolved: true, template });
+      }
       
       // Reset notification state
       this.db.updateDeviceNotificationState(device.id, 0, false);
@@ -193,11 +764,384 @@ class NotificationService {
     }
 
     // Check for threshold alerts
-    const alerts = this.shouldNotify(device, result.data);
-    
+    const skipped = new Set();
+    const alerts = this.shouldNotify(device, result.data, skipped);
+    await this.processAlerts(device, alerts, result.data, suppression, skipped);
+    await this.processEscalations(new Date(), device.id);
+  }
+
+  /**
+   * Hold the offline notification of a device tagged with upstream elements, so it can be
+   * collapsed into one outage notification (see processOutages). A device under an active
+   * outage joins it. Returns false when the device is notified on its own.
+   */
+  holdForOutage(device, message, now = new Date()) {
+    const settings = this.db.getAlertSettings();
+    const path = upstreamPath(device);
+    if (settings.outageMinDevices < 2 || path.length === 0) return false;
+
+    const element = path.join('/');
+    this.db.holdOfflineDevice(device.id, element, message, now);
+
+    const outage = this.db.getOutages({ state: 'active', limit: 500 }).find(o => isUnder(element, o.element));
+    if (outage) {
+      this.joinOutage(device, outage, message);
+    } else {
+      console.log(`Offline notification for ${device.name} held for outage correlation under ${element}`);
+    }
+    return true;
+  }
+
+  /**
+   * Attach a held offline device to an active outage; its own notification is not sent
+   */
+  joinOutage(device, outage, message) {
+    this.db.addDeviceToOutage(outage.id, device.id);
+    console.log(`Offline notification for ${device.name} held by the suspected outage of ${outage.element}`);
+    this.db.addEvent({
+      deviceId: device.id,
+      eventType: 'notification_suppressed',
+      alertType: 'offline',
+      message,
+      details: { type: 'outage', reason: `Suspected outage of ${outage.element}`, outageId: outage.id }
+    });
+  }
+
+  /**
+   * Correlate the held offline devices of each PON port (see correlationElement). Devices
+   * that went offline within the outage window of the first one become one suspected outage
+   * of their deepest common element once the window has passed, if there are enough of them;
+   * otherwise the first one is notified on its own and the next one starts a new window.
+   * Devices are released early when no outage can form anymore, and held devices under an
+   * active outage join it. Outages whose devices are all back online are then resolved.
+   */
+  async processOutages(now = new Date()) {
+    const settings = this.db.getAlertSettings();
+    const windowMs = settings.outageWindowMinutes * 60000;
+    const outages = this.db.getOutages({ state: 'active', limit: 500 });
+    const devices = this.db.getAllONUDevices();
+    const devicesById = new Map(devices.map(d => [d.id, d]));
+
+    const groups = new Map();
+    for (const held of this.db.getOutageDevices()) {
+      if (held.outageId) continue;
+      const outage = outages.find(o => isUnder(held.element, o.element));
+      if (outage && devicesById.has(held.deviceId)) {
+        this.joinOutage(devicesById.get(held.deviceId), outage, held.message);
+        continue;
+      }
+      const element = correlationElement(held.element);
+      if (!groups.has(element)) groups.set(element, []);
+      groups.get(element).push(held);
+    }
+
+    const latestReadings = groups.size > 0 ? this.db.getLatestReadings() : new Map();
+    for (const [element, held] of groups) {
+      // Held devices are ordered by the time they went offline
+      let pending = held;
+      while (pending.length > 0) {
+        const windowEnd = Date.parse(pending[0].offlineAt) + windowMs;
+        const cluster = pending.filter(h => Date.parse(h.offlineAt) <= windowEnd);
+
+        if (now.getTime() < windowEnd) {
+          const candidates = devices.filter(d =>
+            d.notifyOffline &&
+            upstreamPath(d).length > 0 &&
+            correlationElement(upstreamPath(d).join('/')) === element
+          );
+          for (const entry of pending) {
+            if (!this.canFormOutage(entry, candidates, latestReadings, settings.outageMinDevices)) {
+              console.log(`No outage can form under ${element}, releasing the offline notification of device ${entry.deviceId}`);
+              await this.releaseOfflineDevice(entry, now);
+            }
+          }
+          break;
+        }
+
+        if (settings.outageMinDevices >= 2 && cluster.length >= settings.outageMinDevices) {
+          const outage = await this.openOutage(cluster, now);
+          const later = pending.slice(cluster.length);
+          for (const entry of later.filter(h => isUnder(h.element, outage.element) && devicesById.has(h.deviceId))) {
+            this.joinOutage(devicesById.get(entry.deviceId), outage, entry.message);
+          }
+          pending = later.filter(h => !isUnder(h.element, outage.element));
+        } else {
+          await this.releaseOfflineDevice(pending[0], now);
+          pending = pending.slice(1);
+        }
+      }
+    }
+
+    await this.resolveOutages(now);
+  }
+
+  /**
+   * Check whether a held device can still be part of an outage: enough of the candidate
+   * devices under its element have not been confirmed online by a successful poll since it
+   * went offline. latestReadings is the map returned by db.getLatestReadings().
+   */
+  canFormOutage(held, candidates, latestReadings, minDevices) {
+    if (minDevices < 2) return false;
+
+    const offlineAt = Date.parse(held.offlineAt);
+    const unconfirmed = candidates.filter(d => {
+      if (d.id === held.deviceId) return false;
+      const latest = latestReadings.get(d.id);
+      const last = latest && latest.latest;
+      return !last || !last.success || Date.parse(last.recordedAt) < offlineAt;
+    });
+    return unconfirmed.length + 1 >= minDevices;
+  }
+
+  /**
+   * Open a suspected outage for held devices and send its notification, unless every
+   * device under it is silenced or in maintenance. Returns the outage.
+   */
+  async openOutage(held, now = new Date()) {
+    const element = commonElement(held.map(h => h.element));
+    const deviceIds = held.map(h => h.deviceId);
+    const devices = deviceIds.map(id => this.db.getONUDevice(id)).filter(d => d);
+    const template = {
+      type: 'outage',
+      values: { element, count: deviceIds.length, devices: devices.map(d => d.name).join(', ') }
+    };
+    const message = this.renderMessage(template);
+
+    const outageId = this.db.createOutage(element, deviceIds, message);
+    console.log(`Suspected outage: ${deviceIds.length} devices under ${element}`);
+    this.db.addEvent({ eventType: 'outage_detected', alertType: 'offline', message, details: { outageId, element, deviceIds } });
+
+    const notified = devices.filter(d => !this.getSuppression(d, now));
+    if (notified.length === 0) {
+      console.log(`Outage notification suppressed, all devices under ${element} are silenced or in maintenance`);
+    } else {
+      await this.sendNotificationToAll(message, { alertType: 'offline', template, routedContacts: this.getOutageContacts(notified) });
+    }
+    return this.db.getOutage(outageId);
+  }
+
+  /**
+   * Notify a held offline device on its own, as no outage formed around it
+   */
+  async releaseOfflineDevice(held, now = new Date()) {
+    this.db.releaseOutageDevice(held.deviceId);
+    const device = this.db.getONUDevice(held.deviceId);
+    if (!device) return;
+
+    const template = { type: 'offline', values: this.deviceTemplateValues(device, { attempts: device.consecutiveFailures }) };
+    if (await this.notifyDevice(device, held.message, 'offline', this.getSuppression(device, now), { template })) {
+      this.db.markAlertNotified(device.id, 'offline');
+    }
+    await this.processEscalations(now, device.id);
+  }
+
+  /**
+   * Stop holding a device that came back online. Returns true when its online notification
+   * is held as well: its offline notification was never sent, or the outage it belongs to
+   * is announced as resolved once all its devices are back.
+   */
+  async releaseOnlineDevice(device, now = new Date()) {
+    const held = this.db.getOutageDevice(device.id);
+    if (!held) return false;
+
+    this.db.releaseOutageDevice(device.id);
+    if (held.outageId) {
+      await this.resolveOutages(now);
+    }
+    return true;
+  }
+
+  /**
+   * Resolve the active outages whose devices are all back online (or deleted)
+   */
+  async resolveOutages(now = new Date()) {
+    const settings = this.db.getAlertSettings();
+
+    for (const outage of this.db.getRecoveredOutages()) {
+      const template = {
+        type: 'outage_resolved',
+        values: {
+          element: outage.element,
+          count: outage.deviceIds.length,
+          duration: formatDuration(now.getTime() - Date.parse(outage.startedAt))
+        }
+      };
+      const message = this.renderMessage(template);
+
+      this.db.resolveOutage(outage.id);
+      this.db.addEvent({ eventType: 'outage_resolved', alertType: 'offline', message, details: { outageId: outage.id, element: outage.element } });
+      console.log(`Outage resolved: ${outage.element}`);
+
+      const devices = outage.deviceIds.map(id => this.db.getONUDevice(id)).filter(d => d && !this.getSuppression(d, now));
+      if (settings.notifyResolved && devices.length > 0) {
+        await this.sendNotificationToAll(message, {
+          alertType: 'offline',
+          resolved: true,
+          template,
+          routedContacts: this.getOutageContacts(devices)
+        });
+      }
+    }
+  }
+
+  /**
+   * Contacts routed for the offline alerts of any of the devices, or null for the
+   * configured phone numbers and channel recipients
+   */
+  getOutageContacts(devices) {
+    const contacts = new Map();
+    for (const device of devices) {
+      for (const contact of this.getRoutedContacts(device.id, 'offline') || []) {
+        contacts.set(contact.id, contact);
+      }
+    }
+    return contacts.size > 0 ? [...contacts.values()] : null;
+  }
+
+  /**
+   * Update the persisted alert states of a device from the alerts of one poll.
+   * New alerts notify immediately, ongoing alerts repeat after the cooldown
+   * unless acknowledged, and alerts that are no longer raised are resolved unless
+   * their check was skipped in this poll.
+   */
+  async processAlerts(device, alerts, monitoringData, suppression = null, skipped = new Set()) {
+    const settings = this.db.getAlertSettings();
+    const cooldownMs = settings.cooldownMinutes * 60000;
+    const now = Date.now();
+    const states = new Map(this.db.getAlertStates(device.id).map(s => [s.alertType, s]));
+
     for (const alert of alerts) {
-      console.log(`Alert triggered: ${alert.type} - ${alert.message}`);
-      await this.sendNotificationToAll(alert.message);
+      const state = states.get(alert.type);
+
+      if (!state || state.state !== 'firing') {
+        console.log(`Alert triggered: ${alert.type} - ${alert.message}`);
+        this.db.openAlert(device.id, alert.type, alert.message);
+        this.db.addEvent({ deviceId: device.id, eventType: 'alert_fired', alertType: alert.type, message: alert.message });
+        const template = { type: alert.type, values: alert.values };
+        if (await this.notifyDevice(device, alert.message, alert.type, suppression, { data: monitoringData, template })) {
+          this.db.markAlertNotified(device.id, alert.type);
+        }
+        continue;
+      }
+
+      this.db.touchAlert(device.id, alert.type, alert.message);
+
+      // A cooldown of 0 notifies only once per firing period
+      const lastNotified = state.lastNotified ? Date.parse(state.lastNotified) : 0;
+      if (state.acknowledgedAt) {
+        console.log(`Alert still active, acknowledged by ${state.acknowledgedBy}: ${alert.type}`);
+      } else if (cooldownMs > 0 && now - lastNotified >= cooldownMs) {
+        const activeFor = formatDuration(now - Date.parse(state.firstSeen));
+        console.log(`Alert still active after cooldown: ${alert.type} (${activeFor})`);
+        const template = { type: alert.type, values: { ...alert.values, duration: activeFor }, repeat: true };
+        const message = this.renderMessage(template);
+        if (await this.notifyDevice(device, message, alert.type, suppression, { data: monitoringData, template })) {
+          this.db.markAlertNotified(device.id, alert.type);
+        }
+      } else {
+        console.log(`Alert still active, notification suppressed by cooldown: ${alert.type}`);
+      }
+    }
+
+    // The offline alert is resolved by the device coming back online, not by threshold checks;
+    // alerts whose check was skipped in this poll stay firing until it runs again
+    const raised = new Set(alerts.map(a => a.type));
+    for (const state of states.values()) {
+      if (state.state !== 'firing' || raised.has(state.alertType) || state.alertType === 'offline') continue;
+      if (skipped.has(state.alertType)) {
+        console.log(`Alert kept firing, its check was skipped in this poll: ${state.alertType}`);
+        continue;
+      }
+
+      const label = ALERT_LABELS[state.alertType] || state.alertType;
+      const currentValues = [
+        monitoringData.currentValue ? `RX: ${monitoringData.currentValue}` : null,
+        monitoringData.temperature ? `Temp: ${monitoringData.temperature}` : null
+      ].filter(v => v).join(', ');
+      const template = {
+        type: 'resolved',
+        values: this.deviceTemplateValues(device, {
+          alert: label,
+          value: currentValues,
+          duration: formatDuration(now - Date.parse(state.firstSeen))
+        })
+      };
+      const message = this.renderMessage(template);
+
+      this.db.resolveAlert(device.id, state.alertType);
+      this.db.addEvent({ deviceId: device.id, eventType: 'alert_resolved', alertType: state.alertType, message });
+      console.log(`Alert resolved: ${state.alertType}`);
+
+      if (settings.notifyResolved && state.notifyCount > 0) {
+        await this.notifyDevice(device, message, state.alertType, suppression, { data: monitoringData, resolved: true, template });
+      }
+    }
+  }
+
+  /**
+   * Escalate firing, unacknowledged alerts of devices with an escalation policy.
+   * Each policy step is sent once the alert has been firing for the step's delay,
+   * to the contacts of the step's contact group. Called every minute by the scheduler
+   * and after each poll (for that device only), so steps without delay go out at once.
+   */
+  async processEscalations(now = new Date(), deviceId = null) {
+    const devices = new Map(this.db.getAllONUDevices()
+      .filter(d => d.escalationPolicyId && (!deviceId || d.id === deviceId))
+      .map(d => [d.id, d]));
+    if (devices.size === 0) return;
+
+    const policies = new Map(this.db.getEscalationPolicies().map(p => [p.id, p]));
+    // Offline alerts held for outage correlation are not escalated device by device
+    const heldOffline = new Set(this.db.getOutageDevices().map(held => held.deviceId));
+
+    for (const alert of this.db.getFiringAlerts()) {
+      const device = devices.get(alert.deviceId);
+      const policy = device && policies.get(device.escalationPolicyId);
+      if (!policy || alert.acknowledgedAt || alert.escalationStep >= policy.steps.length) continue;
+      if (alert.alertType === 'offline' && heldOffline.has(alert.deviceId)) continue;
+
+      const elapsedMs = now.getTime() - Date.parse(alert.firstSeen);
+      const suppression = this.getSuppression(device, now);
+
+      for (let index = alert.escalationStep; index < policy.steps.length; index++) {
+        const step = policy.steps[index];
+        if (elapsedMs < step.delayMinutes * 60000) break;
+
+        // Hold escalations during silences and maintenance; they resume afterwards
+        if (suppression) {
+          console.log(`Escalation of ${alert.alertType} on ${device.name} held by ${suppression.type}`);
+          break;
+        }
+
+        const contacts = this.db.getContactGroupContacts(step.contactGroupId);
+        const template = {
+          type: 'escalation',
+          values: this.deviceTemplateValues(device, {
+            step: index + 1,
+            total: policy.steps.length,
+            alert: ALERT_LABELS[alert.alertType] || alert.alertType,
+            message: alert.lastMessage,
+            duration: formatDuration(elapsedMs)
+          })
+        };
+        const message = this.renderMessage(template);
+
+        console.log(`Escalating ${alert.alertType} on ${device.name} to step ${index + 1} (${contacts.length} contact(s))`);
+        this.db.markAlertEscalated(device.id, alert.alertType, index + 1);
+        this.db.addEvent({
+          deviceId: device.id,
+          eventType: 'alert_escalated',
+          alertType: alert.alertType,
+          message,
+          details: { policy: policy.name, step: index + 1, contactGroupId: step.contactGroupId }
+        });
+
+        if (contacts.length > 0) {
+          await this.sendNotificationToAll(message, { deviceId: device.id, alertType: alert.alertType, contacts, template });
+        } else {
+          console.log(`Escalation step ${index + 1} of policy "${policy.name}" has no enabled contacts`);
+        }
+      }
     }
   }
 }
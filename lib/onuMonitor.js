@@ -77,18 +77,22 @@ function extractOpticInfo(html) {
   const rxRaw = values[2];
   const voltageRaw = values[3];
   const temperatureRaw = values[4];
+  // Older firmware omits the bias current
+  const biasRaw = values[5];
   const uiType = detectUIType(rxRaw);
   
   const txPower = uiType === 'blue' ? decodeHexString(txRaw).trim() : txRaw.trim();
   const rxPower = uiType === 'blue' ? decodeHexString(rxRaw).trim() : rxRaw.trim();
   const voltage = uiType === 'blue' ? decodeHexString(voltageRaw).trim() : voltageRaw.trim();
   const temperature = uiType === 'blue' ? decodeHexString(temperatureRaw).trim() : temperatureRaw.trim();
+  const biasCurrent = biasRaw === undefined ? null : (uiType === 'blue' ? decodeHexString(biasRaw).trim() : biasRaw.trim());
   
   return {
     txPower: txPower,
     rxPower: rxPower,
     voltage: voltage,
     temperature: temperature,
+    biasCurrent: biasCurrent || null,
     uiType: uiType
   };
 }
@@ -239,6 +243,7 @@ async function getRxOpticalPower(apiClient, sessionCookies, host) {
     temperature: `${opticInfo.temperature} ℃`,
     temperatureRange: tempRange,
     voltage: `${opticInfo.voltage} mV`,
+    biasCurrent: opticInfo.biasCurrent ? `${opticInfo.biasCurrent} mA` : null,
     uiType: opticInfo.uiType
   };
 }
@@ -276,6 +281,15 @@ async function monitorONU(deviceConfig) {
   }
 }
 
+/**
+ * Extract the numeric part of a reading such as "-23.87 dBm" or "45 ℃"
+ */
+function parseMetricValue(value) {
+  if (value === undefined || value === null) return null;
+  const match = String(value).match(/(-?\d+(?:\.\d+)?)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
 /**
  * Check ONU connectivity
  */
@@ -293,5 +307,6 @@ async function checkConnectivity(host) {
 
 module.exports = {
   monitorONU,
-  checkConnectivity
+  checkConnectivity,
+  parseMetricValue
 };
@@ -0,0 +1,151 @@
+const { renderTemplate, jsonEscape } = require('./templates');
+
+/**
+ * SMS Gateway
+ * Builds the HTTP request of the configured SMS API
+ *
+ * Config:
+ *   apiUrl        request URL, placeholders are URL-encoded
+ *   method        GET or POST
+ *   bodyFormat    'form' (application/x-www-form-urlencoded) or 'json' for POST bodies
+ *   bodyTemplate  POST body, e.g. "to={phone}&text={message}" or {"to": "{phone}", "text": "{message}"}
+ *   authType      'none', 'header' (authHeader: authSecret) or 'basic' (authUsername, authSecret)
+ *   batch         send one request to all recipients instead of one request per recipient
+ *
+ * Placeholders: {phone} (the number, or all numbers separated by commas in batch mode),
+ * {phones} (in JSON bodies, a JSON array of the numbers; otherwise the same as {phone})
+ * and {message}. Leading + signs are stripped from numbers, as some gateways reject them.
+ */
+
+const METHODS = ['GET', 'POST'];
+const BODY_FORMATS = ['form', 'json'];
+const AUTH_TYPES = ['none', 'header', 'basic'];
+
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+
+/**
+ * Check whether a request template addresses the phone number(s) and the message
+ */
+function hasPlaceholders(text) {
+  return /\{phones?\}/.test(text) && text.includes('{message}');
+}
+
+/**
+ * Validate an SMS gateway configuration, returning an error message or null.
+ * `secretSet` tells whether an auth secret is already stored.
+ */
+function validateSMSConfig(config, secretSet = false) {
+  if (!config.apiUrl || !/^https?:\/\//i.test(config.apiUrl)) {
+    return 'API URL must start with http:// or https://';
+  }
+  const method = config.method || 'GET';
+  if (!METHODS.includes(method)) {
+    return `Method must be one of ${METHODS.join(', ')}`;
+  }
+  if (method === 'GET' && !hasPlaceholders(config.apiUrl)) {
+    return 'API URL must contain {phone} and {message} placeholders';
+  }
+  if (method === 'POST') {
+    if (!BODY_FORMATS.includes(config.bodyFormat || 'form')) {
+      return `Body format must be one of ${BODY_FORMATS.join(', ')}`;
+    }
+    if (!hasPlaceholders(`${config.apiUrl} ${config.bodyTemplate || ''}`)) {
+      return 'API URL or body must contain {phone} and {message} placeholders';
+    }
+    if (config.bodyFormat === 'json') {
+      try {
+        JSON.parse(renderJsonBody(config.bodyTemplate || '', ['+10000000000'], 'test'));
+      } catch (error) {
+        return 'JSON body template must be valid JSON';
+      }
+    }
+  }
+
+  const authType = config.authType || 'none';
+  if (!AUTH_TYPES.includes(authType)) {
+    return `Auth type must be one of ${AUTH_TYPES.join(', ')}`;
+  }
+  if (authType === 'header' && !HEADER_NAME_PATTERN.test(config.authHeader || '')) {
+    return 'Auth header name is required, e.g. Authorization or X-API-Key';
+  }
+  if (authType === 'basic' && !config.authUsername) {
+    return 'Username is required for basic auth';
+  }
+  if (authType !== 'none' && !config.authSecret && !secretSet) {
+    return authType === 'basic' ? 'Password is required for basic auth' : 'Auth header value is required';
+  }
+  return null;
+}
+
+/**
+ * Render a JSON body; {phones} becomes a JSON array of the numbers
+ */
+function renderJsonBody(template, phones, message) {
+  const withArray = template.replace(/"?\{phones\}"?/g, JSON.stringify(phones));
+  return renderTemplate(withArray, { phone: phones.join(','), message }, jsonEscape);
+}
+
+/**
+ * Values of a gateway configuration that must never reach the log: the auth secret and
+ * every fixed query value of the API URL (legacy gateways often carry their key there,
+ * under any parameter name). Values with placeholders are the phone number and message.
+ */
+function gatewaySecrets(config) {
+  const secrets = new Set([config.authSecret]);
+  const query = (config.apiUrl || '').split(/[?#]/)[1] || '';
+
+  for (const pair of query.split(/[&;]/)) {
+    const value = pair.slice(pair.indexOf('=') + 1);
+    if (!pair.includes('=') || !value || value.includes('{')) continue;
+    secrets.add(value);
+    try {
+      secrets.add(decodeURIComponent(value.replace(/\+/g, ' ')));
+    } catch (error) {
+      // Malformed escapes are only masked as written
+    }
+  }
+  return [...secrets].filter(secret => secret);
+}
+
+/**
+ * Build the axios request options of one gateway call to one or more phone numbers
+ */
+function buildSMSRequest(config, phones, message) {
+  const numbers = phones.map(phone => phone.replace(/^\+/, ''));
+  const values = { phone: numbers.join(','), phones: numbers.join(','), message };
+  const method = config.method || 'GET';
+  const headers = {};
+
+  if (config.authType === 'header') {
+    headers[config.authHeader] = config.authSecret || '';
+  } else if (config.authType === 'basic') {
+    headers.Authorization = `Basic ${Buffer.from(`${config.authUsername || ''}:${config.authSecret || ''}`).toString('base64')}`;
+  }
+
+  let data;
+  if (method === 'POST' && config.bodyTemplate) {
+    if (config.bodyFormat === 'json') {
+      data = renderJsonBody(config.bodyTemplate, numbers, message);
+      headers['Content-Type'] = 'application/json';
+    } else {
+      data = renderTemplate(config.bodyTemplate, values, encodeURIComponent);
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+  }
+
+  return {
+    method,
+    url: renderTemplate(config.apiUrl, values, encodeURIComponent),
+    headers,
+    data
+  };
+}
+
+module.exports = {
+  METHODS,
+  BODY_FORMATS,
+  AUTH_TYPES,
+  validateSMSConfig,
+  gatewaySecrets,
+  buildSMSRequest
+};
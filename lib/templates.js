@@ -0,0 +1,302 @@
+const { parseMetricValue } = require('./onuMonitor');
+
+/**
+ * Message Templates
+ * Placeholder substitution for notification messages and channel templates
+ */
+
+// Human readable names of the alert types
+const ALERT_LABELS = {
+  offline: 'Device Status',
+  rx_power: 'Low RX Power',
+  temp_high: 'High Temperature',
+  temp_low: 'Low Temperature',
+  tx_power_low: 'Low TX Power',
+  tx_power_high: 'High TX Power',
+  voltage_low: 'Low Supply Voltage',
+  voltage_high: 'High Supply Voltage',
+  bias_current_low: 'Low Bias Current',
+  bias_current_high: 'High Bias Current',
+  rx_trend: 'Degrading Link',
+  rx_anomaly: 'RX Power Anomaly',
+  temp_anomaly: 'Temperature Anomaly'
+};
+
+// Severity of each alert type, used by channels that support it
+const ALERT_SEVERITY = {
+  offline: 'critical',
+  rx_power: 'critical',
+  temp_high: 'warning',
+  temp_low: 'warning',
+  tx_power_low: 'warning',
+  tx_power_high: 'warning',
+  voltage_low: 'warning',
+  voltage_high: 'warning',
+  bias_current_low: 'warning',
+  bias_current_high: 'warning',
+  rx_trend: 'warning',
+  rx_anomaly: 'warning',
+  temp_anomaly: 'warning'
+};
+
+// Severities from lowest to highest
+const SEVERITY_LEVELS = ['info', 'warning', 'critical'];
+
+// Placeholders shared by every device message template
+const DEVICE_PLACEHOLDERS = ['device_name', 'host', 'device_group', 'time'];
+
+/**
+ * User-editable notification messages: the placeholders of each type and its
+ * built-in default. Templates can be set for all channels ('default') or per channel.
+ */
+const MESSAGE_TEMPLATES = {
+  rx_power: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'duration'],
+    default: 'Low RX Power Alert: {device_name} - Current: {value}, Threshold: {threshold} dBm'
+  },
+  temp_high: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'duration'],
+    default: 'High Temperature Alert: {device_name} - Current: {value}, Threshold: {threshold}°C'
+  },
+  temp_low: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'duration'],
+    default: 'Low Temperature Alert: {device_name} - Current: {value}, Threshold: {threshold}°C'
+  },
+  tx_power_low: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'duration'],
+    default: 'Low TX Power Alert: {device_name} - Current: {value}, Threshold: {threshold} dBm'
+  },
+  tx_power_high: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'duration'],
+    default: 'High TX Power Alert: {device_name} - Current: {value}, Threshold: {threshold} dBm'
+  },
+  voltage_low: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'duration'],
+    default: 'Low Supply Voltage Alert: {device_name} - Current: {value}, Threshold: {threshold} mV'
+  },
+  voltage_high: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'duration'],
+    default: 'High Supply Voltage Alert: {device_name} - Current: {value}, Threshold: {threshold} mV'
+  },
+  bias_current_low: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'duration'],
+    default: 'Low Bias Current Alert: {device_name} - Current: {value}, Threshold: {threshold} mA'
+  },
+  bias_current_high: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'duration'],
+    default: 'High Bias Current Alert: {device_name} - Current: {value}, Threshold: {threshold} mA'
+  },
+  rx_trend: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'drop', 'slope', 'window', 'duration'],
+    default: 'Degrading Link Alert: {device_name} - RX power falling {drop} dB per {window}h ({slope} dB/h), Current: {value}, Allowed drop: {threshold} dB'
+  },
+  rx_anomaly: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'baseline', 'deviation', 'duration'],
+    default: 'RX Power Anomaly: {device_name} - Current: {value}, Baseline: {baseline} dBm ({deviation})'
+  },
+  temp_anomaly: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'value', 'threshold', 'baseline', 'deviation', 'duration'],
+    default: 'Temperature Anomaly: {device_name} - Current: {value}, Baseline: {baseline}°C ({deviation})'
+  },
+  offline: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'attempts'],
+    default: 'Device Offline: {device_name} at {host} is not responding after {attempts} attempts.'
+  },
+  online: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'duration'],
+    default: 'Device Online: {device_name} at {host} is back online.'
+  },
+  resolved: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'alert', 'value', 'duration'],
+    default: 'Resolved: {alert} - {device_name} is back to normal ({value}) after {duration}'
+  },
+  escalation: {
+    placeholders: [...DEVICE_PLACEHOLDERS, 'step', 'total', 'alert', 'message', 'duration'],
+    default: 'Escalation {step}/{total}: {message} (unacknowledged for {duration})'
+  },
+  outage: {
+    placeholders: ['element', 'count', 'devices', 'time'],
+    default: 'Suspected PON outage: {count} devices under {element} are offline ({devices})'
+  },
+  outage_resolved: {
+    placeholders: ['element', 'count', 'duration', 'time'],
+    default: 'PON outage resolved: {count} devices under {element} are back online after {duration}'
+  },
+  digest: {
+    placeholders: ['message', 'time'],
+    default: '{message}'
+  }
+};
+
+// Values used to preview message templates
+const SAMPLE_VALUES = {
+  device_name: 'ONU-Office',
+  host: '192.168.1.1',
+  device_group: 'PON-1',
+  threshold: '-27',
+  duration: '2h 15m',
+  attempts: '3',
+  alert: 'Low RX Power',
+  drop: '3.40',
+  slope: '0.142',
+  window: '24',
+  element: 'OLT-3/PON-5',
+  count: '40',
+  devices: 'ONU-Office, ONU-Warehouse, ONU-Shop',
+  message: 'Daily digest: 12 devices, 1 offline, 3 below -25 dBm, Worst: ONU-Office at -28.10 dBm'
+};
+
+const SAMPLE_METRICS = {
+  rx_power: '-28.10 dBm',
+  temp_high: '72 °C',
+  temp_low: '-3 °C',
+  tx_power_low: '0.20 dBm',
+  tx_power_high: '5.40 dBm',
+  voltage_low: '3050 mV',
+  voltage_high: '3550 mV',
+  bias_current_low: '1 mA',
+  bias_current_high: '65 mA',
+  rx_trend: '-24.80 dBm',
+  rx_anomaly: '-24.80 dBm',
+  temp_anomaly: '61 °C',
+  resolved: 'RX: -21.40 dBm, Temp: 45 °C'
+};
+
+// Sample thresholds of the alert types not measured in dBm of RX power
+const SAMPLE_THRESHOLDS = {
+  temp_high: '70',
+  temp_low: '0',
+  tx_power_low: '0.5',
+  tx_power_high: '5',
+  voltage_low: '3100',
+  voltage_high: '3500',
+  bias_current_low: '2',
+  bias_current_high: '60',
+  rx_trend: '3',
+  rx_anomaly: '3σ',
+  temp_anomaly: '3σ'
+};
+
+// Sample values specific to one message type
+const SAMPLE_TYPE_VALUES = {
+  rx_anomaly: { baseline: '-21.40 ± 0.35', deviation: '-3.40 dB, 9.7σ' },
+  temp_anomaly: { baseline: '45.2 ± 1.8', deviation: '+15.8°C, 8.8σ' },
+  escalation: { step: '2', total: '3', message: 'Low RX Power Alert: ONU-Office - Current: -28.10 dBm, Threshold: -27 dBm' }
+};
+
+const MAX_TEMPLATE_LENGTH = 1000;
+
+/**
+ * Format a point in time as "YYYY-MM-DD HH:MM" in server local time
+ */
+function formatTime(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Validate a message template, returning an error message or null
+ */
+function validateMessageTemplate(type, template) {
+  const definition = MESSAGE_TEMPLATES[type];
+  if (!definition) {
+    return `Template type must be one of: ${Object.keys(MESSAGE_TEMPLATES).join(', ')}`;
+  }
+  if (typeof template !== 'string' || !template.trim()) {
+    return 'Template must not be empty';
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return `Template must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+
+  const unknown = (template.match(/\{[^{}]*\}/g) || [])
+    .map(match => match.slice(1, -1))
+    .filter(name => !definition.placeholders.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown placeholder {${unknown[0]}}; available: ${definition.placeholders.map(p => `{${p}}`).join(', ')}`;
+  }
+  if (/[{}]/.test(template.replace(/\{[a-z_]+\}/g, ''))) {
+    return 'Template contains an unbalanced { or }';
+  }
+  return null;
+}
+
+/**
+ * Sample placeholder values of a message template type, for previews
+ */
+function getSampleValues(type) {
+  return {
+    ...SAMPLE_VALUES,
+    value: SAMPLE_METRICS[type] || '',
+    threshold: SAMPLE_THRESHOLDS[type] || SAMPLE_VALUES.threshold,
+    ...SAMPLE_TYPE_VALUES[type],
+    time: formatTime()
+  };
+}
+
+/**
+ * Severity of a notification; resolved and informational messages are 'info'
+ */
+function getSeverity(alertType, resolved) {
+  if (resolved) return 'info';
+  return ALERT_SEVERITY[alertType] || 'info';
+}
+
+/**
+ * Build the placeholder values of a notification context
+ * Context: device, alertType, severity, message, data (raw monitoring data), timestamp
+ */
+function buildTemplateValues(context) {
+  const device = context.device || {};
+  const data = context.data || {};
+  const metric = (value) => {
+    const parsed = parseMetricValue(value);
+    return parsed === null ? '' : parsed;
+  };
+
+  return {
+    device_id: device.id || '',
+    device_name: device.name || '',
+    host: device.host || '',
+    device_group: device.deviceGroup || '',
+    onu_type: device.onuType || '',
+    rx_power: metric(data.currentValue),
+    tx_power: metric(data.txPower),
+    temperature: metric(data.temperature),
+    voltage: metric(data.voltage),
+    bias_current: metric(data.biasCurrent),
+    alert_type: context.alertType || '',
+    severity: context.severity || getSeverity(context.alertType, false),
+    message: context.message || '',
+    timestamp: context.timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Replace {placeholder} names with values; unknown placeholders are left untouched
+ */
+function renderTemplate(template, values, escape = String) {
+  return String(template || '').replace(/\{([a-z_]+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? escape(values[name]) : match
+  );
+}
+
+/**
+ * Escape a value for use inside a JSON string literal
+ */
+function jsonEscape(value) {
+  return JSON.stringify(String(value)).slice(1, -1);
+}
+
+module.exports = {
+  ALERT_LABELS,
+  SEVERITY_LEVELS,
+  MESSAGE_TEMPLATES,
+  formatTime,
+  validateMessageTemplate,
+  getSampleValues,
+  getSeverity,
+  buildTemplateValues,
+  renderTemplate,
+  jsonEscape
+};
@@ -0,0 +1,99 @@
+/**
+ * Time Windows
+ * Evaluates one-off and weekly recurring windows in a configurable time zone
+ */
+
+const WEEK_MINUTES = 7 * 24 * 60;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check whether a time zone name is known to the runtime
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a string is a HH:MM time of day
+ */
+function isValidTimeOfDay(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Minutes since Sunday 00:00 of a point in time in the given time zone
+ */
+function minuteOfWeek(date, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return WEEKDAY_INDEX[parts.weekday] * 1440 + parseInt(parts.hour) * 60 + parseInt(parts.minute);
+}
+
+/**
+ * Check whether a weekly window is active. The window starts at `startTime` (HH:MM)
+ * on each of `days` (0 = Sunday) and lasts `durationMinutes`, possibly past midnight.
+ */
+function isWeeklyWindowActive(window, now = new Date()) {
+  const current = minuteOfWeek(now, window.timezone);
+  const [hours, minutes] = window.startTime.split(':').map(Number);
+
+  return window.days.some(day => {
+    const start = day * 1440 + hours * 60 + minutes;
+    return (current - start + WEEK_MINUTES) % WEEK_MINUTES < window.durationMinutes;
+  });
+}
+
+/**
+ * Check whether a maintenance window is active
+ */
+function isWindowActive(window, now = new Date()) {
+  if (!window.enabled) return false;
+
+  if (window.recurrence === 'weekly') {
+    return isWeeklyWindowActive(window, now);
+  }
+
+  return Date.parse(window.startsAt) <= now.getTime() && now.getTime() < Date.parse(window.endsAt);
+}
+
+/**
+ * Check whether a quiet hours schedule is active. Quiet hours run from `start` to `end`
+ * (HH:MM, past midnight when end is earlier) starting on each of `days` (0 = Sunday).
+ */
+function isQuietHoursActive(quietHours, now = new Date()) {
+  if (!quietHours || !quietHours.enabled) return false;
+
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const durationMinutes = (toMinutes(quietHours.end) - toMinutes(quietHours.start) + 1440) % 1440;
+
+  return isWeeklyWindowActive({
+    days: quietHours.days,
+    startTime: quietHours.start,
+    durationMinutes,
+    timezone: quietHours.timezone
+  }, now);
+}
+
+module.exports = {
+  isValidTimeZone,
+  isValidTimeOfDay,
+  isWindowActive,
+  isQuietHoursActive
+};
@@ -0,0 +1,466 @@
+// Lightweight canvas charts for the dashboard
+// Bundled locally so the dashboard works without internet access.
+
+const CHART_COLORS = {
+    grid: '#e9ecef',
+    axis: '#999',
+    text: '#666',
+    selection: 'rgba(102, 126, 234, 0.15)',
+    tooltip: 'rgba(33, 37, 41, 0.9)'
+};
+
+// Prepare a canvas for crisp drawing on high-DPI screens
+function setupCanvas(canvas) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    return { ctx, width, height };
+}
+
+// Draw a small trend line; null values leave a gap
+function drawSparkline(canvas, values, options = {}) {
+    const { ctx, width, height } = setupCanvas(canvas);
+    const numbers = values.filter(v => v !== null && v !== undefined);
+
+    if (numbers.length < 2) {
+        ctx.fillStyle = CHART_COLORS.axis;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('No history', width / 2, height / 2);
+        return;
+    }
+
+    let min = Math.min(...numbers);
+    let max = Math.max(...numbers);
+    if (options.threshold !== undefined && options.threshold !== null) {
+        min = Math.min(min, options.threshold);
+        max = Math.max(max, options.threshold);
+    }
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+
+    const pad = 2;
+    const x = i => pad + (i / (values.length - 1)) * (width - pad * 2);
+    const y = v => pad + (1 - (v - min) / (max - min)) * (height - pad * 2);
+
+    if (options.threshold !== undefined && options.threshold !== null) {
+        ctx.strokeStyle = '#dc3545';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(0, y(options.threshold));
+        ctx.lineTo(width, y(options.threshold));
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    ctx.strokeStyle = options.color || '#667eea';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let penDown = false;
+    values.forEach((v, i) => {
+        if (v === null || v === undefined) {
+            penDown = false;
+            return;
+        }
+        if (penDown) {
+            ctx.lineTo(x(i), y(v));
+        } else {
+            ctx.moveTo(x(i), y(v));
+            penDown = true;
+        }
+    });
+    ctx.stroke();
+}
+
+// Draw a vertical bar chart of { label, count, color? } items
+function drawBarChart(canvas, bars, options = {}) {
+    const { ctx, width, height } = setupCanvas(canvas);
+    if (width === 0 || height === 0) return;
+
+    const pad = { top: 16, right: 8, bottom: 36, left: 32 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const maxCount = Math.max(1, ...bars.map(b => b.count));
+    const slot = plotW / bars.length;
+
+    ctx.font = '10px sans-serif';
+
+    // Grid and Y axis labels
+    ctx.strokeStyle = CHART_COLORS.grid;
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (const tick of niceTicks(0, maxCount, 4).filter(t => Number.isInteger(t))) {
+        const y = pad.top + plotH - (tick / maxCount) * plotH;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y);
+        ctx.lineTo(pad.left + plotW, y);
+        ctx.stroke();
+        ctx.fillText(String(tick), pad.left - 4, y);
+    }
+
+    bars.forEach((bar, i) => {
+        const barH = (bar.count / maxCount) * plotH;
+        const x = pad.left + i * slot + slot * 0.15;
+        const y = pad.top + plotH - barH;
+
+        ctx.fillStyle = bar.color || options.color || '#667eea';
+        ctx.fillRect(x, y, slot * 0.7, barH);
+
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.textAlign = 'center';
+        if (bar.count > 0) {
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(String(bar.count), x + slot * 0.35, y - 2);
+        }
+
+        // Rotate labels so they fit narrow bars
+        ctx.save();
+        ctx.translate(x + slot * 0.35, pad.top + plotH + 4);
+        ctx.rotate(-Math.PI / 6);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText(bar.label, 0, 0);
+        ctx.restore();
+    });
+}
+
+// Format a timestamp for an axis label based on the visible span
+function formatChartTime(time, span) {
+    const date = new Date(time);
+    if (span <= 2 * 24 * 3600 * 1000) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+// Pick round tick values covering [min, max]
+function niceTicks(min, max, count = 5) {
+    const rawStep = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+    const ticks = [];
+    for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) {
+        ticks.push(Number(v.toFixed(6)));
+    }
+    return ticks;
+}
+
+// Time-series line chart with threshold lines, hover tooltip and drag-to-zoom
+// Series points are { t: epochMs, v: number|null, min?, max? }; double-click resets the zoom.
+class LineChart {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.options = Object.assign({
+            unit: '',
+            padding: { top: 12, right: 12, bottom: 24, left: 52 }
+        }, options);
+        this.series = [];
+        this.thresholds = [];
+        this.viewRange = null;
+        this.dragStart = null;
+        this.dragCurrent = null;
+        this.hoverX = null;
+
+        canvas.addEventListener('mousedown', e => {
+            this.dragStart = this.eventX(e);
+            this.dragCurrent = this.dragStart;
+        });
+        canvas.addEventListener('mousemove', e => {
+            this.hoverX = this.eventX(e);
+            if (this.dragStart !== null) {
+                this.dragCurrent = this.hoverX;
+            }
+            this.draw();
+        });
+        canvas.addEventListener('mouseup', () => this.finishDrag());
+        canvas.addEventListener('mouseleave', () => {
+            this.hoverX = null;
+            this.finishDrag();
+        });
+        canvas.addEventListener('dblclick', () => this.resetZoom());
+        window.addEventListener('resize', () => this.draw());
+    }
+
+    setData(series, thresholds = []) {
+        this.series = series;
+        this.thresholds = thresholds.filter(t => t.value !== null && t.value !== undefined && !isNaN(t.value));
+        this.viewRange = null;
+        this.draw();
+    }
+
+    resetZoom() {
+        this.viewRange = null;
+        this.draw();
+    }
+
+    eventX(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return e.clientX - rect.left;
+    }
+
+    finishDrag() {
+        if (this.dragStart === null) return;
+
+        const x1 = Math.min(this.dragStart, this.dragCurrent);
+        const x2 = Math.max(this.dragStart, this.dragCurrent);
+        this.dragStart = null;
+        this.dragCurrent = null;
+
+        // Ignore clicks and tiny drags
+        if (x2 - x1 > 5 && this.layout) {
+            const t1 = this.layout.timeAt(x1);
+            const t2 = this.layout.timeAt(x2);
+            if (t2 > t1) {
+                this.viewRange = [t1, t2];
+            }
+        }
+        this.draw();
+    }
+
+    getExtent() {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const s of this.series) {
+            for (const p of s.points) {
+                min = Math.min(min, p.t);
+                max = Math.max(max, p.t);
+            }
+        }
+        return min === Infinity ? null : [min, max];
+    }
+
+    draw() {
+        const { ctx, width, height } = setupCanvas(this.canvas);
+        const pad = this.options.padding;
+        const extent = this.getExtent();
+
+        // Nothing to draw while the canvas is hidden
+        if (width === 0 || height === 0) return;
+
+        ctx.font = '11px sans-serif';
+
+        if (!extent) {
+            this.layout = null;
+            ctx.fillStyle = CHART_COLORS.axis;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No data for the selected range', width / 2, height / 2);
+            return;
+        }
+
+        let [t0, t1] = this.viewRange || extent;
+        if (t0 === t1) {
+            t0 -= 3600 * 1000;
+            t1 += 3600 * 1000;
+        }
+
+        // Value range covers the visible points and the thresholds
+        const values = [];
+        for (const s of this.series) {
+            for (const p of s.points) {
+                if (p.t < t0 || p.t > t1) continue;
+                if (p.v !== null && p.v !== undefined) values.push(p.v);
+                if (p.min !== null && p.min !== undefined) values.push(p.min);
+                if (p.max !== null && p.max !== undefined) values.push(p.max);
+            }
+        }
+        this.thresholds.forEach(t => values.push(t.value));
+
+        let vMin = values.length ? Math.min(...values) : 0;
+        let vMax = values.length ? Math.max(...values) : 1;
+        if (vMin === vMax) {
+            vMin -= 1;
+            vMax += 1;
+        }
+        const margin = (vMax - vMin) * 0.08;
+        vMin -= margin;
+        vMax += margin;
+
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+        const x = t => pad.left + ((t - t0) / (t1 - t0)) * plotW;
+        const y = v => pad.top + (1 - (v - vMin) / (vMax - vMin)) * plotH;
+
+        this.layout = {
+            timeAt: px => t0 + ((Math.min(Math.max(px, pad.left), pad.left + plotW) - pad.left) / plotW) * (t1 - t0)
+        };
+
+        // Grid and Y axis labels
+        ctx.strokeStyle = CHART_COLORS.grid;
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (const tick of niceTicks(vMin, vMax)) {
+            ctx.beginPath();
+            ctx.moveTo(pad.left, y(tick));
+            ctx.lineTo(pad.left + plotW, y(tick));
+            ctx.stroke();
+            ctx.fillText(`${tick}${this.options.unit ? ' ' + this.options.unit : ''}`, pad.left - 6, y(tick));
+        }
+
+        // X axis labels
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const labelCount = Math.max(2, Math.floor(plotW / 90));
+        for (let i = 0; i <= labelCount; i++) {
+            const t = t0 + (i / labelCount) * (t1 - t0);
+            ctx.fillText(formatChartTime(t, t1 - t0), x(t), pad.top + plotH + 6);
+        }
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pad.left, pad.top, plotW, plotH);
+        ctx.clip();
+
+        // Threshold reference lines
+        for (const threshold of this.thresholds) {
+            ctx.strokeStyle = threshold.color || '#dc3545';
+            ctx.setLineDash([5, 4]);
+            ctx.beginPath();
+            ctx.moveTo(pad.left, y(threshold.value));
+            ctx.lineTo(pad.left + plotW, y(threshold.value));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = threshold.color || '#dc3545';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(`${threshold.label} (${threshold.value})`, pad.left + 4, y(threshold.value) - 2);
+        }
+
+        // Data series; a null value breaks the line
+        for (const s of this.series) {
+            const visible = s.points.filter(p => p.t >= t0 && p.t <= t1);
+
+            // Optional min/max band for aggregated series
+            const banded = visible.filter(p => p.min !== null && p.min !== undefined && p.max !== null && p.max !== undefined);
+            if (banded.length > 1) {
+                ctx.fillStyle = s.bandColor || CHART_COLORS.selection;
+                ctx.beginPath();
+                banded.forEach((p, i) => (i === 0 ? ctx.moveTo(x(p.t), y(p.max)) : ctx.lineTo(x(p.t), y(p.max))));
+                banded.slice().reverse().forEach(p => ctx.lineTo(x(p.t), y(p.min)));
+                ctx.closePath();
+                ctx.fill();
+            }
+
+            ctx.strokeStyle = s.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let penDown = false;
+            for (const p of visible) {
+                if (p.v === null || p.v === undefined) {
+                    penDown = false;
+                    continue;
+                }
+                if (penDown) {
+                    ctx.lineTo(x(p.t), y(p.v));
+                } else {
+                    ctx.moveTo(x(p.t), y(p.v));
+                    penDown = true;
+                }
+            }
+            ctx.stroke();
+
+            // Mark isolated points so single readings are still visible
+            if (visible.length < 60) {
+                ctx.fillStyle = s.color;
+                for (const p of visible) {
+                    if (p.v === null || p.v === undefined) continue;
+                    ctx.beginPath();
+                    ctx.arc(x(p.t), y(p.v), 2, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+        }
+
+        // Drag selection
+        if (this.dragStart !== null && this.dragCurrent !== null) {
+            ctx.fillStyle = CHART_COLORS.selection;
+            ctx.fillRect(Math.min(this.dragStart, this.dragCurrent), pad.top, Math.abs(this.dragCurrent - this.dragStart), plotH);
+        }
+
+        ctx.restore();
+
+        // Axes
+        ctx.strokeStyle = CHART_COLORS.axis;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, pad.top);
+        ctx.lineTo(pad.left, pad.top + plotH);
+        ctx.lineTo(pad.left + plotW, pad.top + plotH);
+        ctx.stroke();
+
+        if (this.hoverX !== null && this.hoverX >= pad.left && this.hoverX <= pad.left + plotW && this.dragStart === null) {
+            this.drawTooltip(ctx, this.layout.timeAt(this.hoverX), x, y, pad, plotH, width);
+        }
+    }
+
+    drawTooltip(ctx, time, x, y, pad, plotH, width) {
+        const lines = [];
+        let markerX = null;
+
+        for (const s of this.series) {
+            const nearest = findNearestPoint(s.points, time);
+            if (!nearest || nearest.v === null || nearest.v === undefined) continue;
+
+            markerX = x(nearest.t);
+            lines.push({ color: s.color, text: `${s.label}: ${nearest.v.toFixed(2)}${this.options.unit ? ' ' + this.options.unit : ''}` });
+            if (lines.length === 1) {
+                lines.unshift({ color: '#fff', text: new Date(nearest.t).toLocaleString() });
+            }
+        }
+
+        if (markerX === null) return;
+
+        ctx.strokeStyle = CHART_COLORS.axis;
+        ctx.beginPath();
+        ctx.moveTo(markerX, pad.top);
+        ctx.lineTo(markerX, pad.top + plotH);
+        ctx.stroke();
+
+        ctx.font = '11px sans-serif';
+        const boxW = Math.max(...lines.map(l => ctx.measureText(l.text).width)) + 12;
+        const boxH = lines.length * 15 + 8;
+        const boxX = markerX + boxW + 10 > width ? markerX - boxW - 6 : markerX + 6;
+
+        ctx.fillStyle = CHART_COLORS.tooltip;
+        ctx.fillRect(boxX, pad.top, boxW, boxH);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => {
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.text, boxX + 6, pad.top + 4 + i * 15);
+        });
+    }
+}
+
+// Binary search for the point closest in time
+function findNearestPoint(points, time) {
+    if (points.length === 0) return null;
+
+    let lo = 0;
+    let hi = points.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (points[mid].t < time) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    if (lo > 0 && Math.abs(points[lo - 1].t - time) < Math.abs(points[lo].t - time)) {
+        return points[lo - 1];
+    }
+    return points[lo];
+}
@@ -1,12 +1,27 @@
 // Dashboard JavaScript
 let devices = [];
 let monitoringData = {};
+let historyDeviceId = null;
+let historyRange = '24h';
+let historyCharts = null;
+
+const HISTORY_RANGES = {
+    '24h': 24 * 3600 * 1000,
+    '7d': 7 * 24 * 3600 * 1000,
+    '30d': 30 * 24 * 3600 * 1000
+};
 
 // Check auth on load
 window.addEventListener('DOMContentLoaded', async () => {
     await checkAuth();
     await loadDevices();
     await loadSMSConfig();
+    await loadRetentionSettings();
+    
+    document.getElementById('digestModal').addEventListener('show.bs.modal', () => {
+        loadDigestSettings();
+        previewDigest(digestPreviewType);
+    });
 });
 
 // Check authentication
@@ -42,6 +57,9 @@ async function loadDevices() {
         const response = await fetch('/api/devices');
         devices = await response.json();
         renderDevices();
+        renderDeviceGroupOptions();
+        loadSparklines();
+        loadForecasts();
         
         // Auto-refresh status for all devices
         await refreshAllStatus();
@@ -77,17 +95,39 @@ function renderDevices() {
                     </div>
                     <small class="text-white-50">
                         <i class="bi bi-globe me-1"></i>${escapeHtml(device.host)}
+                        ${device.deviceGroup ? `<span class="ms-2"><i class="bi bi-collection me-1"></i>${escapeHtml(device.deviceGroup)}</span>` : ''}
                     </small>
                 </div>
                 <div class="card-body device-body">
                     <div id="data-${device.id}">
                         <div class="loading-spinner"></div>
                     </div>
+                    ${renderActiveAlerts(device.activeAlerts)}
+                    <div class="device-sparklines">
+                        <div class="sparkline-row">
+                            <span class="sparkline-label">RX 24h</span>
+                            <canvas class="sparkline" id="spark-rx-${device.id}"></canvas>
+                        </div>
+                        <div class="sparkline-row">
+                            <span class="sparkline-label">Temp 24h</span>
+                            <canvas class="sparkline" id="spark-temp-${device.id}"></canvas>
+                        </div>
+                        ${renderBaseline(device.baseline)}
+                        <div class="metric-reference" id="forecast-${device.id}"></div>
+                    </div>
                     <div class="device-actions">
                         <div class="d-grid gap-1">
                             <button class="btn btn-sm btn-primary" onclick="refreshDevice(${device.id})">
                                 <i class="bi bi-arrow-clockwise me-1"></i>Refresh
                             </button>
+                            <div class="btn-group" role="group">
+                                <button class="btn btn-sm btn-outline-primary" onclick="showHistory(${device.id})">
+                                    <i class="bi bi-graph-up"></i> History
+                                </button>
+                                <button class="btn btn-sm btn-outline-primary" onclick="showExport(${device.id})">
+                                    <i class="bi bi-download"></i> Export
+                                </button>
+                            </div>
                             <div class="btn-group" role="group">
                                 <button class="btn btn-sm btn-outline-secondary" onclick="editDevice(${device.id})">
                                     <i class="bi bi-pencil"></i> Edit
@@ -104,6 +144,158 @@ function renderDevices() {
     `).join('');
 }
 
+// Load last 24h sparklines for all device cards
+async function loadSparklines() {
+    const from = new Date(Date.now() - HISTORY_RANGES['24h']).toISOString();
+    
+    for (const device of devices) {
+        try {
+            const response = await fetch(`/api/devices/${device.id}/readings?from=${encodeURIComponent(from)}&limit=500`);
+            if (!response.ok) continue;
+            const readings = await response.json();
+            
+            const rxCanvas = document.getElementById(`spark-rx-${device.id}`);
+            const tempCanvas = document.getElementById(`spark-temp-${device.id}`);
+            if (!rxCanvas || !tempCanvas) continue;
+            
+            drawSparkline(rxCanvas, readings.map(r => r.success ? r.rxPower : null), {
+                color: '#667eea',
+                threshold: device.notifyRxPower ? device.rxPowerThreshold : null
+            });
+            drawSparkline(tempCanvas, readings.map(r => r.success ? r.temperature : null), {
+                color: '#fd7e14',
+                threshold: device.notifyTempHigh ? device.tempHighThreshold : null
+            });
+        } catch (error) {
+            console.error(`Failed to load sparklines for device ${device.id}:`, error);
+        }
+    }
+}
+
+// Get distinct device group names
+function getDeviceGroups() {
+    return [...new Set(devices.map(d => d.deviceGroup).filter(g => g))].sort();
+}
+
+// Fill device group suggestions and filters
+function renderDeviceGroupOptions() {
+    const groups = getDeviceGroups();
+    document.getElementById('deviceGroupList').innerHTML = groups
+        .map(g => `<option value="${escapeHtml(g)}"></option>`).join('');
+    document.getElementById('exportGroup').innerHTML = '<option value="">All devices</option>' + groups
+        .map(g => `<option value="${escapeHtml(g)}">${escapeHtml(g)}</option>`).join('');
+}
+
+const ALERT_LABELS = {
+    offline: 'Offline',
+    rx_power: 'Low RX Power',
+    temp_high: 'High Temperature',
+    temp_low: 'Low Temperature',
+    tx_power_low: 'Low TX Power',
+    tx_power_high: 'High TX Power',
+    voltage_low: 'Low Voltage',
+    voltage_high: 'High Voltage',
+    bias_current_low: 'Low Bias Current',
+    bias_current_high: 'High Bias Current',
+    rx_trend: 'Degrading Link',
+    rx_anomaly: 'RX Anomaly',
+    temp_anomaly: 'Temperature Anomaly'
+};
+
+// Render the firing alerts of a device card
+function renderActiveAlerts(alerts) {
+    if (!alerts || alerts.length === 0) {
+        return '';
+    }
+    
+    return `<div class="mb-2">
+        ${alerts.map(alert => `
+            <span class="badge bg-danger me-1" title="${escapeHtml(alert.lastMessage || '')}">
+                <i class="bi bi-exclamation-triangle me-1"></i>${escapeHtml(ALERT_LABELS[alert.alertType] || alert.alertType)}
+                since ${new Date(alert.firstSeen).toLocaleString()}
+                ${alert.escalationStep > 0 ? `<i class="bi bi-arrow-up-right-circle ms-1"></i> step ${alert.escalationStep}` : ''}
+            </span>
+        `).join('')}
+    </div>`;
+}
+
+// Render the learned baseline line of a device card
+function renderBaseline(baseline) {
+    if (!baseline || baseline.rxMean === null) {
+        return '<div class="metric-reference"><i class="bi bi-activity me-1"></i>Baseline: learning...</div>';
+    }
+    
+    const rx = `${baseline.rxMean.toFixed(2)} ± ${baseline.rxStddev.toFixed(2)} dBm`;
+    const temp = baseline.tempMean !== null ? ` · ${baseline.tempMean.toFixed(1)} ± ${baseline.tempStddev.toFixed(1)} ℃` : '';
+    return `<div class="metric-reference" title="Learned from ${baseline.rxSamples} readings over ${baseline.windowDays} days">
+        <i class="bi bi-activity me-1"></i>Baseline: ${rx}${temp}
+    </div>`;
+}
+
+// Format a forecast as a short card label
+function formatForecast(forecast) {
+    if (forecast.status === 'breached') {
+        return 'Trend already below threshold';
+    }
+    if (forecast.daysToThreshold > 365) {
+        return 'est. >1 year to threshold';
+    }
+    if (forecast.daysToThreshold < 1) {
+        return `est. ${Math.max(1, Math.round(forecast.daysToThreshold * 24))} hours to threshold`;
+    }
+    return `est. ${Math.round(forecast.daysToThreshold)} days to threshold`;
+}
+
+// Load threshold breach forecasts for the device cards
+async function loadForecasts() {
+    try {
+        const response = await fetch('/api/fleet/forecast?limit=500');
+        if (!response.ok) return;
+        const forecasts = await response.json();
+        
+        for (const forecast of forecasts) {
+            const element = document.getElementById(`forecast-${forecast.deviceId}`);
+            if (!element) continue;
+            
+            element.className = `metric-reference ${forecast.daysToThreshold < 7 ? 'text-danger' : 'text-warning'}`;
+            element.innerHTML = `<i class="bi bi-hourglass-split me-1"></i>${escapeHtml(formatForecast(forecast))}`;
+            element.title = `RX trend ${forecast.slopePerDay.toFixed(2)} dB/day over ${forecast.windowDays} days`;
+        }
+    } catch (error) {
+        console.error('Failed to load forecasts:', error);
+    }
+}
+
+// Show devices predicted to cross their RX threshold soonest
+async function showAtRisk() {
+    const body = document.getElementById('atRiskTableBody');
+    body.innerHTML = '<tr><td colspan="6"><div class="loading-spinner"></div></td></tr>';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('atRiskModal')).show();
+    
+    try {
+        const response = await fetch('/api/fleet/forecast?limit=50');
+        const forecasts = await response.json();
+        
+        if (forecasts.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No devices are trending towards their threshold</td></tr>';
+            return;
+        }
+        
+        body.innerHTML = forecasts.map(f => `
+            <tr>
+                <td>${escapeHtml(f.deviceName)}<br><small class="text-muted">${escapeHtml(f.host)}</small></td>
+                <td>${f.currentRx !== null ? f.currentRx.toFixed(2) + ' dBm' : '-'}</td>
+                <td>${f.threshold} dBm</td>
+                <td>${f.slopePerDay.toFixed(2)} dB/day</td>
+                <td class="${f.daysToThreshold < 7 ? 'text-danger fw-bold' : ''}">${escapeHtml(formatForecast(f))}</td>
+                <td>${f.status === 'breached' ? '-' : new Date(f.estimatedBreachAt).toLocaleDateString()}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        body.innerHTML = '<tr><td colspan="6" class="text-center text-danger">Failed to load forecast</td></tr>';
+    }
+}
+
 // Refresh all devices status
 async function refreshAllStatus() {
     for (const device of devices) {
@@ -225,6 +417,128 @@ function getTemperatureClass(tempStr) {
     return '';
 }
 
+// Show history modal for a device
+function showHistory(deviceId) {
+    const device = devices.find(d => d.id === deviceId);
+    if (!device) {
+        showToast('Device not found', 'danger');
+        return;
+    }
+    
+    historyDeviceId = deviceId;
+    document.getElementById('historyDeviceName').textContent = device.name;
+    bootstrap.Tab.getOrCreateInstance(document.getElementById('historyChartsTab')).show();
+    loadDeviceEvents(deviceId);
+    
+    if (!historyCharts) {
+        historyCharts = {
+            rx: new LineChart(document.getElementById('historyRxChart'), { unit: 'dBm' }),
+            temp: new LineChart(document.getElementById('historyTempChart'), { unit: '℃' })
+        };
+    }
+    
+    const modalElement = document.getElementById('historyModal');
+    modalElement.addEventListener('shown.bs.modal', () => setHistoryRange('24h'), { once: true });
+    bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
+
+// Select history range
+function setHistoryRange(range) {
+    historyRange = range;
+    
+    document.querySelectorAll('#historyRangeButtons button').forEach(button => {
+        button.classList.toggle('active', button.dataset.range === range);
+    });
+    
+    const customRange = document.getElementById('historyCustomRange');
+    if (range === 'custom') {
+        customRange.style.display = 'flex';
+        // Pre-fill with the last 7 days in local time
+        const toLocalInput = date => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        if (!document.getElementById('historyFrom').value) {
+            document.getElementById('historyFrom').value = toLocalInput(new Date(Date.now() - HISTORY_RANGES['7d']));
+        }
+        if (!document.getElementById('historyTo').value) {
+            document.getElementById('historyTo').value = toLocalInput(new Date());
+        }
+        return;
+    }
+    
+    customRange.style.display = 'none';
+    loadHistory();
+}
+
+// Load history charts for the selected device and range
+async function loadHistory() {
+    const device = devices.find(d => d.id === historyDeviceId);
+    if (!device) return;
+    
+    let from, to;
+    if (historyRange === 'custom') {
+        from = new Date(document.getElementById('historyFrom').value);
+        to = new Date(document.getElementById('historyTo').value);
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+            showToast('Please select a valid date range', 'warning');
+            return;
+        }
+    } else {
+        to = new Date();
+        from = new Date(to.getTime() - HISTORY_RANGES[historyRange]);
+    }
+    
+    const summary = document.getElementById('historySummary');
+    summary.textContent = 'Loading...';
+    
+    try {
+        const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+        const response = await fetch(`/api/devices/${device.id}/history?${params}`);
+        if (!response.ok) {
+            const error = await response.json();
+            showToast(error.error || 'Failed to load history', 'danger');
+            summary.textContent = '';
+            return;
+        }
+        const history = await response.json();
+        const aggregated = history.resolution !== 'raw';
+        
+        // Raw failed polls have no values and break the line; aggregates also get a min/max band
+        const point = (p, avg, min, max) => ({
+            t: Date.parse(p.time),
+            v: avg,
+            min: aggregated ? min : undefined,
+            max: aggregated ? max : undefined
+        });
+        
+        historyCharts.rx.setData(
+            [{
+                label: aggregated ? 'RX Power (avg)' : 'RX Power',
+                color: '#667eea',
+                points: history.points.map(p => point(p, p.rxAvg, p.rxMin, p.rxMax))
+            }],
+            [{ label: 'RX threshold', value: device.rxPowerThreshold, color: '#dc3545' }]
+        );
+        historyCharts.temp.setData(
+            [{
+                label: aggregated ? 'Temperature (avg)' : 'Temperature',
+                color: '#fd7e14',
+                bandColor: 'rgba(253, 126, 20, 0.15)',
+                points: history.points.map(p => point(p, p.tempAvg, p.tempMin, p.tempMax))
+            }],
+            [
+                { label: 'High threshold', value: device.tempHighThreshold, color: '#dc3545' },
+                { label: 'Low threshold', value: device.tempLowThreshold, color: '#0d6efd' }
+            ]
+        );
+        
+        const samples = history.points.reduce((sum, p) => sum + p.samples, 0);
+        const failed = history.points.reduce((sum, p) => sum + p.failures, 0);
+        summary.textContent = `Resolution: ${history.resolution} · ${history.points.length} points · ${samples} polls, ${failed} failed`;
+    } catch (error) {
+        summary.textContent = '';
+        showToast('Failed to load history', 'danger');
+    }
+}
+
 // Refresh all
 async function refreshAll() {
     showToast('Refreshing all devices...', 'info');
@@ -250,6 +564,10 @@ function editDevice(deviceId) {
     document.getElementById('devicePassword').value = '';
     document.getElementById('devicePassword').required = false;
     document.getElementById('deviceType').value = device.onuType || 'blue';
+    document.getElementById('deviceGroup').value = device.deviceGroup || '';
+    document.getElementById('upstreamOlt').value = device.upstreamOlt || '';
+    document.getElementById('upstreamPon').value = device.upstreamPon || '';
+    document.getElementById('upstreamSplitter').value = device.upstreamSplitter || '';
     
     // Monitoring settings with proper defaults
     document.getElementById('monitoringInterval').value = device.monitoringInterval !== undefined ? device.monitoringInterval : 900;
@@ -263,7 +581,32 @@ function editDevice(deviceId) {
     document.getElementById('tempHighThreshold').value = device.tempHighThreshold !== undefined ? device.tempHighThreshold : 70;
     document.getElementById('notifyTempLow').checked = device.notifyTempLow === true;
     document.getElementById('tempLowThreshold').value = device.tempLowThreshold !== undefined ? device.tempLowThreshold : 0;
+    document.getElementById('rxPowerClearThreshold').value = device.rxPowerClearThreshold ?? '';
+    document.getElementById('tempHighClearThreshold').value = device.tempHighClearThreshold ?? '';
+    document.getElementById('tempLowClearThreshold').value = device.tempLowClearThreshold ?? '';
+    document.getElementById('alertTriggerPolls').value = device.alertTriggerPolls || 1;
+    document.getElementById('alertClearPolls').value = device.alertClearPolls || 1;
+    document.getElementById('notifyTxPower').checked = device.notifyTxPower === true;
+    document.getElementById('txPowerLowThreshold').value = device.txPowerLowThreshold ?? '';
+    document.getElementById('txPowerHighThreshold').value = device.txPowerHighThreshold ?? '';
+    document.getElementById('notifyVoltage').checked = device.notifyVoltage === true;
+    document.getElementById('voltageLowThreshold').value = device.voltageLowThreshold ?? '';
+    document.getElementById('voltageHighThreshold').value = device.voltageHighThreshold ?? '';
+    document.getElementById('notifyBiasCurrent').checked = device.notifyBiasCurrent === true;
+    document.getElementById('biasCurrentLowThreshold').value = device.biasCurrentLowThreshold ?? '';
+    document.getElementById('biasCurrentHighThreshold').value = device.biasCurrentHighThreshold ?? '';
+    for (const field of RANGE_CLEAR_FIELDS) {
+        document.getElementById(field).value = device[field] ?? '';
+    }
     document.getElementById('notifyOffline').checked = device.notifyOffline === true;
+    document.getElementById('notifyRxTrend').checked = device.notifyRxTrend === true;
+    document.getElementById('rxTrendWindowHours').value = device.rxTrendWindowHours !== undefined ? device.rxTrendWindowHours : 24;
+    document.getElementById('rxTrendMaxDrop').value = device.rxTrendMaxDrop !== undefined ? device.rxTrendMaxDrop : 2;
+    document.getElementById('notifyAnomaly').checked = device.notifyAnomaly === true;
+    document.getElementById('anomalySigma').value = device.anomalySigma !== undefined ? device.anomalySigma : 3;
+    document.getElementById('anomalyRxDelta').value = device.anomalyRxDelta !== undefined ? device.anomalyRxDelta : 3;
+    document.getElementById('anomalyTempDelta').value = device.anomalyTempDelta !== undefined ? device.anomalyTempDelta : 10;
+    loadDeviceEscalationPolicies(device.escalationPolicyId);
     
     const modal = new bootstrap.Modal(document.getElementById('addDeviceModal'));
     modal.show();
@@ -283,6 +626,33 @@ function resetDeviceForm() {
     document.getElementById('rxPowerThreshold').value = -27;
     document.getElementById('tempHighThreshold').value = 70;
     document.getElementById('tempLowThreshold').value = 0;
+    document.getElementById('alertTriggerPolls').value = 1;
+    document.getElementById('alertClearPolls').value = 1;
+    document.getElementById('txPowerLowThreshold').value = 0.5;
+    document.getElementById('txPowerHighThreshold').value = 5;
+    document.getElementById('voltageLowThreshold').value = 3100;
+    document.getElementById('voltageHighThreshold').value = 3500;
+    document.getElementById('biasCurrentLowThreshold').value = '';
+    document.getElementById('biasCurrentHighThreshold').value = 60;
+    document.getElementById('rxTrendWindowHours').value = 24;
+    document.getElementById('rxTrendMaxDrop').value = 2;
+    document.getElementById('anomalySigma').value = 3;
+    document.getElementById('anomalyRxDelta').value = 3;
+    document.getElementById('anomalyTempDelta').value = 10;
+    loadDeviceEscalationPolicies(null);
+}
+
+// Clear levels of the TX power, voltage and bias current ranges
+const RANGE_CLEAR_FIELDS = [
+    'txPowerLowClearThreshold', 'txPowerHighClearThreshold',
+    'voltageLowClearThreshold', 'voltageHighClearThreshold',
+    'biasCurrentLowClearThreshold', 'biasCurrentHighClearThreshold'
+];
+
+// Read an optional threshold or clear level; empty means none (a clear level then clears at the threshold)
+function readOptionalThreshold(id) {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : parseFloat(value);
 }
 
 // Save device
@@ -296,6 +666,10 @@ async function saveDevice() {
     
     // Collect configuration
     const config = {
+        deviceGroup: document.getElementById('deviceGroup').value.trim(),
+        upstreamOlt: document.getElementById('upstreamOlt').value.trim(),
+        upstreamPon: document.getElementById('upstreamPon').value.trim(),
+        upstreamSplitter: document.getElementById('upstreamSplitter').value.trim(),
         monitoringInterval: parseInt(document.getElementById('monitoringInterval').value),
         retryAttempts: parseInt(document.getElementById('retryAttempts').value),
         retryDelay: parseInt(document.getElementById('retryDelay').value),
@@ -305,7 +679,30 @@ async function saveDevice() {
         tempHighThreshold: parseFloat(document.getElementById('tempHighThreshold').value),
         notifyTempLow: document.getElementById('notifyTempLow').checked,
         tempLowThreshold: parseFloat(document.getElementById('tempLowThreshold').value),
-        notifyOffline: document.getElementById('notifyOffline').checked
+        rxPowerClearThreshold: readOptionalThreshold('rxPowerClearThreshold'),
+        tempHighClearThreshold: readOptionalThreshold('tempHighClearThreshold'),
+        tempLowClearThreshold: readOptionalThreshold('tempLowClearThreshold'),
+        alertTriggerPolls: parseInt(document.getElementById('alertTriggerPolls').value) || 1,
+        alertClearPolls: parseInt(document.getElementById('alertClearPolls').value) || 1,
+        notifyTxPower: document.getElementById('notifyTxPower').checked,
+        txPowerLowThreshold: readOptionalThreshold('txPowerLowThreshold'),
+        txPowerHighThreshold: readOptionalThreshold('txPowerHighThreshold'),
+        notifyVoltage: document.getElementById('notifyVoltage').checked,
+        voltageLowThreshold: readOptionalThreshold('voltageLowThreshold'),
+        voltageHighThreshold: readOptionalThreshold('voltageHighThreshold'),
+        notifyBiasCurrent: document.getElementById('notifyBiasCurrent').checked,
+        biasCurrentLowThreshold: readOptionalThreshold('biasCurrentLowThreshold'),
+        biasCurrentHighThreshold: readOptionalThreshold('biasCurrentHighThreshold'),
+        ...Object.fromEntries(RANGE_CLEAR_FIELDS.map(field => [field, readOptionalThreshold(field)])),
+        notifyOffline: document.getElementById('notifyOffline').checked,
+        notifyRxTrend: document.getElementById('notifyRxTrend').checked,
+        rxTrendWindowHours: parseInt(document.getElementById('rxTrendWindowHours').value),
+        rxTrendMaxDrop: parseFloat(document.getElementById('rxTrendMaxDrop').value),
+        notifyAnomaly: document.getElementById('notifyAnomaly').checked,
+        anomalySigma: parseFloat(document.getElementById('anomalySigma').value),
+        anomalyRxDelta: parseFloat(document.getElementById('anomalyRxDelta').value),
+        anomalyTempDelta: parseFloat(document.getElementById('anomalyTempDelta').value),
+        escalationPolicyId: parseInt(document.getElementById('deviceEscalationPolicy').value) || null
     };
     
     const data = { name, host, username, onuType, config };
@@ -458,25 +855,67 @@ async function loadSMSConfig() {
             document.getElementById('apiUrl').value = config.apiUrl || '';
             document.getElementById('phoneNumbers').value = config.phoneNumbers || '';
             document.getElementById('apiEnabled').checked = config.enabled !== false;
+            document.getElementById('smsMethod').value = config.method || 'GET';
+            document.getElementById('smsBodyFormat').value = config.bodyFormat || 'form';
+            document.getElementById('smsBodyTemplate').value = config.bodyTemplate || '';
+            document.getElementById('smsAuthType').value = config.authType || 'none';
+            document.getElementById('smsAuthHeader').value = config.authHeader || '';
+            document.getElementById('smsAuthUsername').value = config.authUsername || '';
+            document.getElementById('smsAuthSecret').value = '';
+            document.getElementById('smsAuthSecret').placeholder = config.authSecretSet ? 'Leave empty to keep current secret' : '';
+            document.getElementById('smsBatch').checked = config.batch === true;
+            toggleSMSGatewayFields();
+        }
+        
+        const alertResponse = await fetch('/api/settings/alerts');
+        if (alertResponse.ok) {
+            const alertSettings = await alertResponse.json();
+            document.getElementById('alertCooldown').value = alertSettings.cooldownMinutes;
+            document.getElementById('alertNotifyResolved').checked = alertSettings.notifyResolved;
+            document.getElementById('outageWindowMinutes').value = alertSettings.outageWindowMinutes;
+            document.getElementById('outageMinDevices').value = alertSettings.outageMinDevices;
         }
     } catch (error) {
         console.error('Failed to load SMS config:', error);
     }
 }
 
+// Show the body and auth fields that apply to the selected method and auth type
+function toggleSMSGatewayFields() {
+    const isPost = document.getElementById('smsMethod').value === 'POST';
+    const authType = document.getElementById('smsAuthType').value;
+    const show = (selector, visible) => document.querySelectorAll(selector).forEach(field => {
+        field.style.display = visible ? 'block' : 'none';
+    });
+    show('.sms-post-field', isPost);
+    show('.sms-header-field', authType === 'header');
+    show('.sms-basic-field', authType === 'basic');
+    show('.sms-auth-field', authType !== 'none');
+    document.getElementById('smsAuthSecretLabel').textContent = authType === 'basic' ? 'Password' : 'Header Value';
+}
+
 // Save SMS config
 async function saveSMSConfig() {
     const apiUrl = document.getElementById('apiUrl').value.trim();
     const phoneNumbers = document.getElementById('phoneNumbers').value.trim();
     const enabled = document.getElementById('apiEnabled').checked;
+    const cooldownMinutes = parseInt(document.getElementById('alertCooldown').value);
+    const notifyResolved = document.getElementById('alertNotifyResolved').checked;
+    const outageWindowMinutes = parseInt(document.getElementById('outageWindowMinutes').value);
+    const outageMinDevices = parseInt(document.getElementById('outageMinDevices').value);
     
-    if (!apiUrl) {
-        showToast('API URL is required', 'danger');
+    if (!(cooldownMinutes >= 0)) {
+        showToast('Repeat interval must be 0 or more minutes', 'danger');
+        return;
+    }
+    
+    if (!(outageWindowMinutes >= 1) || !(outageMinDevices === 0 || outageMinDevices >= 2)) {
+        showToast('Outage window must be at least 1 minute and minimum devices 0 or at least 2', 'danger');
         return;
     }
     
-    if (!apiUrl.includes('{phone}') || !apiUrl.includes('{message}')) {
-        showToast('API URL must contain {phone} and {message} placeholders', 'danger');
+    if (!apiUrl) {
+        showToast('API URL is required', 'danger');
         return;
     }
     
@@ -489,10 +928,33 @@ async function saveSMSConfig() {
         const response = await fetch('/api/sms-config', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ apiUrl, phoneNumbers, enabled })
+            body: JSON.stringify({
+                apiUrl,
+                phoneNumbers,
+                enabled,
+                method: document.getElementById('smsMethod').value,
+                bodyFormat: document.getElementById('smsBodyFormat').value,
+                bodyTemplate: document.getElementById('smsBodyTemplate').value,
+                authType: document.getElementById('smsAuthType').value,
+                authHeader: document.getElementById('smsAuthHeader').value.trim(),
+                authUsername: document.getElementById('smsAuthUsername').value.trim(),
+                authSecret: document.getElementById('smsAuthSecret').value,
+                batch: document.getElementById('smsBatch').checked
+            })
         });
         
         if (response.ok) {
+            const alertResponse = await fetch('/api/settings/alerts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ cooldownMinutes, notifyResolved, outageWindowMinutes, outageMinDevices })
+            });
+            if (!alertResponse.ok) {
+                const error = await alertResponse.json();
+                showToast(error.error || 'Failed to save alert settings', 'danger');
+                return;
+            }
+            
             const modal = bootstrap.Modal.getInstance(document.getElementById('apiConfigModal'));
             modal.hide();
             showToast('SMS API configuration saved successfully', 'success');
@@ -505,5 +967,1905 @@ async function saveSMSConfig() {
     }
 }
 
-// Reset form when modal closes (only after successful save or cancel)
-// Removed automatic reset on modal hide to prevent interfering with edit functionality
+// Quiet Hours Functions
+
+// Render the quiet hours fields of a contact or channel form into a container
+function renderQuietHoursFields(containerId, quietHours) {
+    const prefix = containerId;
+    const schedule = quietHours || {
+        enabled: false,
+        days: [0, 1, 2, 3, 4, 5, 6],
+        start: '22:00',
+        end: '07:00',
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || '',
+        overrideSeverity: 'critical'
+    };
+    
+    document.getElementById(containerId).innerHTML = `
+        <div class="form-check">
+            <input class="form-check-input" type="checkbox" id="${prefix}Enabled" ${schedule.enabled ? 'checked' : ''}
+                   onchange="document.getElementById('${prefix}Fields').style.display = this.checked ? 'block' : 'none'">
+            <label class="form-check-label" for="${prefix}Enabled">Quiet hours</label>
+        </div>
+        <div id="${prefix}Fields" class="border rounded p-2 mt-2" style="display: ${schedule.enabled ? 'block' : 'none'};">
+            <div class="d-flex gap-2 mb-2">
+                <div>
+                    <label for="${prefix}Start" class="form-label form-label-sm">From</label>
+                    <input type="time" class="form-control form-control-sm" id="${prefix}Start" value="${escapeHtml(schedule.start)}">
+                </div>
+                <div>
+                    <label for="${prefix}End" class="form-label form-label-sm">Until</label>
+                    <input type="time" class="form-control form-control-sm" id="${prefix}End" value="${escapeHtml(schedule.end)}">
+                </div>
+                <div class="flex-grow-1">
+                    <label for="${prefix}Timezone" class="form-label form-label-sm">Time zone</label>
+                    <input type="text" class="form-control form-control-sm" id="${prefix}Timezone" value="${escapeHtml(schedule.timezone || '')}" placeholder="Europe/Berlin">
+                </div>
+            </div>
+            <div class="mb-2" id="${prefix}Days">
+                ${WEEKDAY_NAMES.map((day, index) => `
+                    <div class="form-check form-check-inline">
+                        <input class="form-check-input" type="checkbox" id="${prefix}Day${index}" value="${index}" ${schedule.days.includes(index) ? 'checked' : ''}>
+                        <label class="form-check-label" for="${prefix}Day${index}">${day}</label>
+                    </div>
+                `).join('')}
+            </div>
+            <label for="${prefix}Override" class="form-label form-label-sm">Send anyway</label>
+            <select class="form-select form-select-sm" id="${prefix}Override">
+                <option value="critical" ${schedule.overrideSeverity === 'critical' ? 'selected' : ''}>Critical alerts (e.g. offline, low RX power)</option>
+                <option value="warning" ${schedule.overrideSeverity === 'warning' ? 'selected' : ''}>Warnings and critical alerts</option>
+                <option value="" ${!schedule.overrideSeverity ? 'selected' : ''}>Nothing</option>
+            </select>
+            <small class="text-muted">Other notifications are held and delivered as one message when the quiet hours end</small>
+        </div>
+    `;
+}
+
+// Read the quiet hours fields of a contact or channel form
+function readQuietHoursFields(containerId) {
+    const prefix = containerId;
+    return {
+        enabled: document.getElementById(`${prefix}Enabled`).checked,
+        days: [...document.querySelectorAll(`#${prefix}Days input:checked`)].map(input => parseInt(input.value)),
+        start: document.getElementById(`${prefix}Start`).value,
+        end: document.getElementById(`${prefix}End`).value,
+        timezone: document.getElementById(`${prefix}Timezone`).value.trim(),
+        overrideSeverity: document.getElementById(`${prefix}Override`).value
+    };
+}
+
+// Webhook Channel Functions
+
+let webhookChannels = [];
+
+// Load and render the configured webhooks
+async function loadWebhooks() {
+    try {
+        const response = await fetch('/api/channels');
+        if (!response.ok) {
+            throw new Error('Failed to load webhooks');
+        }
+        webhookChannels = (await response.json()).filter(c => c.type === 'webhook');
+        renderWebhooks();
+    } catch (error) {
+        document.getElementById('webhookList').innerHTML = '<p class="text-danger small">Failed to load webhooks</p>';
+    }
+}
+
+function renderWebhooks() {
+    const container = document.getElementById('webhookList');
+    
+    if (webhookChannels.length === 0) {
+        container.innerHTML = '<p class="text-muted small mb-0">No webhooks configured</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="table table-sm align-middle mb-0">
+            <tbody>
+                ${webhookChannels.map(channel => `
+                    <tr class="${channel.enabled ? '' : 'text-muted'}">
+                        <td><strong>${escapeHtml(channel.name)}</strong></td>
+                        <td class="small text-truncate" style="max-width: 320px;">
+                            <span class="badge bg-secondary me-1">${escapeHtml(channel.config.method || 'POST')}</span>${escapeHtml(channel.config.url)}
+                        </td>
+                        <td>${channel.enabled ? '<span class="badge bg-success">Enabled</span>' : '<span class="badge bg-secondary">Disabled</span>'}</td>
+                        <td class="text-end text-nowrap">
+                            <button class="btn btn-outline-primary btn-sm" onclick="showWebhookForm(${channel.id})">
+                                <i class="bi bi-pencil"></i>
+                            </button>
+                            <button class="btn btn-outline-danger btn-sm" onclick="deleteWebhook(${channel.id})">
+                                <i class="bi bi-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Show the webhook form, empty or filled with an existing webhook
+function showWebhookForm(id) {
+    const channel = webhookChannels.find(c => c.id === id);
+    const config = channel ? channel.config : {};
+    const auth = config.auth || {};
+    const secretsSet = channel ? channel.secretsSet : [];
+    
+    document.getElementById('webhookForm').reset();
+    document.getElementById('webhookId').value = channel ? channel.id : '';
+    document.getElementById('webhookName').value = channel ? channel.name : '';
+    document.getElementById('webhookEnabled').checked = channel ? channel.enabled : true;
+    document.getElementById('webhookMethod').value = config.method || 'POST';
+    document.getElementById('webhookUrl').value = config.url || '';
+    document.getElementById('webhookHeaders').value = Object.entries(config.headers || {})
+        .map(([name, value]) => `${name}: ${value}`).join('\n');
+    document.getElementById('webhookBody').value = channel ? config.bodyTemplate || '' :
+        '{\n  "text": "{message}",\n  "device": "{device_name}",\n  "alert": "{alert_type}",\n  "severity": "{severity}",\n  "rx_power": "{rx_power}"\n}';
+    document.getElementById('webhookAuthType').value = auth.type || 'none';
+    document.getElementById('webhookAuthUsername').value = auth.username || '';
+    document.getElementById('webhookAuthToken').placeholder = secretsSet.includes('auth.token') ? 'Leave empty to keep current token' : '';
+    document.getElementById('webhookAuthPassword').placeholder = secretsSet.includes('auth.password') ? 'Leave empty to keep current password' : '';
+    document.getElementById('webhookSuccessStatus').value = config.successStatus || '200-299';
+    document.getElementById('webhookSuccessMatch').value = config.successBodyMatch || '';
+    document.getElementById('webhookTimeout').value = config.timeoutSeconds || 10;
+    document.getElementById('webhookTestResult').innerHTML = '';
+    renderQuietHoursFields('webhookQuietHours', channel ? channel.quietHours : null);
+    toggleWebhookAuth();
+    
+    document.getElementById('webhookForm').style.display = 'block';
+}
+
+function hideWebhookForm() {
+    document.getElementById('webhookForm').style.display = 'none';
+}
+
+function toggleWebhookAuth() {
+    const type = document.getElementById('webhookAuthType').value;
+    document.getElementById('webhookBearerFields').style.display = type === 'bearer' ? 'block' : 'none';
+    document.querySelectorAll('.webhook-basic-field').forEach(field => {
+        field.style.display = type === 'basic' ? 'block' : 'none';
+    });
+}
+
+// Read the webhook form into a channel request body
+function readWebhookForm() {
+    const headers = {};
+    for (const line of document.getElementById('webhookHeaders').value.split('\n')) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+        }
+    }
+    
+    const authType = document.getElementById('webhookAuthType').value;
+    const auth = { type: authType };
+    if (authType === 'bearer') {
+        auth.token = document.getElementById('webhookAuthToken').value;
+    } else if (authType === 'basic') {
+        auth.username = document.getElementById('webhookAuthUsername').value.trim();
+        auth.password = document.getElementById('webhookAuthPassword').value;
+    }
+    
+    return {
+        id: document.getElementById('webhookId').value || null,
+        type: 'webhook',
+        name: document.getElementById('webhookName').value.trim(),
+        enabled: document.getElementById('webhookEnabled').checked,
+        quietHours: readQuietHoursFields('webhookQuietHours'),
+        config: {
+            method: document.getElementById('webhookMethod').value,
+            url: document.getElementById('webhookUrl').value.trim(),
+            headers,
+            bodyTemplate: document.getElementById('webhookBody').value,
+            auth,
+            successStatus: document.getElementById('webhookSuccessStatus').value.trim(),
+            successBodyMatch: document.getElementById('webhookSuccessMatch').value,
+            timeoutSeconds: parseInt(document.getElementById('webhookTimeout').value) || 10
+        }
+    };
+}
+
+async function saveWebhook() {
+    const channel = readWebhookForm();
+    
+    if (!channel.name || !channel.config.url) {
+        showToast('Name and URL are required', 'danger');
+        return;
+    }
+    
+    try {
+        const response = await fetch(channel.id ? `/api/channels/${channel.id}` : '/api/channels', {
+            method: channel.id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(channel)
+        });
+        
+        if (response.ok) {
+            showToast('Webhook saved', 'success');
+            hideWebhookForm();
+            loadWebhooks();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to save webhook', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Send a sample notification through a channel configuration and show the result
+async function testChannel(channel, resultEl) {
+    resultEl.innerHTML = '<span class="text-muted">Sending test notification...</span>';
+    
+    try {
+        const response = await fetch('/api/channels/test', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(channel)
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            resultEl.innerHTML = `<span class="text-danger">${escapeHtml(result.error || 'Test failed')}</span>`;
+            return;
+        }
+        
+        const status = result.status ? ` (HTTP ${result.status})` : '';
+        resultEl.innerHTML = `
+            <span class="${result.success ? 'text-success' : 'text-danger'}">
+                <i class="bi ${result.success ? 'bi-check-circle' : 'bi-x-circle'} me-1"></i>
+                ${result.success ? 'Delivered' : escapeHtml(result.error || 'Failed')}${status}
+            </span>
+            ${result.response ? `<pre class="bg-light border rounded p-2 mt-2 mb-0 small">${escapeHtml(result.response)}</pre>` : ''}
+        `;
+    } catch (error) {
+        resultEl.innerHTML = '<span class="text-danger">Network error</span>';
+    }
+}
+
+function testWebhook() {
+    testChannel(readWebhookForm(), document.getElementById('webhookTestResult'));
+}
+
+async function deleteWebhook(id) {
+    if (!confirm('Delete this webhook?')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/channels/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            showToast('Webhook deleted', 'success');
+            hideWebhookForm();
+            loadWebhooks();
+        } else {
+            showToast('Failed to delete webhook', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Telegram Channel Functions
+
+// Load the Telegram channel into its form
+async function loadTelegramConfig() {
+    document.getElementById('telegramForm').reset();
+    document.getElementById('telegramTestResult').innerHTML = '';
+    
+    try {
+        const response = await fetch('/api/channels');
+        if (!response.ok) {
+            return;
+        }
+        const channel = (await response.json()).find(c => c.type === 'telegram');
+        
+        document.getElementById('telegramId').value = channel ? channel.id : '';
+        if (channel) {
+            document.getElementById('telegramChatIds').value = (channel.config.chatIds || []).join(', ');
+            document.getElementById('telegramApiBaseUrl').value = channel.config.apiBaseUrl || '';
+            document.getElementById('telegramEnabled').checked = channel.enabled;
+        }
+        renderQuietHoursFields('telegramQuietHours', channel ? channel.quietHours : null);
+        document.getElementById('telegramBotToken').placeholder = channel && channel.secretsSet.includes('botToken')
+            ? 'Leave empty to keep current token'
+            : '123456789:ABCdefGhIJKlmNoPQRstuVWxyz';
+    } catch (error) {
+        showToast('Failed to load Telegram configuration', 'danger');
+    }
+}
+
+function readTelegramForm() {
+    return {
+        id: document.getElementById('telegramId').value || null,
+        type: 'telegram',
+        name: 'Telegram',
+        enabled: document.getElementById('telegramEnabled').checked,
+        quietHours: readQuietHoursFields('telegramQuietHours'),
+        config: {
+            botToken: document.getElementById('telegramBotToken').value.trim(),
+            chatIds: document.getElementById('telegramChatIds').value.split(',').map(id => id.trim()).filter(id => id),
+            apiBaseUrl: document.getElementById('telegramApiBaseUrl').value.trim()
+        }
+    };
+}
+
+async function saveTelegramConfig() {
+    const channel = readTelegramForm();
+    
+    try {
+        const response = await fetch(channel.id ? `/api/channels/${channel.id}` : '/api/channels', {
+            method: channel.id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(channel)
+        });
+        
+        if (response.ok) {
+            showToast('Telegram configuration saved', 'success');
+            loadTelegramConfig();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to save Telegram configuration', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+function testTelegram() {
+    testChannel(readTelegramForm(), document.getElementById('telegramTestResult'));
+}
+
+// Email Channel Functions
+
+// Load the email channel into its form
+async function loadEmailConfig() {
+    document.getElementById('emailForm').reset();
+    document.getElementById('emailTestResult').innerHTML = '';
+    
+    try {
+        const response = await fetch('/api/channels');
+        if (!response.ok) {
+            return;
+        }
+        const channel = (await response.json()).find(c => c.type === 'email');
+        
+        document.getElementById('emailId').value = channel ? channel.id : '';
+        if (channel) {
+            const config = channel.config;
+            document.getElementById('emailHost').value = config.host || '';
+            document.getElementById('emailPort').value = config.port || 587;
+            document.getElementById('emailSecurity').value = config.security || 'starttls';
+            document.getElementById('emailVerifyCertificate').checked = config.verifyCertificate !== false;
+            document.getElementById('emailUsername').value = (config.auth && config.auth.username) || '';
+            document.getElementById('emailFrom').value = config.from || '';
+            document.getElementById('emailRecipients').value = (config.recipients || []).join(', ');
+            document.getElementById('emailEnabled').checked = channel.enabled;
+        }
+        renderQuietHoursFields('emailQuietHours', channel ? channel.quietHours : null);
+        document.getElementById('emailPassword').placeholder = channel && channel.secretsSet.includes('auth.password')
+            ? 'Leave empty to keep current password'
+            : '';
+    } catch (error) {
+        showToast('Failed to load email configuration', 'danger');
+    }
+}
+
+function readEmailForm() {
+    return {
+        id: document.getElementById('emailId').value || null,
+        type: 'email',
+        name: 'Email',
+        enabled: document.getElementById('emailEnabled').checked,
+        quietHours: readQuietHoursFields('emailQuietHours'),
+        config: {
+            host: document.getElementById('emailHost').value.trim(),
+            port: parseInt(document.getElementById('emailPort').value),
+            security: document.getElementById('emailSecurity').value,
+            verifyCertificate: document.getElementById('emailVerifyCertificate').checked,
+            auth: {
+                username: document.getElementById('emailUsername').value.trim(),
+                password: document.getElementById('emailPassword').value
+            },
+            from: document.getElementById('emailFrom').value.trim(),
+            recipients: document.getElementById('emailRecipients').value.split(',').map(r => r.trim()).filter(r => r)
+        }
+    };
+}
+
+async function saveEmailConfig() {
+    const channel = readEmailForm();
+    
+    try {
+        const response = await fetch(channel.id ? `/api/channels/${channel.id}` : '/api/channels', {
+            method: channel.id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(channel)
+        });
+        
+        if (response.ok) {
+            showToast('Email configuration saved', 'success');
+            loadEmailConfig();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to save email configuration', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+function testEmail() {
+    testChannel(readEmailForm(), document.getElementById('emailTestResult'));
+}
+
+// Message Template Functions
+
+const TEMPLATE_TYPE_LABELS = {
+    rx_power: 'Low RX Power',
+    temp_high: 'High Temperature',
+    temp_low: 'Low Temperature',
+    tx_power_low: 'Low TX Power',
+    tx_power_high: 'High TX Power',
+    voltage_low: 'Low Supply Voltage',
+    voltage_high: 'High Supply Voltage',
+    bias_current_low: 'Low Bias Current',
+    bias_current_high: 'High Bias Current',
+    rx_trend: 'Degrading Link',
+    rx_anomaly: 'RX Power Anomaly',
+    temp_anomaly: 'Temperature Anomaly',
+    offline: 'Device Offline',
+    online: 'Device Online',
+    resolved: 'Alert Resolved',
+    escalation: 'Escalation',
+    outage: 'Suspected Outage',
+    outage_resolved: 'Outage Resolved',
+    digest: 'Digest Report'
+};
+
+const TEMPLATE_CHANNEL_LABELS = {
+    default: 'All channels',
+    sms: 'SMS',
+    webhook: 'Webhook',
+    telegram: 'Telegram',
+    email: 'Email'
+};
+
+let templateData = null;
+let templatePreviewTimer = null;
+
+// Load template types and saved templates, keeping the current selection
+async function loadTemplates() {
+    try {
+        const response = await fetch('/api/templates');
+        if (!response.ok) {
+            throw new Error('Failed to load templates');
+        }
+        templateData = await response.json();
+        
+        const typeSelect = document.getElementById('templateType');
+        const channelSelect = document.getElementById('templateChannel');
+        const selectedType = typeSelect.value;
+        const selectedChannel = channelSelect.value;
+        
+        typeSelect.innerHTML = templateData.types.map(t =>
+            `<option value="${t.type}">${escapeHtml(TEMPLATE_TYPE_LABELS[t.type] || t.type)}</option>`
+        ).join('');
+        channelSelect.innerHTML = templateData.channels.map(c =>
+            `<option value="${c}">${escapeHtml(TEMPLATE_CHANNEL_LABELS[c] || c)}</option>`
+        ).join('');
+        
+        if (selectedType) typeSelect.value = selectedType;
+        if (selectedChannel) channelSelect.value = selectedChannel;
+        selectTemplate();
+    } catch (error) {
+        showToast('Failed to load message templates', 'danger');
+    }
+}
+
+// Show the template in effect for the selected message and channel
+function selectTemplate() {
+    const type = document.getElementById('templateType').value;
+    const channel = document.getElementById('templateChannel').value;
+    const definition = templateData.types.find(t => t.type === type);
+    const find = c => templateData.templates.find(t => t.alertType === type && t.channel === c);
+    const own = find(channel);
+    const shared = channel !== 'default' ? find('default') : null;
+    
+    let source = 'Built-in default template';
+    if (own) {
+        source = `Custom template, last changed ${new Date(own.updatedAt).toLocaleString()}`;
+    } else if (shared) {
+        source = 'Using the template for all channels';
+    }
+    
+    document.getElementById('templateText').value = (own || shared) ? (own || shared).template : definition.default;
+    document.getElementById('templateSource').textContent = source;
+    document.getElementById('templatePlaceholders').innerHTML = definition.placeholders.map(p =>
+        `<button type="button" class="btn btn-outline-secondary btn-sm me-1 mb-1" onclick="insertPlaceholder('${p}')">{${p}}</button>`
+    ).join('');
+    previewTemplate();
+}
+
+function insertPlaceholder(name) {
+    const textarea = document.getElementById('templateText');
+    const start = textarea.selectionStart;
+    const end = textarea.selectionEnd;
+    const text = `{${name}}`;
+    
+    textarea.value = textarea.value.substring(0, start) + text + textarea.value.substring(end);
+    textarea.focus();
+    textarea.selectionStart = textarea.selectionEnd = start + text.length;
+    previewTemplate();
+}
+
+function schedulePreviewTemplate() {
+    clearTimeout(templatePreviewTimer);
+    templatePreviewTimer = setTimeout(previewTemplate, 300);
+}
+
+// Render the template with sample values
+async function previewTemplate() {
+    const previewEl = document.getElementById('templatePreview');
+    const infoEl = document.getElementById('templatePreviewInfo');
+    
+    try {
+        const response = await fetch('/api/templates/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                type: document.getElementById('templateType').value,
+                template: document.getElementById('templateText').value
+            })
+        });
+        const result = await response.json();
+        
+        previewEl.classList.toggle('is-invalid', !result.valid);
+        previewEl.textContent = result.valid ? result.preview : result.error;
+        infoEl.textContent = result.valid ? `${result.length} characters with sample values` : '';
+    } catch (error) {
+        previewEl.textContent = 'Preview unavailable';
+    }
+}
+
+async function saveTemplate() {
+    const type = document.getElementById('templateType').value;
+    const channel = document.getElementById('templateChannel').value;
+    
+    try {
+        const response = await fetch(`/api/templates/${type}/${channel}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ template: document.getElementById('templateText').value })
+        });
+        
+        if (response.ok) {
+            showToast('Template saved', 'success');
+            loadTemplates();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to save template', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+async function resetTemplate() {
+    const type = document.getElementById('templateType').value;
+    const channel = document.getElementById('templateChannel').value;
+    
+    try {
+        const response = await fetch(`/api/templates/${type}/${channel}`, { method: 'DELETE' });
+        if (response.ok) {
+            showToast('Template reset', 'success');
+            loadTemplates();
+        } else {
+            showToast('Failed to reset template', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Reset form when modal closes (only after successful save or cancel)
+// Removed automatic reset on modal hide to prevent interfering with edit functionality
+
+// Export Functions
+
+// Show export modal for a device, or for the whole fleet when no device is given
+function showExport(deviceId) {
+    const device = deviceId ? devices.find(d => d.id === deviceId) : null;
+    
+    document.getElementById('exportDeviceId').value = device ? device.id : '';
+    document.getElementById('exportDeviceName').value = device ? device.name : '';
+    document.getElementById('exportDeviceRow').style.display = device ? 'block' : 'none';
+    document.getElementById('exportGroupRow').style.display = device ? 'none' : 'block';
+    
+    const today = new Date();
+    const toDateInput = date => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+    document.getElementById('exportFrom').value = toDateInput(new Date(today.getTime() - HISTORY_RANGES['7d']));
+    document.getElementById('exportTo').value = toDateInput(today);
+    
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('exportModal')).show();
+}
+
+// Start the export download
+function downloadExport() {
+    const deviceId = document.getElementById('exportDeviceId').value;
+    const fromValue = document.getElementById('exportFrom').value;
+    const toValue = document.getElementById('exportTo').value;
+    
+    const params = new URLSearchParams({
+        format: document.getElementById('exportFormat').value,
+        dataset: document.getElementById('exportDataset').value
+    });
+    
+    // Date inputs are local days; export the whole "to" day
+    if (fromValue) {
+        params.set('from', new Date(`${fromValue}T00:00:00`).toISOString());
+    }
+    if (toValue) {
+        params.set('to', new Date(`${toValue}T23:59:59`).toISOString());
+    }
+    
+    let url;
+    if (deviceId) {
+        url = `/api/devices/${deviceId}/export?${params}`;
+    } else {
+        const group = document.getElementById('exportGroup').value;
+        if (group) {
+            params.set('group', group);
+        }
+        url = `/api/export?${params}`;
+    }
+    
+    // The browser streams the file straight to disk
+    window.location.href = url;
+    bootstrap.Modal.getInstance(document.getElementById('exportModal')).hide();
+}
+
+// View Functions
+
+// Switch between the dashboard views
+function showView(view) {
+    document.querySelectorAll('.app-view').forEach(element => {
+        element.style.display = element.id === `${view}View` ? 'block' : 'none';
+    });
+    document.querySelectorAll('#viewNav .nav-link').forEach(link => {
+        link.classList.toggle('active', link.dataset.view === view);
+    });
+    
+    if (view === 'fleet') {
+        loadFleetSummary();
+    } else if (view === 'alerts') {
+        loadAlertsView();
+    } else if (view === 'contacts') {
+        loadContactsView();
+    } else if (view === 'events') {
+        renderEventDeviceOptions();
+        loadEvents();
+    } else if (view === 'deliveries') {
+        loadDeliveries();
+    }
+}
+
+// Alert, Silence and Maintenance Window Functions
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Options for choosing a device or device group
+function renderTargetOptions(allowAll) {
+    return (allowAll ? '<option value="">All devices</option>' : '') +
+        '<optgroup label="Devices">' +
+        devices.map(d => `<option value="device:${d.id}">${escapeHtml(d.name)}</option>`).join('') +
+        '</optgroup>' +
+        (getDeviceGroups().length ? '<optgroup label="Groups">' +
+            getDeviceGroups().map(g => `<option value="group:${escapeHtml(g)}">${escapeHtml(g)}</option>`).join('') +
+            '</optgroup>' : '');
+}
+
+// Convert a target option value to deviceId/deviceGroup fields
+function parseTarget(value) {
+    if (value.startsWith('device:')) return { deviceId: parseInt(value.slice(7)) };
+    if (value.startsWith('group:')) return { deviceGroup: value.slice(6) };
+    return {};
+}
+
+// Describe the device or group a silence or window applies to
+function describeTarget(item) {
+    if (item.deviceId) return escapeHtml(item.deviceName || `Device ${item.deviceId}`);
+    if (item.deviceGroup) return `Group ${escapeHtml(item.deviceGroup)}`;
+    return 'All devices';
+}
+
+// Load firing alerts, suspected outages, silences and maintenance windows
+async function loadAlertsView() {
+    try {
+        const [alertsResponse, outagesResponse, silencesResponse, windowsResponse] = await Promise.all([
+            fetch('/api/alerts'),
+            fetch('/api/outages?limit=20'),
+            fetch('/api/silences'),
+            fetch('/api/maintenance-windows')
+        ]);
+        if (!alertsResponse.ok || !outagesResponse.ok || !silencesResponse.ok || !windowsResponse.ok) {
+            showToast('Failed to load alerts', 'danger');
+            return;
+        }
+        renderFiringAlerts(await alertsResponse.json());
+        renderOutages(await outagesResponse.json());
+        renderSilences(await silencesResponse.json());
+        renderMaintenanceWindows(await windowsResponse.json());
+    } catch (error) {
+        showToast('Failed to load alerts', 'danger');
+    }
+}
+
+// Render the firing alerts table
+function renderFiringAlerts(alerts) {
+    const container = document.getElementById('firingAlerts');
+    if (alerts.length === 0) {
+        container.innerHTML = '<p class="text-muted small mb-0">No alerts are firing</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="table table-sm small mb-0">
+            <thead><tr><th>Device</th><th>Alert</th><th>Since</th><th>Notified</th><th>Escalation</th><th>Status</th><th></th></tr></thead>
+            <tbody>
+                ${alerts.map(alert => `
+                    <tr>
+                        <td>${escapeHtml(alert.deviceName)}</td>
+                        <td title="${escapeHtml(alert.lastMessage || '')}">${escapeHtml(ALERT_LABELS[alert.alertType] || alert.alertType)}</td>
+                        <td>${new Date(alert.firstSeen).toLocaleString()}</td>
+                        <td>${alert.notifyCount}×${alert.lastNotified ? `, last ${new Date(alert.lastNotified).toLocaleString()}` : ''}</td>
+                        <td>${alert.escalation
+                            ? `<span title="${escapeHtml(alert.escalation.policyName)}">Step ${alert.escalationStep}/${alert.escalation.steps}</span>`
+                            : '<span class="text-muted">-</span>'}</td>
+                        <td>
+                            ${alert.acknowledgedAt ? `<span class="badge bg-info">Acked by ${escapeHtml(alert.acknowledgedBy)}</span>` : ''}
+                            ${alert.suppression ? `<span class="badge bg-secondary">${alert.suppression.type === 'silence' ? 'Silenced' : 'Maintenance'}</span>` : ''}
+                        </td>
+                        <td class="text-end">
+                            ${alert.acknowledgedAt ? '' : `
+                                <button class="btn btn-outline-primary btn-sm" onclick="acknowledgeAlert(${alert.deviceId}, '${alert.alertType}')">
+                                    <i class="bi bi-check2-square"></i> Ack
+                                </button>
+                            `}
+                            <button class="btn btn-outline-secondary btn-sm" onclick="showSilenceModal('device:${alert.deviceId}')">
+                                <i class="bi bi-bell-slash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Render the suspected outages table
+function renderOutages(outages) {
+    const container = document.getElementById('outagesList');
+    if (outages.length === 0) {
+        container.innerHTML = '<p class="text-muted small mb-0">No suspected outages</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="table table-sm small mb-0">
+            <thead><tr><th>Element</th><th>Devices</th><th>Started</th><th>Resolved</th><th>Status</th></tr></thead>
+            <tbody>
+                ${outages.map(outage => `
+                    <tr>
+                        <td>${escapeHtml(outage.element)}</td>
+                        <td title="${escapeHtml(outage.devices.map(d => d.name || `#${d.id}`).join(', '))}">${outage.devices.length}</td>
+                        <td>${new Date(outage.startedAt).toLocaleString()}</td>
+                        <td>${outage.resolvedAt ? new Date(outage.resolvedAt).toLocaleString() : '<span class="text-muted">-</span>'}</td>
+                        <td>${outage.state === 'active'
+                            ? '<span class="badge bg-danger">Active</span>'
+                            : '<span class="badge bg-success">Resolved</span>'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Render the silences table
+function renderSilences(silences) {
+    const container = document.getElementById('silencesList');
+    if (silences.length === 0) {
+        container.innerHTML = '<p class="text-muted small mb-0">No silences</p>';
+        return;
+    }
+    
+    const now = Date.now();
+    container.innerHTML = `
+        <table class="table table-sm small mb-0">
+            <thead><tr><th>Target</th><th>Period</th><th>Reason</th><th></th></tr></thead>
+            <tbody>
+                ${silences.map(silence => `
+                    <tr>
+                        <td>${describeTarget(silence)}</td>
+                        <td>
+                            ${Date.parse(silence.startsAt) > now ? `from ${new Date(silence.startsAt).toLocaleString()}<br>` : ''}
+                            until ${new Date(silence.endsAt).toLocaleString()}
+                        </td>
+                        <td>${escapeHtml(silence.reason || '')}<br><small class="text-muted">${escapeHtml(silence.createdBy || '')}</small></td>
+                        <td class="text-end">
+                            <button class="btn btn-outline-danger btn-sm" onclick="deleteSilence(${silence.id})">
+                                <i class="bi bi-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Render the maintenance windows table
+function renderMaintenanceWindows(windows) {
+    const container = document.getElementById('maintenanceList');
+    if (windows.length === 0) {
+        container.innerHTML = '<p class="text-muted small mb-0">No maintenance windows</p>';
+        return;
+    }
+    
+    const schedule = w => w.recurrence === 'weekly'
+        ? `${w.days.map(d => WEEKDAY_NAMES[d]).join(', ')} ${escapeHtml(w.startTime)} for ${w.durationMinutes} min${w.timezone ? ` (${escapeHtml(w.timezone)})` : ''}`
+        : `${new Date(w.startsAt).toLocaleString()} – ${new Date(w.endsAt).toLocaleString()}`;
+    
+    container.innerHTML = `
+        <table class="table table-sm small mb-0">
+            <thead><tr><th>Name</th><th>Target</th><th>Schedule</th><th></th></tr></thead>
+            <tbody>
+                ${windows.map(w => `
+                    <tr class="${w.enabled ? '' : 'text-muted'}">
+                        <td>${escapeHtml(w.name)}</td>
+                        <td>${describeTarget(w)}</td>
+                        <td>${schedule(w)}</td>
+                        <td class="text-end text-nowrap">
+                            <div class="form-check form-switch d-inline-block align-middle">
+                                <input class="form-check-input" type="checkbox" ${w.enabled ? 'checked' : ''}
+                                       onchange="setMaintenanceWindowEnabled(${w.id}, this.checked)" title="Enabled">
+                            </div>
+                            <button class="btn btn-outline-danger btn-sm" onclick="deleteMaintenanceWindow(${w.id})">
+                                <i class="bi bi-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Acknowledge a firing alert
+async function acknowledgeAlert(deviceId, alertType) {
+    try {
+        const response = await fetch(`/api/alerts/${deviceId}/${alertType}/acknowledge`, { method: 'POST' });
+        if (response.ok) {
+            showToast('Alert acknowledged', 'success');
+            loadAlertsView();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to acknowledge alert', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Open the silence dialog, optionally for a preselected target
+function showSilenceModal(target) {
+    const select = document.getElementById('silenceTarget');
+    select.innerHTML = renderTargetOptions(false);
+    if (target) select.value = target;
+    document.getElementById('silenceDuration').value = '60';
+    document.getElementById('silenceReason').value = '';
+    toggleSilenceUntil();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('silenceModal')).show();
+}
+
+function toggleSilenceUntil() {
+    document.getElementById('silenceUntilGroup').style.display =
+        document.getElementById('silenceDuration').value === 'until' ? 'block' : 'none';
+}
+
+// Create a silence
+async function saveSilence() {
+    const duration = document.getElementById('silenceDuration').value;
+    const endsAt = duration === 'until'
+        ? new Date(document.getElementById('silenceUntil').value)
+        : new Date(Date.now() + parseInt(duration) * 60000);
+    
+    if (isNaN(endsAt.getTime())) {
+        showToast('Please select an end time', 'warning');
+        return;
+    }
+    
+    const silence = Object.assign(parseTarget(document.getElementById('silenceTarget').value), {
+        endsAt: endsAt.toISOString(),
+        reason: document.getElementById('silenceReason').value.trim()
+    });
+    
+    try {
+        const response = await fetch('/api/silences', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(silence)
+        });
+        
+        if (response.ok) {
+            bootstrap.Modal.getInstance(document.getElementById('silenceModal')).hide();
+            showToast('Notifications silenced', 'success');
+            loadAlertsView();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to create silence', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Remove a silence
+async function deleteSilence(id) {
+    if (!confirm('Remove this silence?')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/silences/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            showToast('Silence removed', 'success');
+            loadAlertsView();
+        } else {
+            showToast('Failed to remove silence', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Open the maintenance window dialog
+function showMaintenanceModal() {
+    document.getElementById('maintenanceForm').reset();
+    document.getElementById('maintenanceTarget').innerHTML = renderTargetOptions(true);
+    document.getElementById('maintenanceTimezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    toggleMaintenanceRecurrence();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('maintenanceModal')).show();
+}
+
+function toggleMaintenanceRecurrence() {
+    const weekly = document.getElementById('maintenanceRecurrence').value === 'weekly';
+    document.getElementById('maintenanceOnce').style.display = weekly ? 'none' : 'block';
+    document.getElementById('maintenanceWeekly').style.display = weekly ? 'block' : 'none';
+}
+
+// Create a maintenance window
+async function saveMaintenanceWindow() {
+    const recurrence = document.getElementById('maintenanceRecurrence').value;
+    const maintenanceWindow = Object.assign(parseTarget(document.getElementById('maintenanceTarget').value), {
+        name: document.getElementById('maintenanceName').value.trim(),
+        recurrence
+    });
+    
+    if (recurrence === 'once') {
+        const startsAt = new Date(document.getElementById('maintenanceStartsAt').value);
+        const endsAt = new Date(document.getElementById('maintenanceEndsAt').value);
+        if (isNaN(startsAt.getTime()) || isNaN(endsAt.getTime())) {
+            showToast('Please select a start and end time', 'warning');
+            return;
+        }
+        maintenanceWindow.startsAt = startsAt.toISOString();
+        maintenanceWindow.endsAt = endsAt.toISOString();
+    } else {
+        maintenanceWindow.days = [...document.querySelectorAll('#maintenanceDays input:checked')].map(input => parseInt(input.value));
+        maintenanceWindow.startTime = document.getElementById('maintenanceStartTime').value;
+        maintenanceWindow.durationMinutes = parseInt(document.getElementById('maintenanceDuration').value);
+        maintenanceWindow.timezone = document.getElementById('maintenanceTimezone').value.trim();
+    }
+    
+    try {
+        const response = await fetch('/api/maintenance-windows', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(maintenanceWindow)
+        });
+        
+        if (response.ok) {
+            bootstrap.Modal.getInstance(document.getElementById('maintenanceModal')).hide();
+            showToast('Maintenance window added', 'success');
+            loadAlertsView();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to add maintenance window', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Enable or disable a maintenance window
+async function setMaintenanceWindowEnabled(id, enabled) {
+    try {
+        const response = await fetch(`/api/maintenance-windows/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled })
+        });
+        if (!response.ok) {
+            showToast('Failed to update maintenance window', 'danger');
+        }
+        loadAlertsView();
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Delete a maintenance window
+async function deleteMaintenanceWindow(id) {
+    if (!confirm('Delete this maintenance window?')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/maintenance-windows/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            showToast('Maintenance window deleted', 'success');
+            loadAlertsView();
+        } else {
+            showToast('Failed to delete maintenance window', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Contact and Contact Group Functions
+
+const CONTACT_ALERT_TYPES = {
+    ...ALERT_LABELS,
+    offline: 'Offline / Online'
+};
+
+let contacts = [];
+let contactGroups = [];
+let escalationPolicies = [];
+
+// Load contacts and contact groups
+async function loadContactsView() {
+    try {
+        const [contactsResponse, groupsResponse, policiesResponse] = await Promise.all([
+            fetch('/api/contacts'),
+            fetch('/api/contact-groups'),
+            fetch('/api/escalation-policies')
+        ]);
+        if (!contactsResponse.ok || !groupsResponse.ok || !policiesResponse.ok) {
+            showToast('Failed to load contacts', 'danger');
+            return;
+        }
+        contacts = await contactsResponse.json();
+        contactGroups = await groupsResponse.json();
+        escalationPolicies = await policiesResponse.json();
+        renderContacts();
+        renderContactGroups();
+        renderEscalationPolicies();
+    } catch (error) {
+        showToast('Failed to load contacts', 'danger');
+    }
+}
+
+// Render the contacts table
+function renderContacts() {
+    const container = document.getElementById('contactsList');
+    if (contacts.length === 0) {
+        container.innerHTML = '<p class="text-muted small mb-0">No contacts</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="table table-sm small mb-0">
+            <thead><tr><th>Name</th><th>Reach via</th><th>Alerts</th><th></th></tr></thead>
+            <tbody>
+                ${contacts.map(contact => `
+                    <tr class="${contact.enabled ? '' : 'text-muted'}">
+                        <td>
+                            ${escapeHtml(contact.name)}${contact.enabled ? '' : ' <span class="badge bg-secondary">Disabled</span>'}
+                            ${contact.quietHours && contact.quietHours.enabled ? `<div class="text-muted"><i class="bi bi-moon me-1"></i>Quiet ${escapeHtml(contact.quietHours.start)}-${escapeHtml(contact.quietHours.end)}</div>` : ''}
+                        </td>
+                        <td>
+                            ${contact.phone ? `<div><i class="bi bi-phone me-1"></i>${escapeHtml(contact.phone)}</div>` : ''}
+                            ${contact.email ? `<div><i class="bi bi-envelope me-1"></i>${escapeHtml(contact.email)}</div>` : ''}
+                            ${contact.telegramId ? `<div><i class="bi bi-telegram me-1"></i>${escapeHtml(contact.telegramId)}</div>` : ''}
+                        </td>
+                        <td>${contact.alertTypes.length ? contact.alertTypes.map(t => escapeHtml(CONTACT_ALERT_TYPES[t] || t)).join(', ') : 'All'}</td>
+                        <td class="text-end text-nowrap">
+                            <button class="btn btn-outline-primary btn-sm" onclick="showContactModal(${contact.id})">
+                                <i class="bi bi-pencil"></i>
+                            </button>
+                            <button class="btn btn-outline-danger btn-sm" onclick="deleteContact(${contact.id})">
+                                <i class="bi bi-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Render the contact groups table
+function renderContactGroups() {
+    const container = document.getElementById('contactGroupsList');
+    if (contactGroups.length === 0) {
+        container.innerHTML = '<p class="text-muted small mb-0">No contact groups</p>';
+        return;
+    }
+    
+    const contactName = id => (contacts.find(c => c.id === id) || {}).name || `Contact ${id}`;
+    container.innerHTML = `
+        <table class="table table-sm small mb-0">
+            <thead><tr><th>Group</th><th>Members</th><th>Assigned to</th><th></th></tr></thead>
+            <tbody>
+                ${contactGroups.map(group => `
+                    <tr>
+                        <td>${escapeHtml(group.name)}<br><small class="text-muted">${escapeHtml(group.description)}</small></td>
+                        <td>${group.contactIds.map(id => escapeHtml(contactName(id))).join(', ') || '<span class="text-muted">None</span>'}</td>
+                        <td>${group.assignments.map(describeTarget).join(', ') || '<span class="text-muted">Nothing</span>'}</td>
+                        <td class="text-end text-nowrap">
+                            <button class="btn btn-outline-primary btn-sm" onclick="showContactGroupModal(${group.id})">
+                                <i class="bi bi-pencil"></i>
+                            </button>
+                            <button class="btn btn-outline-danger btn-sm" onclick="deleteContactGroup(${group.id})">
+                                <i class="bi bi-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Open the contact dialog, empty or for an existing contact
+function showContactModal(id) {
+    const contact = contacts.find(c => c.id === id);
+    
+    document.getElementById('contactForm').reset();
+    document.getElementById('contactModalTitle').textContent = contact ? 'Edit Contact' : 'Add Contact';
+    document.getElementById('contactId').value = contact ? contact.id : '';
+    document.getElementById('contactName').value = contact ? contact.name : '';
+    document.getElementById('contactPhone').value = contact ? contact.phone : '';
+    document.getElementById('contactEmail').value = contact ? contact.email : '';
+    document.getElementById('contactTelegramId').value = contact ? contact.telegramId : '';
+    document.getElementById('contactEnabled').checked = contact ? contact.enabled : true;
+    renderQuietHoursFields('contactQuietHours', contact ? contact.quietHours : null);
+    document.getElementById('contactAlertTypes').innerHTML = Object.entries(CONTACT_ALERT_TYPES).map(([type, label]) => `
+        <div class="form-check form-check-inline">
+            <input class="form-check-input contact-alert-type" type="checkbox" id="contactAlert_${type}" value="${type}"
+                   ${contact && contact.alertTypes.includes(type) ? 'checked' : ''}>
+            <label class="form-check-label" for="contactAlert_${type}">${escapeHtml(label)}</label>
+        </div>
+    `).join('');
+    
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('contactModal')).show();
+}
+
+async function saveContact() {
+    const id = document.getElementById('contactId').value;
+    const contact = {
+        name: document.getElementById('contactName').value.trim(),
+        phone: document.getElementById('contactPhone').value.trim(),
+        email: document.getElementById('contactEmail').value.trim(),
+        telegramId: document.getElementById('contactTelegramId').value.trim(),
+        alertTypes: Array.from(document.querySelectorAll('.contact-alert-type:checked')).map(input => input.value),
+        quietHours: readQuietHoursFields('contactQuietHours'),
+        enabled: document.getElementById('contactEnabled').checked
+    };
+    
+    try {
+        const response = await fetch(id ? `/api/contacts/${id}` : '/api/contacts', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(contact)
+        });
+        
+        if (response.ok) {
+            bootstrap.Modal.getInstance(document.getElementById('contactModal')).hide();
+            showToast('Contact saved', 'success');
+            loadContactsView();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to save contact', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+async function deleteContact(id) {
+    if (!confirm('Delete this contact?')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/contacts/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            showToast('Contact deleted', 'success');
+            loadContactsView();
+        } else {
+            showToast('Failed to delete contact', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Open the contact group dialog, empty or for an existing group
+function showContactGroupModal(id) {
+    const group = contactGroups.find(g => g.id === id);
+    
+    document.getElementById('contactGroupForm').reset();
+    document.getElementById('contactGroupModalTitle').textContent = group ? 'Edit Contact Group' : 'Add Contact Group';
+    document.getElementById('contactGroupId').value = group ? group.id : '';
+    document.getElementById('contactGroupName').value = group ? group.name : '';
+    document.getElementById('contactGroupDescription').value = group ? group.description : '';
+    document.getElementById('contactGroupMembers').innerHTML = contacts.length === 0
+        ? '<p class="text-muted small mb-0">Add contacts first</p>'
+        : contacts.map(contact => `
+            <div class="form-check">
+                <input class="form-check-input contact-group-member" type="checkbox" id="contactMember_${contact.id}" value="${contact.id}"
+                       ${group && group.contactIds.includes(contact.id) ? 'checked' : ''}>
+                <label class="form-check-label" for="contactMember_${contact.id}">${escapeHtml(contact.name)}</label>
+            </div>
+        `).join('');
+    
+    const assignments = document.getElementById('contactGroupAssignments');
+    assignments.innerHTML = renderTargetOptions(false);
+    const selected = new Set((group ? group.assignments : []).map(a => a.deviceId ? `device:${a.deviceId}` : `group:${a.deviceGroup}`));
+    Array.from(assignments.options).forEach(option => {
+        option.selected = selected.has(option.value);
+    });
+    
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('contactGroupModal')).show();
+}
+
+async function saveContactGroup() {
+    const id = document.getElementById('contactGroupId').value;
+    const group = {
+        name: document.getElementById('contactGroupName').value.trim(),
+        description: document.getElementById('contactGroupDescription').value.trim(),
+        contactIds: Array.from(document.querySelectorAll('.contact-group-member:checked')).map(input => parseInt(input.value)),
+        assignments: Array.from(document.getElementById('contactGroupAssignments').selectedOptions).map(option => parseTarget(option.value))
+    };
+    
+    try {
+        const response = await fetch(id ? `/api/contact-groups/${id}` : '/api/contact-groups', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(group)
+        });
+        
+        if (response.ok) {
+            bootstrap.Modal.getInstance(document.getElementById('contactGroupModal')).hide();
+            showToast('Contact group saved', 'success');
+            loadContactsView();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to save contact group', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+async function deleteContactGroup(id) {
+    if (!confirm('Delete this contact group?')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/contact-groups/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            showToast('Contact group deleted', 'success');
+            loadContactsView();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to delete contact group', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Escalation Policy Functions
+
+// Format an escalation delay, e.g. "now", "30 min" or "2 h"
+function formatEscalationDelay(minutes) {
+    if (minutes === 0) return 'now';
+    if (minutes % 60 === 0) return `${minutes / 60} h`;
+    return `${minutes} min`;
+}
+
+// Render the escalation policies table
+function renderEscalationPolicies() {
+    const container = document.getElementById('escalationPoliciesList');
+    if (escalationPolicies.length === 0) {
+        container.innerHTML = '<p class="text-muted small mb-0">No escalation policies</p>';
+        return;
+    }
+    
+    const groupName = id => (contactGroups.find(g => g.id === id) || {}).name || `Group ${id}`;
+    container.innerHTML = `
+        <table class="table table-sm small mb-0">
+            <thead><tr><th>Policy</th><th>Steps</th><th>Devices</th><th></th></tr></thead>
+            <tbody>
+                ${escalationPolicies.map(policy => `
+                    <tr>
+                        <td>${escapeHtml(policy.name)}</td>
+                        <td>${policy.steps.map((step, index) =>
+                            `${index + 1}. ${escapeHtml(groupName(step.contactGroupId))} (${formatEscalationDelay(step.delayMinutes)})`).join('<br>')}</td>
+                        <td>${devices.filter(d => d.escalationPolicyId === policy.id).map(d => escapeHtml(d.name)).join(', ') || '<span class="text-muted">None</span>'}</td>
+                        <td class="text-end text-nowrap">
+                            <button class="btn btn-outline-primary btn-sm" onclick="showEscalationPolicyModal(${policy.id})">
+                                <i class="bi bi-pencil"></i>
+                            </button>
+                            <button class="btn btn-outline-danger btn-sm" onclick="deleteEscalationPolicy(${policy.id})">
+                                <i class="bi bi-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Add a step row to the escalation policy dialog
+function addEscalationStep(step = { delayMinutes: 0, contactGroupId: null }) {
+    const row = document.createElement('div');
+    row.className = 'd-flex gap-2 align-items-center mb-2 escalation-step';
+    row.innerHTML = `
+        <span class="text-muted small text-nowrap">After</span>
+        <input type="number" class="form-control form-control-sm escalation-delay" min="0" step="1" value="${step.delayMinutes}" style="max-width: 90px;">
+        <span class="text-muted small text-nowrap">min notify</span>
+        <select class="form-select form-select-sm escalation-group">
+            ${contactGroups.map(group => `
+                <option value="${group.id}" ${group.id === step.contactGroupId ? 'selected' : ''}>${escapeHtml(group.name)}</option>
+            `).join('')}
+        </select>
+        <button type="button" class="btn btn-outline-danger btn-sm" onclick="this.parentElement.remove()">
+            <i class="bi bi-x"></i>
+        </button>
+    `;
+    document.getElementById('escalationSteps').appendChild(row);
+}
+
+// Open the escalation policy dialog, empty or for an existing policy
+function showEscalationPolicyModal(id) {
+    if (contactGroups.length === 0) {
+        showToast('Add a contact group first', 'warning');
+        return;
+    }
+    
+    const policy = escalationPolicies.find(p => p.id === id);
+    
+    document.getElementById('escalationPolicyForm').reset();
+    document.getElementById('escalationPolicyModalTitle').textContent = policy ? 'Edit Escalation Policy' : 'Add Escalation Policy';
+    document.getElementById('escalationPolicyId').value = policy ? policy.id : '';
+    document.getElementById('escalationPolicyName').value = policy ? policy.name : '';
+    document.getElementById('escalationSteps').innerHTML = '';
+    (policy ? policy.steps : [{ delayMinutes: 0, contactGroupId: null }]).forEach(step => addEscalationStep(step));
+    
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('escalationPolicyModal')).show();
+}
+
+async function saveEscalationPolicy() {
+    const id = document.getElementById('escalationPolicyId').value;
+    const policy = {
+        name: document.getElementById('escalationPolicyName').value.trim(),
+        steps: Array.from(document.querySelectorAll('#escalationSteps .escalation-step')).map(row => ({
+            delayMinutes: parseInt(row.querySelector('.escalation-delay').value),
+            contactGroupId: parseInt(row.querySelector('.escalation-group').value)
+        }))
+    };
+    
+    try {
+        const response = await fetch(id ? `/api/escalation-policies/${id}` : '/api/escalation-policies', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(policy)
+        });
+        
+        if (response.ok) {
+            bootstrap.Modal.getInstance(document.getElementById('escalationPolicyModal')).hide();
+            showToast('Escalation policy saved', 'success');
+            loadContactsView();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to save escalation policy', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+async function deleteEscalationPolicy(id) {
+    if (!confirm('Delete this escalation policy? Devices using it will no longer escalate.')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/escalation-policies/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            showToast('Escalation policy deleted', 'success');
+            await loadDevices();
+            loadContactsView();
+        } else {
+            showToast('Failed to delete escalation policy', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Fill the escalation policy select of the device form
+async function loadDeviceEscalationPolicies(selectedId) {
+    const select = document.getElementById('deviceEscalationPolicy');
+    try {
+        const response = await fetch('/api/escalation-policies');
+        if (response.ok) {
+            escalationPolicies = await response.json();
+        }
+    } catch (error) {
+        console.error('Failed to load escalation policies:', error);
+    }
+    
+    select.innerHTML = '<option value="">None</option>' + escalationPolicies
+        .map(policy => `<option value="${policy.id}">${escapeHtml(policy.name)}</option>`).join('');
+    select.value = selectedId || '';
+}
+
+// Notification Delivery Functions
+
+const DELIVERY_STATUS_BADGES = {
+    pending: '<span class="badge bg-warning text-dark">Queued</span>',
+    sent: '<span class="badge bg-success">Delivered</span>',
+    dead: '<span class="badge bg-danger">Failed</span>',
+    skipped: '<span class="badge bg-secondary">Skipped</span>'
+};
+
+// Load the notification outbox
+async function loadDeliveries() {
+    const status = document.getElementById('deliveriesStatus').value;
+    
+    try {
+        const response = await fetch(`/api/outbox?limit=200${status ? `&status=${status}` : ''}`);
+        if (!response.ok) {
+            showToast('Failed to load deliveries', 'danger');
+            return;
+        }
+        const { counts, notifications } = await response.json();
+        
+        document.getElementById('deliveriesCounts').innerHTML = `
+            <span class="badge bg-warning text-dark">${counts.pending} queued</span>
+            <span class="badge bg-danger">${counts.dead} failed</span>
+            <span class="badge bg-success">${counts.sent} delivered</span>
+            <span class="badge bg-secondary">${counts.skipped} skipped</span>
+        `;
+        renderDeliveries(notifications);
+    } catch (error) {
+        showToast('Failed to load deliveries', 'danger');
+    }
+}
+
+// Render the notification outbox table
+function renderDeliveries(notifications) {
+    const container = document.getElementById('deliveriesList');
+    if (notifications.length === 0) {
+        container.innerHTML = '<p class="text-muted small mb-0">No notifications</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="table table-sm small mb-0">
+            <thead><tr><th>Queued</th><th>Device</th><th>Recipient</th><th>Message</th><th>Status</th><th>Attempts</th><th></th></tr></thead>
+            <tbody>
+                ${notifications.map(entry => `
+                    <tr>
+                        <td class="text-nowrap">${new Date(entry.createdAt).toLocaleString()}</td>
+                        <td>${escapeHtml(entry.deviceName || '-')}</td>
+                        <td>${entry.channel === 'sms' ? '<i class="bi bi-phone me-1"></i>' : ''}${escapeHtml(entry.recipient)}</td>
+                        <td class="text-truncate" style="max-width: 320px;" title="${escapeHtml(entry.message)}">${escapeHtml(entry.message)}</td>
+                        <td>
+                            ${DELIVERY_STATUS_BADGES[entry.status] || escapeHtml(entry.status)}
+                            ${entry.sentAt ? `<div class="text-muted">${new Date(entry.sentAt).toLocaleString()}</div>` : ''}
+                            ${entry.lastError ? `<div class="text-danger">${escapeHtml(entry.lastError)}</div>` : ''}
+                            ${entry.nextAttemptAt && entry.attempts > 0 ? `<div class="text-muted">Retry at ${new Date(entry.nextAttemptAt).toLocaleTimeString()}</div>` : ''}
+                        </td>
+                        <td>${entry.attempts}</td>
+                        <td class="text-end">
+                            ${entry.status === 'pending' ? '' : `
+                                <button class="btn btn-outline-primary btn-sm" onclick="resendDelivery(${entry.id})" title="Send again">
+                                    <i class="bi bi-arrow-repeat"></i>
+                                </button>
+                            `}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function resendDelivery(id) {
+    try {
+        const response = await fetch(`/api/outbox/${id}/resend`, { method: 'POST' });
+        if (response.ok) {
+            showToast('Notification queued again', 'success');
+            loadDeliveries();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to re-send notification', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Event Log Functions
+
+const EVENT_STYLES = {
+    alert_fired: { label: 'Alert', icon: 'bi-exclamation-triangle', className: 'event-danger' },
+    alert_resolved: { label: 'Resolved', icon: 'bi-check-circle', className: 'event-success' },
+    device_offline: { label: 'Offline', icon: 'bi-x-circle', className: 'event-danger' },
+    device_online: { label: 'Online', icon: 'bi-check-circle', className: 'event-success' },
+    alert_acknowledged: { label: 'Acknowledged', icon: 'bi-check2-square', className: 'event-info' },
+    alert_escalated: { label: 'Escalated', icon: 'bi-arrow-up-right-circle', className: 'event-warning' },
+    notification: { label: 'Notification', icon: 'bi-send', className: 'event-info' },
+    notification_held: { label: 'Held (quiet hours)', icon: 'bi-moon', className: 'event-muted' },
+    notification_suppressed: { label: 'Suppressed', icon: 'bi-bell-slash', className: 'event-muted' },
+    poll_failed: { label: 'Poll failed', icon: 'bi-wifi-off', className: 'event-warning' },
+    outage_detected: { label: 'Outage', icon: 'bi-diagram-3', className: 'event-danger' },
+    outage_resolved: { label: 'Outage resolved', icon: 'bi-diagram-3', className: 'event-success' }
+};
+
+let eventsOldestId = null;
+
+// Render events as a timeline
+function renderEventTimeline(events, showDevice) {
+    return events.map(event => {
+        const style = EVENT_STYLES[event.eventType] || { label: event.eventType, icon: 'bi-dot', className: 'event-info' };
+        let detail = '';
+        if (event.eventType === 'notification') {
+            detail = `<span class="${event.success ? 'text-success' : 'text-danger'}">
+                ${event.success ? 'Sent' : 'Failed'} to ${escapeHtml(event.recipient || '')}
+            </span>`;
+        }
+        
+        return `
+            <div class="event-item ${style.className}">
+                <div class="d-flex justify-content-between">
+                    <strong><i class="bi ${style.icon} me-1"></i>${style.label}
+                        ${event.alertType ? `<span class="badge bg-secondary ms-1">${escapeHtml(event.alertType)}</span>` : ''}
+                    </strong>
+                    <small class="text-muted">${new Date(event.createdAt).toLocaleString()}</small>
+                </div>
+                ${showDevice && event.deviceName ? `<div class="small"><i class="bi bi-router me-1"></i>${escapeHtml(event.deviceName)}</div>` : ''}
+                <div class="small">${escapeHtml(event.message || '')}</div>
+                ${detail ? `<div class="small">${detail}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+// Fill the device filter of the events page
+function renderEventDeviceOptions() {
+    const select = document.getElementById('eventsDevice');
+    const selected = select.value;
+    select.innerHTML = '<option value="">All devices</option>' + devices
+        .map(d => `<option value="${d.id}">${escapeHtml(d.name)}</option>`).join('');
+    select.value = selected;
+}
+
+// Load the event log with the selected filters
+async function loadEvents(append = false) {
+    const params = new URLSearchParams({ limit: 100 });
+    const deviceId = document.getElementById('eventsDevice').value;
+    const type = document.getElementById('eventsType').value;
+    const from = document.getElementById('eventsFrom').value;
+    const to = document.getElementById('eventsTo').value;
+    
+    if (deviceId) params.set('deviceId', deviceId);
+    if (type) params.set('type', type);
+    if (from) params.set('from', new Date(from).toISOString());
+    if (to) params.set('to', new Date(to).toISOString());
+    if (append && eventsOldestId) params.set('beforeId', eventsOldestId);
+    
+    try {
+        const response = await fetch(`/api/events?${params}`);
+        if (!response.ok) {
+            const error = await response.json();
+            showToast(error.error || 'Failed to load events', 'danger');
+            return;
+        }
+        const events = await response.json();
+        const timeline = document.getElementById('eventsTimeline');
+        
+        if (!append) {
+            timeline.innerHTML = events.length === 0 ? '<p class="text-muted">No events found</p>' : '';
+        }
+        timeline.insertAdjacentHTML('beforeend', renderEventTimeline(events, true));
+        
+        if (events.length > 0) {
+            eventsOldestId = events[events.length - 1].id;
+        }
+        document.getElementById('eventsLoadMore').style.display = events.length === 100 ? 'inline-block' : 'none';
+    } catch (error) {
+        showToast('Failed to load events', 'danger');
+    }
+}
+
+// Load the latest events of a device into the history modal
+async function loadDeviceEvents(deviceId) {
+    const container = document.getElementById('historyEvents');
+    container.innerHTML = '<div class="loading-spinner"></div>';
+    
+    try {
+        const response = await fetch(`/api/events?deviceId=${deviceId}&limit=100`);
+        const events = response.ok ? await response.json() : [];
+        container.innerHTML = events.length === 0
+            ? '<p class="text-muted">No events recorded for this device</p>'
+            : renderEventTimeline(events, false);
+    } catch (error) {
+        container.innerHTML = '<p class="text-danger">Failed to load events</p>';
+    }
+}
+
+// Fleet Overview Functions
+
+const FLEET_STATUS_LABELS = {
+    online: { label: 'Online', className: 'text-success' },
+    offline: { label: 'Offline', className: 'text-danger' },
+    alert: { label: 'In Alert', className: 'text-warning' },
+    never_polled: { label: 'Never Polled', className: 'text-muted' }
+};
+
+// Render a compact device table for the fleet view
+function renderFleetTable(rows, valueHeader, valueFn) {
+    if (rows.length === 0) {
+        return '<p class="text-muted small mb-0">No data</p>';
+    }
+    
+    return `
+        <table class="table table-sm small mb-0">
+            <thead><tr><th>Device</th><th>Status</th><th class="text-end">${escapeHtml(valueHeader)}</th></tr></thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td>${escapeHtml(row.name)}<br><small class="text-muted">${escapeHtml(row.host)}</small></td>
+                        <td class="${FLEET_STATUS_LABELS[row.status].className}">${FLEET_STATUS_LABELS[row.status].label}</td>
+                        <td class="text-end">${escapeHtml(valueFn(row))}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Load and render the fleet summary
+async function loadFleetSummary() {
+    try {
+        const [summaryResponse, forecastResponse] = await Promise.all([
+            fetch('/api/fleet/summary'),
+            fetch('/api/fleet/forecast?limit=10')
+        ]);
+        if (!summaryResponse.ok) {
+            showToast('Failed to load fleet summary', 'danger');
+            return;
+        }
+        const summary = await summaryResponse.json();
+        const forecasts = forecastResponse.ok ? await forecastResponse.json() : [];
+        
+        const tiles = [
+            { label: 'Total', value: summary.counts.total, className: '' },
+            { label: 'Online', value: summary.counts.online, className: 'text-success' },
+            { label: 'In Alert', value: summary.counts.inAlert, className: 'text-warning' },
+            { label: 'Offline', value: summary.counts.offline, className: 'text-danger' },
+            { label: 'Never Polled', value: summary.counts.neverPolled, className: 'text-muted' }
+        ];
+        document.getElementById('fleetCounts').innerHTML = tiles.map(tile => `
+            <div class="col mb-2">
+                <div class="card shadow-sm fleet-count">
+                    <div class="count-value ${tile.className}">${tile.value}</div>
+                    <div class="count-label">${tile.label}</div>
+                </div>
+            </div>
+        `).join('');
+        
+        drawBarChart(document.getElementById('fleetHistogram'), summary.rxHistogram.map(bucket => ({
+            label: bucket.label,
+            count: bucket.count,
+            // Red below the GPON sensitivity limit, amber close to it
+            color: bucket.max !== null && bucket.max <= -28 ? '#dc3545' : bucket.max !== null && bucket.max <= -24 ? '#ffc107' : '#28a745'
+        })));
+        
+        document.getElementById('fleetWorstRx').innerHTML = renderFleetTable(summary.worstRx, 'RX', r => `${r.rxPower.toFixed(2)} dBm`);
+        document.getElementById('fleetWorstTemp').innerHTML = renderFleetTable(summary.worstTemperature, 'Temp', r => `${r.temperature.toFixed(1)} ℃`);
+        document.getElementById('fleetMostFailures').innerHTML = renderFleetTable(summary.mostFailures, 'Failed', r => `${r.failures24h}/${r.polls24h}`);
+        
+        document.getElementById('fleetForecast').innerHTML = forecasts.length === 0
+            ? '<p class="text-muted small mb-0">No devices are trending towards their threshold</p>'
+            : `
+                <table class="table table-sm small mb-0">
+                    <thead><tr><th>Device</th><th>Trend</th><th class="text-end">Forecast</th></tr></thead>
+                    <tbody>
+                        ${forecasts.map(f => `
+                            <tr>
+                                <td>${escapeHtml(f.deviceName)}<br><small class="text-muted">${escapeHtml(f.host)}</small></td>
+                                <td>${f.slopePerDay.toFixed(2)} dB/day</td>
+                                <td class="text-end ${f.daysToThreshold < 7 ? 'text-danger fw-bold' : ''}">${escapeHtml(formatForecast(f))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        
+        document.getElementById('fleetGeneratedAt').textContent = `Updated ${new Date(summary.generatedAt).toLocaleTimeString()}`;
+    } catch (error) {
+        showToast('Failed to load fleet summary', 'danger');
+    }
+}
+
+// Digest Report Functions
+
+let digestPreviewType = 'daily';
+
+// Load digest settings
+async function loadDigestSettings() {
+    try {
+        const response = await fetch('/api/digest/config');
+        if (response.ok) {
+            const settings = await response.json();
+            document.getElementById('digestDailyEnabled').checked = settings.dailyEnabled;
+            document.getElementById('digestDailyTime').value = settings.dailyTime;
+            document.getElementById('digestWeeklyEnabled').checked = settings.weeklyEnabled;
+            document.getElementById('digestWeeklyDay').value = settings.weeklyDay;
+            document.getElementById('digestWeeklyTime').value = settings.weeklyTime;
+            document.getElementById('digestRecipients').value = settings.recipients;
+            document.getElementById('digestRxThreshold').value = settings.rxThreshold;
+        }
+    } catch (error) {
+        console.error('Failed to load digest settings:', error);
+    }
+}
+
+// Save digest settings
+async function saveDigestSettings() {
+    const settings = {
+        dailyEnabled: document.getElementById('digestDailyEnabled').checked,
+        dailyTime: document.getElementById('digestDailyTime').value,
+        weeklyEnabled: document.getElementById('digestWeeklyEnabled').checked,
+        weeklyDay: parseInt(document.getElementById('digestWeeklyDay').value),
+        weeklyTime: document.getElementById('digestWeeklyTime').value,
+        recipients: document.getElementById('digestRecipients').value.trim(),
+        rxThreshold: parseFloat(document.getElementById('digestRxThreshold').value)
+    };
+    
+    try {
+        const response = await fetch('/api/digest/config', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settings)
+        });
+        
+        if (response.ok) {
+            const modal = bootstrap.Modal.getInstance(document.getElementById('digestModal'));
+            modal.hide();
+            showToast('Digest settings saved successfully', 'success');
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to save digest settings', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Show a preview of the daily or weekly digest
+async function previewDigest(type) {
+    digestPreviewType = type;
+    document.querySelectorAll('[data-digest-type]').forEach(button => {
+        button.classList.toggle('active', button.dataset.digestType === type);
+    });
+    
+    const preview = document.getElementById('digestPreview');
+    preview.textContent = 'Loading...';
+    
+    try {
+        const response = await fetch(`/api/digest/preview?type=${type}`);
+        const data = await response.json();
+        preview.textContent = response.ok ? data.message : (data.error || 'Failed to build digest');
+    } catch (error) {
+        preview.textContent = 'Network error';
+    }
+}
+
+// Send the previewed digest immediately
+async function sendDigestNow() {
+    if (!confirm(`Send the ${digestPreviewType} digest now?`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/digest/send', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: digestPreviewType })
+        });
+        const data = await response.json();
+        
+        if (response.ok && data.success) {
+            document.getElementById('digestPreview').textContent = data.message;
+            showToast('Digest sent', 'success');
+        } else if (response.ok) {
+            showToast('Digest could not be sent, check the SMS configuration', 'warning');
+        } else {
+            showToast(data.error || 'Failed to send digest', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
+
+// Data Retention Functions
+
+// Load retention settings
+async function loadRetentionSettings() {
+    try {
+        const response = await fetch('/api/settings/retention');
+        if (response.ok) {
+            const settings = await response.json();
+            document.getElementById('retentionRawDays').value = settings.rawDays;
+            document.getElementById('retentionHourlyDays').value = settings.hourlyDays;
+            document.getElementById('retentionDailyDays').value = settings.dailyDays;
+        }
+    } catch (error) {
+        console.error('Failed to load retention settings:', error);
+    }
+}
+
+// Save retention settings
+async function saveRetentionSettings() {
+    const rawDays = parseInt(document.getElementById('retentionRawDays').value);
+    const hourlyDays = parseInt(document.getElementById('retentionHourlyDays').value);
+    const dailyDays = parseInt(document.getElementById('retentionDailyDays').value);
+    
+    if (hourlyDays < rawDays || dailyDays < hourlyDays) {
+        showToast('Retention must not decrease from raw to hourly to daily data', 'danger');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/settings/retention', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rawDays, hourlyDays, dailyDays })
+        });
+        
+        if (response.ok) {
+            const modal = bootstrap.Modal.getInstance(document.getElementById('retentionModal'));
+            modal.hide();
+            showToast('Retention settings saved successfully', 'success');
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to save retention settings', 'danger');
+        }
+    } catch (error) {
+        showToast('Network error', 'danger');
+    }
+}
@@ -2,25 +2,46 @@ const express = require('express');
 const session = require('express-session');
 const bodyParser = require('body-parser');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const DatabaseManager = require('./lib/database');
 const { monitorONU, checkConnectivity } = require('./lib/onuMonitor');
 const NotificationService = require('./lib/notificationService');
+const NotificationDispatcher = require('./lib/notificationDispatcher');
 const MonitoringScheduler = require('./lib/monitoringScheduler');
+const ExportService = require('./lib/exportService');
+const ForecastService = require('./lib/forecastService');
+const FleetService = require('./lib/fleetService');
+const DigestService = require('./lib/digestService');
+const { renderMetrics } = require('./lib/metricsExporter');
+const { isValidTimeZone, isValidTimeOfDay } = require('./lib/timeWindows');
+const { CHANNEL_TYPES, maskSecrets, mergeSecrets } = require('./lib/channels');
+const { MESSAGE_TEMPLATES, validateMessageTemplate, getSampleValues, renderTemplate } = require('./lib/templates');
+const { validateSMSConfig } = require('./lib/smsGateway');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const SESSION_SECRET = process.env.SESSION_SECRET || 'change-this-secret-key';
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
 
 // Initialize database
 const db = new DatabaseManager();
 
 // Initialize notification service
 const notificationService = new NotificationService(db);
+const notificationDispatcher = new NotificationDispatcher(db, notificationService);
+
+// Initialize digest reports
+const digestService = new DigestService(db, notificationService);
 
 // Initialize monitoring scheduler
-const monitoringScheduler = new MonitoringScheduler(db, notificationService);
+const monitoringScheduler = new MonitoringScheduler(db, notificationService, digestService);
+
+// Initialize export, forecast and fleet services
+const exportService = new ExportService(db);
+const forecastService = new ForecastService(db);
+const fleetService = new FleetService(db);
 
 // Middleware
 app.use(bodyParser.json());
@@ -48,6 +69,32 @@ function requireAuth(req, res, next) {
   }
 }
 
+// Metrics token middleware (Authorization: Bearer <token> or ?token=<token>)
+function requireMetricsToken(req, res, next) {
+  if (!METRICS_TOKEN) {
+    return res.status(404).json({ error: 'Metrics endpoint is disabled (METRICS_TOKEN not set)' });
+  }
+  
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : (req.query.token || '');
+  
+  // Compare hashes so the check takes the same time regardless of token length
+  const expectedHash = crypto.createHash('sha256').update(METRICS_TOKEN).digest();
+  const providedHash = crypto.createHash('sha256').update(String(provided)).digest();
+  
+  if (crypto.timingSafeEqual(expectedHash, providedHash)) {
+    next();
+  } else {
+    res.status(401).json({ error: 'Unauthorized' });
+  }
+}
+
+// Validate a date query parameter (ISO 8601 string or epoch milliseconds)
+function isValidDate(value) {
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return !isNaN(date.getTime());
+}
+
 // ==================== ROUTES ====================
 
 // Login page
@@ -131,6 +178,7 @@ app.get('/api/devices', requireAuth, (req, res) => {
       host: d.host,
       username: d.username,
       onuType: d.onuType,
+      deviceGroup: d.deviceGroup,
       monitoringInterval: d.monitoringInterval,
       retryAttempts: d.retryAttempts,
       retryDelay: d.retryDelay,
@@ -140,7 +188,40 @@ app.get('/api/devices', requireAuth, (req, res) => {
       tempHighThreshold: d.tempHighThreshold,
       notifyTempLow: d.notifyTempLow,
       tempLowThreshold: d.tempLowThreshold,
+      rxPowerClearThreshold: d.rxPowerClearThreshold,
+      tempHighClearThreshold: d.tempHighClearThreshold,
+      tempLowClearThreshold: d.tempLowClearThreshold,
+      alertTriggerPolls: d.alertTriggerPolls,
+      alertClearPolls: d.alertClearPolls,
+      notifyTxPower: d.notifyTxPower,
+      txPowerLowThreshold: d.txPowerLowThreshold,
+      txPowerHighThreshold: d.txPowerHighThreshold,
+      notifyVoltage: d.notifyVoltage,
+      voltageLowThreshold: d.voltageLowThreshold,
+      voltageHighThreshold: d.voltageHighThreshold,
+      notifyBiasCurrent: d.notifyBiasCurrent,
+      biasCurrentLowThreshold: d.biasCurrentLowThreshold,
+      biasCurrentHighThreshold: d.biasCurrentHighThreshold,
+      txPowerLowClearThreshold: d.txPowerLowClearThreshold,
+      txPowerHighClearThreshold: d.txPowerHighClearThreshold,
+      voltageLowClearThreshold: d.voltageLowClearThreshold,
+      voltageHighClearThreshold: d.voltageHighClearThreshold,
+      biasCurrentLowClearThreshold: d.biasCurrentLowClearThreshold,
+      biasCurrentHighClearThreshold: d.biasCurrentHighClearThreshold,
       notifyOffline: d.notifyOffline,
+      notifyRxTrend: d.notifyRxTrend,
+      rxTrendWindowHours: d.rxTrendWindowHours,
+      rxTrendMaxDrop: d.rxTrendMaxDrop,
+      notifyAnomaly: d.notifyAnomaly,
+      anomalySigma: d.anomalySigma,
+      anomalyRxDelta: d.anomalyRxDelta,
+      anomalyTempDelta: d.anomalyTempDelta,
+      escalationPolicyId: d.escalationPolicyId,
+      upstreamOlt: d.upstreamOlt,
+      upstreamPon: d.upstreamPon,
+      upstreamSplitter: d.upstreamSplitter,
+      baseline: db.getDeviceBaseline(d.id),
+      activeAlerts: db.getAlertStates(d.id).filter(a => a.state === 'firing'),
       createdAt: d.createdAt,
       updatedAt: d.updatedAt
     }));
@@ -150,6 +231,96 @@ app.get('/api/devices', requireAuth, (req, res) => {
   }
 });
 
+/**
+ * Validate the clear levels, low/high ranges and consecutive poll counts of a device's
+ * thresholds. A clear level must lie on the healthy side of its trigger level.
+ */
+function validateThresholds(config) {
+  const clearLevels = [
+    ['rxPowerClearThreshold', 'rxPowerThreshold', -27, 1, 'RX power clear level must be at or above the threshold'],
+    ['tempHighClearThreshold', 'tempHighThreshold', 70, -1, 'High temperature clear level must be at or below the threshold'],
+    ['tempLowClearThreshold', 'tempLowThreshold', 0, 1, 'Low temperature clear level must be at or above the threshold'],
+    ['txPowerLowClearThreshold', 'txPowerLowThreshold', null, 1, 'Low TX power clear level must be at or above the threshold'],
+    ['txPowerHighClearThreshold', 'txPowerHighThreshold', null, -1, 'High TX power clear level must be at or below the threshold'],
+    ['voltageLowClearThreshold', 'voltageLowThreshold', null, 1, 'Low voltage clear level must be at or above the threshold'],
+    ['voltageHighClearThreshold', 'voltageHighThreshold', null, -1, 'High voltage clear level must be at or below the threshold'],
+    ['biasCurrentLowClearThreshold', 'biasCurrentLowThreshold', null, 1, 'Low bias current clear level must be at or above the threshold'],
+    ['biasCurrentHighClearThreshold', 'biasCurrentHighThreshold', null, -1, 'High bias current clear level must be at or below the threshold']
+  ];
+  for (const [clearField, triggerField, defaultTrigger, direction, error] of clearLevels) {
+    const clear = config[clearField];
+    if (clear === undefined || clear === null) continue;
+    if (typeof clear !== 'number' || !isFinite(clear)) {
+      return 'Clear levels must be numbers';
+    }
+    const trigger = typeof config[triggerField] === 'number' ? config[triggerField] : defaultTrigger;
+    if (trigger !== null && (clear - trigger) * direction < 0) {
+      return error;
+    }
+  }
+  const ranges = [
+    ['txPowerLowThreshold', 'txPowerHighThreshold', 'TX power'],
+    ['voltageLowThreshold', 'voltageHighThreshold', 'Voltage'],
+    ['biasCurrentLowThreshold', 'biasCurrentHighThreshold', 'Bias current']
+  ];
+  for (const [lowField, highField, label] of ranges) {
+    const low = config[lowField];
+    const high = config[highField];
+    if ([low, high].some(v => v !== undefined && v !== null && (typeof v !== 'number' || !isFinite(v)))) {
+      return `${label} thresholds must be numbers`;
+    }
+    if (typeof low === 'number' && typeof high === 'number' && low >= high) {
+      return `${label} low threshold must be below the high threshold`;
+    }
+  }
+  for (const field of ['alertTriggerPolls', 'alertClearPolls']) {
+    const polls = config[field];
+    if (polls !== undefined && polls !== null && (!Number.isInteger(polls) || polls < 1 || polls > 100)) {
+      return 'Consecutive polls must be a whole number from 1 to 100';
+    }
+  }
+  const limits = [
+    ['rxTrendWindowHours', 1, 720, 'Degrading link window must be from 1 to 720 hours'],
+    ['rxTrendMaxDrop', 0.1, 30, 'Degrading link allowed drop must be from 0.1 to 30 dB'],
+    ['anomalySigma', 1, 10, 'Anomaly standard deviations must be from 1 to 10'],
+    ['anomalyRxDelta', 0.1, 30, 'Anomaly RX delta must be from 0.1 to 30 dB'],
+    ['anomalyTempDelta', 1, 100, 'Anomaly temperature delta must be from 1 to 100 °C']
+  ];
+  for (const [field, min, max, error] of limits) {
+    const value = config[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !(value >= min && value <= max))) {
+      return error;
+    }
+  }
+  // Long windows are fitted on hourly averages, which must cover at least half of the window
+  const hourlyHours = db.getRetentionSettings().hourlyDays * 24;
+  if (typeof config.rxTrendWindowHours === 'number' && config.rxTrendWindowHours / 2 > hourlyHours) {
+    return `Degrading link window must be at most ${hourlyHours * 2} hours with the current hourly retention`;
+  }
+  return null;
+}
+
+/**
+ * Validate the upstream element tags (OLT, PON port, splitter) of a device.
+ * Tags are joined with '/' into element paths, so they must not contain one.
+ */
+function validateUpstream(config) {
+  const tags = ['upstreamOlt', 'upstreamPon', 'upstreamSplitter'].map(field => config[field]);
+  for (const tag of tags) {
+    if (tag === undefined || tag === null || tag === '') continue;
+    if (typeof tag !== 'string' || tag.length > 64 || tag.includes('/')) {
+      return 'Upstream elements must be names of at most 64 characters without a /';
+    }
+  }
+  if ((tags[1] || tags[2]) && !tags[0]) {
+    return 'Upstream PON port and splitter require an OLT';
+  }
+  if (tags[2] && !tags[1]) {
+    return 'Upstream splitter requires a PON port';
+  }
+  return null;
+}
+
 // API: Add ONU device
 app.post('/api/devices', requireAuth, (req, res) => {
   try {
@@ -163,6 +334,15 @@ app.post('/api/devices', requireAuth, (req, res) => {
       return res.status(400).json({ error: 'Invalid ONU type' });
     }
     
+    if (config && config.escalationPolicyId && !db.getEscalationPolicy(config.escalationPolicyId)) {
+      return res.status(400).json({ error: 'Escalation policy not found' });
+    }
+    
+    const thresholdError = config ? validateThresholds(config) || validateUpstream(config) : null;
+    if (thresholdError) {
+      return res.status(400).json({ error: thresholdError });
+    }
+    
     const id = db.addONUDevice(name, host, username, password, onuType, config || {});
     res.json({ success: true, id: id });
   } catch (error) {
@@ -184,6 +364,15 @@ app.put('/api/devices/:id', requireAuth, (req, res) => {
       return res.status(400).json({ error: 'Invalid ONU type' });
     }
     
+    if (config && config.escalationPolicyId && !db.getEscalationPolicy(config.escalationPolicyId)) {
+      return res.status(400).json({ error: 'Escalation policy not found' });
+    }
+    
+    const thresholdError = config ? validateThresholds(config) || validateUpstream(config) : null;
+    if (thresholdError) {
+      return res.status(400).json({ error: thresholdError });
+    }
+    
     const success = db.updateONUDevice(id, name, host, username, password || null, onuType, config || {});
     
     if (success) {
@@ -279,46 +468,1207 @@ app.post('/api/devices/monitor-all', requireAuth, async (req, res) => {
   }
 });
 
-// API: Get SMS configuration
-app.get('/api/sms-config', requireAuth, (req, res) => {
+// API: Get reading history for a device
+app.get('/api/devices/:id/readings', requireAuth, (req, res) => {
   try {
-    const config = db.getSMSConfig();
-    if (config) {
-      res.json({
-        apiUrl: config.api_url,
-        phoneNumbers: config.phone_numbers || '',
-        enabled: config.enabled === 1
+    const { id } = req.params;
+    const { from, to, limit } = req.query;
+    
+    if (!db.getONUDevice(id)) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+    
+    if (limit !== undefined && !(parseInt(limit) > 0)) {
+      return res.status(400).json({ error: 'Limit must be a positive number' });
+    }
+    
+    const readings = db.getReadings(id, { from, to, limit });
+    res.json(readings);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Get the learned baseline of a device
+app.get('/api/devices/:id/baseline', requireAuth, (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!db.getONUDevice(id)) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    
+    res.json(db.getDeviceBaseline(id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Forecast when a device's RX power will cross its threshold
+app.get('/api/devices/:id/forecast', requireAuth, (req, res) => {
+  try {
+    const device = db.getONUDevice(req.params.id);
+    
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    
+    res.json(forecastService.getDeviceForecast(device));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Fleet summary statistics
+app.get('/api/fleet/summary', requireAuth, (req, res) => {
+  try {
+    res.json(fleetService.getSummary());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Devices predicted to cross their RX threshold soonest
+app.get('/api/fleet/forecast', requireAuth, (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 500);
+    res.json(forecastService.getFleetForecast(limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Get aggregated history for a device (resolution picked from the range)
+app.get('/api/devices/:id/history', requireAuth, (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, resolution } = req.query;
+    
+    if (!db.getONUDevice(id)) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+    
+    if (resolution && !['auto', 'raw', 'hourly', 'daily'].includes(resolution)) {
+      return res.status(400).json({ error: 'Resolution must be auto, raw, hourly or daily' });
+    }
+    
+    res.json(db.getReadingHistory(id, { from, to, resolution }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Validate export query parameters, returning an error message or null
+function validateExportQuery(query) {
+  const { format, dataset, from, to } = query;
+  
+  if (format && !exportService.isSupportedFormat(format)) {
+    return 'Format must be csv, json or xls';
+  }
+  if (dataset && !exportService.isSupportedDataset(dataset)) {
+    return 'Dataset must be readings or events';
+  }
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return 'Invalid from/to date';
+  }
+  return null;
+}
+
+// API: Export readings or events for a device
+app.get('/api/devices/:id/export', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'csv', dataset = 'readings', from, to } = req.query;
+    
+    const device = db.getONUDevice(id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    
+    const validationError = validateExportQuery(req.query);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    await exportService.streamDataset(res, dataset, {
+      format,
+      deviceId: device.id,
+      from,
+      to,
+      filename: `${dataset}-device-${device.id}`
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Export failed:', error.message);
+      return res.destroy();
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Export readings or events for all devices, optionally filtered by device group
+app.get('/api/export', requireAuth, async (req, res) => {
+  try {
+    const { format = 'csv', dataset = 'readings', from, to, group } = req.query;
+    
+    const validationError = validateExportQuery(req.query);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    await exportService.streamDataset(res, dataset, {
+      format,
+      group: group || null,
+      from,
+      to,
+      filename: group ? `${dataset}-${group.replace(/[^\w-]+/g, '_')}` : `${dataset}-all`
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Export failed:', error.message);
+      return res.destroy();
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Get firing alerts with their device and any active silence or maintenance window
+app.get('/api/alerts', requireAuth, (req, res) => {
+  try {
+    const devicesById = new Map(db.getAllONUDevices().map(d => [d.id, d]));
+    const policiesById = new Map(db.getEscalationPolicies().map(p => [p.id, p]));
+    const alerts = db.getFiringAlerts()
+      .filter(alert => devicesById.has(alert.deviceId))
+      .map(alert => {
+        const device = devicesById.get(alert.deviceId);
+        const policy = policiesById.get(device.escalationPolicyId);
+        return Object.assign(alert, {
+          deviceName: device.name,
+          deviceGroup: device.deviceGroup,
+          suppression: notificationService.getSuppression(device),
+          escalation: policy ? { policyName: policy.name, steps: policy.steps.length } : null
+        });
       });
-    } else {
-      res.json({
-        apiUrl: '',
-        phoneNumbers: '',
-        enabled: false
+    res.json(alerts);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Acknowledge a firing alert so it stops repeating
+app.post('/api/alerts/:deviceId/:alertType/acknowledge', requireAuth, (req, res) => {
+  try {
+    const { deviceId, alertType } = req.params;
+    const success = db.acknowledgeAlert(deviceId, alertType, req.session.user.username);
+    
+    if (success) {
+      db.addEvent({
+        deviceId,
+        eventType: 'alert_acknowledged',
+        alertType,
+        message: `Acknowledged by ${req.session.user.username}`
       });
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Firing alert not found' });
     }
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// API: Save SMS configuration
-app.post('/api/sms-config', requireAuth, (req, res) => {
+/**
+ * Validate the device or device group a silence or maintenance window applies to
+ */
+function validateTarget(body, required) {
+  if (body.deviceId && !db.getONUDevice(body.deviceId)) {
+    return 'Device not found';
+  }
+  if (required && !body.deviceId && !body.deviceGroup) {
+    return 'A device or device group is required';
+  }
+  return null;
+}
+
+// API: Get current and upcoming silences
+app.get('/api/silences', requireAuth, (req, res) => {
   try {
-    const { apiUrl, phoneNumbers, enabled } = req.body;
+    res.json(db.getSilences());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Silence a device or device group for a time period
+app.post('/api/silences', requireAuth, (req, res) => {
+  try {
+    const { deviceId, deviceGroup, startsAt, endsAt, reason } = req.body;
     
-    if (!apiUrl) {
-      return res.status(400).json({ error: 'API URL is required' });
+    const targetError = validateTarget(req.body, true);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
     }
     
-    // Validate URL contains placeholders
-    if (!apiUrl.includes('{phone}') || !apiUrl.includes('{message}')) {
-      return res.status(400).json({ 
-        error: 'API URL must contain {phone} and {message} placeholders' 
-      });
+    if ((startsAt && !isValidDate(startsAt)) || !endsAt || !isValidDate(endsAt)) {
+      return res.status(400).json({ error: 'A valid end time is required' });
     }
     
-    db.saveSMSConfig(apiUrl, phoneNumbers, enabled !== false);
-    res.json({ success: true });
+    const start = startsAt ? new Date(startsAt) : new Date();
+    if (new Date(endsAt) <= start) {
+      return res.status(400).json({ error: 'End time must be after the start time' });
+    }
+    
+    const id = db.addSilence({
+      deviceId: deviceId || null,
+      deviceGroup: deviceId ? null : deviceGroup,
+      startsAt: start,
+      endsAt,
+      reason,
+      createdBy: req.session.user.username
+    });
+    res.json({ success: true, id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Remove a silence
+app.delete('/api/silences/:id', requireAuth, (req, res) => {
+  try {
+    const success = db.deleteSilence(req.params.id);
+    
+    if (success) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Silence not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Get maintenance windows
+app.get('/api/maintenance-windows', requireAuth, (req, res) => {
+  try {
+    res.json(db.getMaintenanceWindows());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Add a one-off or weekly maintenance window
+app.post('/api/maintenance-windows', requireAuth, (req, res) => {
+  try {
+    const { name, deviceId, deviceGroup, recurrence, startsAt, endsAt, days, startTime, timezone } = req.body;
+    const durationMinutes = parseInt(req.body.durationMinutes);
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    
+    const targetError = validateTarget(req.body, false);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    
+    if (recurrence === 'once') {
+      if (!isValidDate(startsAt) || !isValidDate(endsAt) || new Date(endsAt) <= new Date(startsAt)) {
+        return res.status(400).json({ error: 'A valid start and end time are required' });
+      }
+    } else if (recurrence === 'weekly') {
+      if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+        return res.status(400).json({ error: 'Select at least one day of the week' });
+      }
+      if (!isValidTimeOfDay(startTime)) {
+        return res.status(400).json({ error: 'Start time must use the HH:MM format' });
+      }
+      if (!(durationMinutes > 0 && durationMinutes <= 7 * 24 * 60)) {
+        return res.status(400).json({ error: 'Duration must be between 1 minute and 7 days' });
+      }
+      if (timezone && !isValidTimeZone(timezone)) {
+        return res.status(400).json({ error: 'Unknown time zone' });
+      }
+    } else {
+      return res.status(400).json({ error: 'Recurrence must be once or weekly' });
+    }
+    
+    const id = db.addMaintenanceWindow({
+      name,
+      deviceId: deviceId || null,
+      deviceGroup: deviceId ? null : deviceGroup,
+      recurrence,
+      startsAt,
+      endsAt,
+      days,
+      startTime,
+      durationMinutes,
+      timezone
+    });
+    res.json({ success: true, id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Enable or disable a maintenance window
+app.put('/api/maintenance-windows/:id', requireAuth, (req, res) => {
+  try {
+    const success = db.setMaintenanceWindowEnabled(req.params.id, req.body.enabled !== false);
+    
+    if (success) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Maintenance window not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Delete a maintenance window
+app.delete('/api/maintenance-windows/:id', requireAuth, (req, res) => {
+  try {
+    const success = db.deleteMaintenanceWindow(req.params.id);
+    
+    if (success) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Maintenance window not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Get suspected outages, newest first
+app.get('/api/outages', requireAuth, (req, res) => {
+  try {
+    const { state, limit } = req.query;
+    
+    if (state && !['active', 'resolved'].includes(state)) {
+      return res.status(400).json({ error: 'State must be active or resolved' });
+    }
+    
+    if (limit !== undefined && !(parseInt(limit) > 0)) {
+      return res.status(400).json({ error: 'Limit must be a positive number' });
+    }
+    
+    const names = new Map(db.getAllONUDevices().map(d => [d.id, d.name]));
+    const outages = db.getOutages({ state, limit: limit ? parseInt(limit) : 50 }).map(outage => ({
+      ...outage,
+      devices: outage.deviceIds.map(id => ({ id, name: names.get(id) || null }))
+    }));
+    res.json(outages);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const EVENT_TYPES = [
+  'alert_fired', 'alert_resolved', 'device_offline', 'device_online', 'alert_acknowledged',
+  'alert_escalated', 'notification', 'notification_held', 'notification_suppressed', 'poll_failed',
+  'outage_detected', 'outage_resolved'
+];
+
+// API: Get the event log, newest first
+app.get('/api/events', requireAuth, (req, res) => {
+  try {
+    const { deviceId, type, from, to, beforeId, limit } = req.query;
+    const types = type ? type.split(',').map(t => t.trim()).filter(t => t) : [];
+    
+    if (types.some(t => !EVENT_TYPES.includes(t))) {
+      return res.status(400).json({ error: `Event type must be one of: ${EVENT_TYPES.join(', ')}` });
+    }
+    
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+    
+    if ((limit !== undefined && !(parseInt(limit) > 0)) || (beforeId !== undefined && !(parseInt(beforeId) > 0))) {
+      return res.status(400).json({ error: 'Limit and beforeId must be positive numbers' });
+    }
+    
+    const events = db.getEvents({
+      deviceId: deviceId ? parseInt(deviceId) : null,
+      types,
+      from,
+      to,
+      beforeId: beforeId ? parseInt(beforeId) : null,
+      limit: limit ? parseInt(limit) : 200
+    });
+    res.json(events);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const OUTBOX_STATUSES = ['pending', 'sent', 'dead', 'skipped'];
+
+// API: Get queued and delivered notifications with the number per status, newest first
+app.get('/api/outbox', requireAuth, (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+    }
+    
+    if (limit !== undefined && !(parseInt(limit) > 0)) {
+      return res.status(400).json({ error: 'Limit must be a positive number' });
+    }
+    
+    res.json({
+      counts: db.getOutboxCounts(),
+      notifications: db.getOutbox({ status, limit: limit ? parseInt(limit) : 100 })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Queue a dead-lettered, skipped or sent notification again
+app.post('/api/outbox/:id/resend', requireAuth, (req, res) => {
+  try {
+    const entry = db.getOutboxEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    
+    if (!db.resendNotification(entry.id)) {
+      return res.status(400).json({ error: 'Notification is already queued' });
+    }
+    
+    notificationDispatcher.dispatch();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Get data retention settings
+app.get('/api/settings/retention', requireAuth, (req, res) => {
+  try {
+    res.json(db.getRetentionSettings());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Save data retention settings
+app.post('/api/settings/retention', requireAuth, (req, res) => {
+  try {
+    const rawDays = parseInt(req.body.rawDays);
+    const hourlyDays = parseInt(req.body.hourlyDays);
+    const dailyDays = parseInt(req.body.dailyDays);
+    
+    if (!(rawDays >= 1) || !(hourlyDays >= 2) || !(dailyDays >= 2)) {
+      return res.status(400).json({ error: 'Retention must be at least 1 day for raw and 2 days for hourly/daily data' });
+    }
+    
+    if (hourlyDays < rawDays || dailyDays < hourlyDays) {
+      return res.status(400).json({ error: 'Retention must not decrease from raw to hourly to daily data' });
+    }
+    
+    db.saveRetentionSettings(rawDays, hourlyDays, dailyDays);
+    monitoringScheduler.compactReadings();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Get alert notification settings
+app.get('/api/settings/alerts', requireAuth, (req, res) => {
+  try {
+    res.json(db.getAlertSettings());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Save alert notification settings
+app.post('/api/settings/alerts', requireAuth, (req, res) => {
+  try {
+    const cooldownMinutes = parseInt(req.body.cooldownMinutes);
+    const current = db.getAlertSettings();
+    const outageWindowMinutes = req.body.outageWindowMinutes !== undefined ? parseInt(req.body.outageWindowMinutes) : current.outageWindowMinutes;
+    const outageMinDevices = req.body.outageMinDevices !== undefined ? parseInt(req.body.outageMinDevices) : current.outageMinDevices;
+    
+    if (!(cooldownMinutes >= 0)) {
+      return res.status(400).json({ error: 'Cooldown must be 0 or more minutes' });
+    }
+    
+    if (!(outageWindowMinutes >= 1 && outageWindowMinutes <= 1440)) {
+      return res.status(400).json({ error: 'Outage window must be 1 to 1440 minutes' });
+    }
+    
+    if (!(outageMinDevices === 0 || outageMinDevices >= 2)) {
+      return res.status(400).json({ error: 'Outage minimum must be 0 (disabled) or at least 2 devices' });
+    }
+    
+    db.saveAlertSettings(cooldownMinutes, req.body.notifyResolved !== false, outageWindowMinutes, outageMinDevices);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Get digest report settings
+app.get('/api/digest/config', requireAuth, (req, res) => {
+  try {
+    res.json(db.getDigestSettings());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Save digest report settings
+app.post('/api/digest/config', requireAuth, (req, res) => {
+  try {
+    const { dailyEnabled, dailyTime, weeklyEnabled, weeklyTime, recipients } = req.body;
+    const weeklyDay = parseInt(req.body.weeklyDay);
+    const rxThreshold = parseFloat(req.body.rxThreshold);
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    
+    if (!timePattern.test(dailyTime) || !timePattern.test(weeklyTime)) {
+      return res.status(400).json({ error: 'Digest times must use the HH:MM format' });
+    }
+    
+    if (!(weeklyDay >= 0 && weeklyDay <= 6)) {
+      return res.status(400).json({ error: 'Weekly day must be between 0 (Sunday) and 6 (Saturday)' });
+    }
+    
+    if (isNaN(rxThreshold)) {
+      return res.status(400).json({ error: 'RX threshold must be a number' });
+    }
+    
+    db.saveDigestSettings({
+      dailyEnabled: !!dailyEnabled,
+      dailyTime,
+      weeklyEnabled: !!weeklyEnabled,
+      weeklyDay,
+      weeklyTime,
+      recipients: recipients || '',
+      rxThreshold
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Preview a digest report without sending it
+app.get('/api/digest/preview', requireAuth, (req, res) => {
+  try {
+    const type = req.query.type || 'daily';
+    if (type !== 'daily' && type !== 'weekly') {
+      return res.status(400).json({ error: 'Digest type must be daily or weekly' });
+    }
+    
+    res.json(digestService.buildDigest(type));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Send a digest report now
+app.post('/api/digest/send', requireAuth, async (req, res) => {
+  try {
+    const type = req.body.type || 'daily';
+    if (type !== 'daily' && type !== 'weekly') {
+      return res.status(400).json({ error: 'Digest type must be daily or weekly' });
+    }
+    
+    const result = await digestService.sendDigest(type);
+    res.json({ success: result.sent, message: result.digest.message });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Get SMS configuration
+app.get('/api/sms-config', requireAuth, (req, res) => {
+  try {
+    const config = db.getSMSConfig();
+    if (config) {
+      const { authSecret, ...gateway } = config.gateway;
+      res.json({
+        ...gateway,
+        phoneNumbers: config.phone_numbers || '',
+        enabled: config.enabled === 1,
+        authSecretSet: !!authSecret
+      });
+    } else {
+      res.json({
+        apiUrl: '',
+        method: 'GET',
+        bodyFormat: 'form',
+        bodyTemplate: '',
+        authType: 'none',
+        authHeader: '',
+        authUsername: '',
+        authSecretSet: false,
+        batch: false,
+        phoneNumbers: '',
+        enabled: false
+      });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Save SMS configuration
+app.post('/api/sms-config', requireAuth, (req, res) => {
+  try {
+    const { apiUrl, phoneNumbers, enabled } = req.body;
+    
+    if (!apiUrl) {
+      return res.status(400).json({ error: 'API URL is required' });
+    }
+    
+    const gateway = {
+      apiUrl,
+      method: String(req.body.method || 'GET').toUpperCase(),
+      bodyFormat: req.body.bodyFormat || 'form',
+      bodyTemplate: req.body.bodyTemplate || '',
+      authType: req.body.authType || 'none',
+      authHeader: (req.body.authHeader || '').trim(),
+      authUsername: (req.body.authUsername || '').trim(),
+      // An empty secret keeps the stored one; no auth drops it
+      authSecret: req.body.authSecret || undefined,
+      batch: req.body.batch === true
+    };
+    if (gateway.authType === 'none') {
+      gateway.authSecret = null;
+    }
+    
+    const existing = db.getSMSConfig();
+    const gatewayError = validateSMSConfig(gateway, !!(existing && existing.gateway.authSecret));
+    if (gatewayError) {
+      return res.status(400).json({ error: gatewayError });
+    }
+    
+    db.saveSMSConfig(apiUrl, phoneNumbers, enabled !== false, gateway);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Validate the quiet hours schedule of a contact or channel (optional)
+ */
+function validateQuietHours(quietHours) {
+  if (!quietHours || quietHours.enabled === false) {
+    return null;
+  }
+  if (typeof quietHours !== 'object') {
+    return 'Quiet hours must be an object';
+  }
+  const { days, start, end, timezone, overrideSeverity } = quietHours;
+  if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return 'Select at least one day of the week for quiet hours';
+  }
+  if (!isValidTimeOfDay(start) || !isValidTimeOfDay(end)) {
+    return 'Quiet hours start and end must use the HH:MM format';
+  }
+  if (start === end) {
+    return 'Quiet hours start and end must differ';
+  }
+  if (timezone && !isValidTimeZone(timezone)) {
+    return 'Unknown time zone';
+  }
+  if (overrideSeverity && !['warning', 'critical'].includes(overrideSeverity)) {
+    return 'Quiet hours override severity must be warning or critical';
+  }
+  return null;
+}
+
+/**
+ * Channel as returned to the dashboard, without its secrets
+ */
+function channelResponse(channel) {
+  const { config, secretsSet } = maskSecrets(channel.type, channel.config);
+  return { ...channel, config, secretsSet };
+}
+
+/**
+ * Validate a channel type, name and config, returning an error message or null
+ */
+function validateChannel(type, name, config) {
+  if (!CHANNEL_TYPES[type]) {
+    return `Channel type must be one of: ${Object.keys(CHANNEL_TYPES).join(', ')}`;
+  }
+  if (!name) {
+    return 'Name is required';
+  }
+  if (!config || typeof config !== 'object') {
+    return 'Channel configuration is required';
+  }
+  return CHANNEL_TYPES[type].validateConfig(config);
+}
+
+// API: Get notification channels
+app.get('/api/channels', requireAuth, (req, res) => {
+  try {
+    res.json(db.getNotificationChannels().map(channelResponse));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Add a notification channel
+app.post('/api/channels', requireAuth, (req, res) => {
+  try {
+    const { type, name, config, enabled, quietHours } = req.body;
+    
+    const channelError = validateChannel(type, name, config) || validateQuietHours(quietHours);
+    if (channelError) {
+      return res.status(400).json({ error: channelError });
+    }
+    
+    const id = db.addNotificationChannel(type, name, config, enabled !== false, quietHours);
+    res.json({ success: true, id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Update a notification channel (empty secrets keep their stored value)
+app.put('/api/channels/:id', requireAuth, (req, res) => {
+  try {
+    const existing = db.getNotificationChannel(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    
+    const { name, enabled } = req.body;
+    const config = req.body.config && mergeSecrets(existing.type, req.body.config, existing.config);
+    const quietHours = req.body.quietHours !== undefined ? req.body.quietHours : existing.quietHours;
+    
+    const channelError = validateChannel(existing.type, name, config) || validateQuietHours(quietHours);
+    if (channelError) {
+      return res.status(400).json({ error: channelError });
+    }
+    
+    db.updateNotificationChannel(existing.id, name, config, enabled !== false, quietHours);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Delete a notification channel
+app.delete('/api/channels/:id', requireAuth, (req, res) => {
+  try {
+    const success = db.deleteNotificationChannel(req.params.id);
+    
+    if (success) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Channel not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Send a test notification through a channel configuration (saved or not)
+app.post('/api/channels/test', requireAuth, async (req, res) => {
+  try {
+    const existing = req.body.id ? db.getNotificationChannel(req.body.id) : null;
+    const type = existing ? existing.type : req.body.type;
+    const name = req.body.name || (existing && existing.name) || 'Test';
+    const config = existing ? mergeSecrets(type, req.body.config || {}, existing.config) : req.body.config;
+    
+    const channelError = validateChannel(type, name, config);
+    if (channelError) {
+      return res.status(400).json({ error: channelError });
+    }
+    
+    const device = db.getAllONUDevices()[0] || {
+      id: 0, name: 'Test Device', host: '192.168.1.1', onuType: 'blue',
+      rxPowerThreshold: -27, tempHighThreshold: 70, tempLowThreshold: 0
+    };
+    const result = await notificationService.sendToChannel({ type, name, config }, {
+      device,
+      alertType: 'rx_power',
+      message: `Test notification from ONU Monitor for ${device.name}`,
+      data: { currentValue: '-24.50 dBm', txPower: '2.10 dBm', temperature: '45 C', voltage: '3300 mV', biasCurrent: '12 mA' },
+      readings: db.getReadings(device.id, { limit: 10 })
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Alert types a contact can filter on (offline also covers the back-online message)
+const CONTACT_ALERT_TYPES = [
+  'offline', 'rx_power', 'temp_high', 'temp_low',
+  'tx_power_low', 'tx_power_high', 'voltage_low', 'voltage_high', 'bias_current_low', 'bias_current_high',
+  'rx_trend', 'rx_anomaly', 'temp_anomaly'
+];
+
+/**
+ * Validate a contact, returning an error message or null
+ */
+function validateContact(contact) {
+  if (!contact.name) {
+    return 'Name is required';
+  }
+  if (!contact.phone && !contact.email && !contact.telegramId) {
+    return 'A phone number, email address or Telegram ID is required';
+  }
+  if (contact.phone && !/^\+?[\d\s-]{5,20}$/.test(contact.phone)) {
+    return 'Invalid phone number';
+  }
+  if (contact.email && !/^[^\s@<>]+@[^\s@<>]+$/.test(contact.email)) {
+    return 'Invalid email address';
+  }
+  if (contact.telegramId && !/^(-?\d+|@\w{5,})$/.test(contact.telegramId)) {
+    return 'Telegram ID must be a numeric chat ID or @username';
+  }
+  if (contact.alertTypes && (!Array.isArray(contact.alertTypes) || contact.alertTypes.some(t => !CONTACT_ALERT_TYPES.includes(t)))) {
+    return `Alert types must be any of: ${CONTACT_ALERT_TYPES.join(', ')}`;
+  }
+  return validateQuietHours(contact.quietHours);
+}
+
+/**
+ * Validate a contact group with its members and device/group assignments
+ */
+function validateContactGroup(group) {
+  if (!group.name) {
+    return 'Name is required';
+  }
+  if (group.contactIds && (!Array.isArray(group.contactIds) || group.contactIds.some(id => !db.getContact(id)))) {
+    return 'Contact not found';
+  }
+  if (group.assignments && !Array.isArray(group.assignments)) {
+    return 'Assignments must be a list of devices or device groups';
+  }
+  for (const assignment of group.assignments || []) {
+    const targetError = validateTarget(assignment, true);
+    if (targetError) return targetError;
+  }
+  return null;
+}
+
+// API: Get notification contacts
+app.get('/api/contacts', requireAuth, (req, res) => {
+  try {
+    res.json(db.getContacts());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Add a notification contact
+app.post('/api/contacts', requireAuth, (req, res) => {
+  try {
+    const contactError = validateContact(req.body);
+    if (contactError) {
+      return res.status(400).json({ error: contactError });
+    }
+    
+    const id = db.addContact(req.body);
+    res.json({ success: true, id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Update a notification contact
+app.put('/api/contacts/:id', requireAuth, (req, res) => {
+  try {
+    const contactError = validateContact(req.body);
+    if (contactError) {
+      return res.status(400).json({ error: contactError });
+    }
+    
+    const success = db.updateContact(req.params.id, req.body);
+    
+    if (success) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Contact not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Delete a notification contact
+app.delete('/api/contacts/:id', requireAuth, (req, res) => {
+  try {
+    const success = db.deleteContact(req.params.id);
+    
+    if (success) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Contact not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Get contact groups with their members and assignments
+app.get('/api/contact-groups', requireAuth, (req, res) => {
+  try {
+    res.json(db.getContactGroups());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Add a contact group
+app.post('/api/contact-groups', requireAuth, (req, res) => {
+  try {
+    const groupError = validateContactGroup(req.body);
+    if (groupError) {
+      return res.status(400).json({ error: groupError });
+    }
+    
+    const id = db.addContactGroup(req.body);
+    res.json({ success: true, id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Update a contact group, replacing its members and assignments
+app.put('/api/contact-groups/:id', requireAuth, (req, res) => {
+  try {
+    const groupError = validateContactGroup(req.body);
+    if (groupError) {
+      return res.status(400).json({ error: groupError });
+    }
+    
+    const success = db.updateContactGroup(req.params.id, req.body);
+    
+    if (success) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Contact group not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Delete a contact group that no escalation policy escalates to
+app.delete('/api/contact-groups/:id', requireAuth, (req, res) => {
+  try {
+    const policy = db.getEscalationPolicies()
+      .find(p => p.steps.some(step => step.contactGroupId === Number(req.params.id)));
+    if (policy) {
+      return res.status(400).json({ error: `Contact group is used by escalation policy "${policy.name}"` });
+    }
+    
+    const success = db.deleteContactGroup(req.params.id);
+    
+    if (success) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Contact group not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Validate an escalation policy and its steps
+ */
+function validateEscalationPolicy(policy) {
+  if (!policy.name) {
+    return 'Name is required';
+  }
+  if (!Array.isArray(policy.steps) || policy.steps.length === 0) {
+    return 'At least one escalation step is required';
+  }
+  const groupIds = new Set(db.getContactGroups().map(g => g.id));
+  let previousDelay = -1;
+  for (const step of policy.steps) {
+    if (!Number.isInteger(step.delayMinutes) || step.delayMinutes < 0) {
+      return 'Step delay must be a whole number of minutes (0 or more)';
+    }
+    if (step.delayMinutes <= previousDelay) {
+      return 'Step delays must be in ascending order';
+    }
+    if (!groupIds.has(Number(step.contactGroupId))) {
+      return 'Contact group not found';
+    }
+    previousDelay = step.delayMinutes;
+  }
+  return null;
+}
+
+// API: Get escalation policies
+app.get('/api/escalation-policies', requireAuth, (req, res) => {
+  try {
+    res.json(db.getEscalationPolicies());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Add an escalation policy
+app.post('/api/escalation-policies', requireAuth, (req, res) => {
+  try {
+    const policyError = validateEscalationPolicy(req.body);
+    if (policyError) {
+      return res.status(400).json({ error: policyError });
+    }
+    
+    const id = db.addEscalationPolicy(req.body.name, req.body.steps);
+    res.json({ success: true, id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Update an escalation policy
+app.put('/api/escalation-policies/:id', requireAuth, (req, res) => {
+  try {
+    const policyError = validateEscalationPolicy(req.body);
+    if (policyError) {
+      return res.status(400).json({ error: policyError });
+    }
+    
+    const success = db.updateEscalationPolicy(req.params.id, req.body.name, req.body.steps);
+    
+    if (success) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Escalation policy not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Delete an escalation policy, detaching it from its devices
+app.delete('/api/escalation-policies/:id', requireAuth, (req, res) => {
+  try {
+    const success = db.deleteEscalationPolicy(req.params.id);
+    
+    if (success) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Escalation policy not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Channels a message template can target; 'default' applies to all of them
+const TEMPLATE_CHANNELS = ['default', 'sms', ...Object.keys(CHANNEL_TYPES)];
+
+/**
+ * Validate the type and channel of a message template route
+ */
+function validateTemplateTarget(type, channel) {
+  if (!MESSAGE_TEMPLATES[type]) {
+    return `Template type must be one of: ${Object.keys(MESSAGE_TEMPLATES).join(', ')}`;
+  }
+  if (!TEMPLATE_CHANNELS.includes(channel)) {
+    return `Channel must be one of: ${TEMPLATE_CHANNELS.join(', ')}`;
+  }
+  return null;
+}
+
+// API: Get message template types, their defaults and the customised templates
+app.get('/api/templates', requireAuth, (req, res) => {
+  try {
+    res.json({
+      types: Object.entries(MESSAGE_TEMPLATES).map(([type, definition]) => ({
+        type,
+        placeholders: definition.placeholders,
+        default: definition.default
+      })),
+      channels: TEMPLATE_CHANNELS,
+      templates: db.getMessageTemplates()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Render a message template with sample values
+app.post('/api/templates/preview', requireAuth, (req, res) => {
+  try {
+    const { type, template } = req.body;
+    
+    const templateError = validateMessageTemplate(type, template);
+    if (templateError) {
+      return res.json({ valid: false, error: templateError });
+    }
+    
+    const preview = renderTemplate(template, getSampleValues(type));
+    res.json({ valid: true, preview, length: preview.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Save the message template of a type and channel
+app.put('/api/templates/:type/:channel', requireAuth, (req, res) => {
+  try {
+    const { type, channel } = req.params;
+    
+    const targetError = validateTemplateTarget(type, channel);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    
+    const templateError = validateMessageTemplate(type, req.body.template);
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+    
+    db.saveMessageTemplate(type, channel, req.body.template);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Remove a message template, falling back to the template for all channels or the default
+app.delete('/api/templates/:type/:channel', requireAuth, (req, res) => {
+  try {
+    const { type, channel } = req.params;
+    
+    const targetError = validateTemplateTarget(type, channel);
+    if (targetError) {
+      return res.status(400).json({ error: targetError });
+    }
+    
+    db.deleteMessageTemplate(type, channel);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Prometheus metrics from the scheduler's latest poll results
+app.get('/metrics', requireMetricsToken, (req, res) => {
+  try {
+    const devices = db.getAllONUDevices();
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics(devices, monitoringScheduler.getLatestResults()));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -342,14 +1692,16 @@ app.listen(PORT, () => {
   console.log(`║  Background monitoring: ENABLED               ║`);
   console.log(`╚═══════════════════════════════════════════════╝\n`);
   
-  // Start background monitoring
+  // Start background monitoring and notification delivery
   monitoringScheduler.start();
+  notificationDispatcher.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, stopping monitoring and closing database...');
   monitoringScheduler.stop();
+  notificationDispatcher.stop();
   db.close();
   process.exit(0);
 });
@@ -357,6 +1709,7 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('\nSIGINT received, stopping monitoring and closing database...');
   monitoringScheduler.stop();
+  notificationDispatcher.stop();
   db.close();
   process.exit(0);
 });